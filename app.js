@@ -1,8 +1,8 @@
 /* Simple projector mapping warp tool.
    - Loads an image
    - Lets user drag 4 corner handles (touch & mouse)
-   - Renders an approximated perspective warp by subdividing into grid and drawing triangles
-   - Save/Load calibration JSON
+   - Renders a perspective-correct (homography) or bilinear warp by subdividing into grid and drawing triangles
+   - Save/Load project JSON (corners, shapes, media bindings, settings)
 */
 (function(){
   const canvas = document.getElementById('warpCanvas');
@@ -13,62 +13,234 @@
   const addTriangleBtn = document.getElementById('addTriangle');
   const addRectangleBtn = document.getElementById('addRectangle');
   const addCircleBtn = document.getElementById('addCircle');
+  const addPolygonBtn = document.getElementById('addPolygon');
   const shapesListEl = document.getElementById('shapesList');
   const deleteShapeBtn = document.getElementById('deleteShapeBtn');
+  const syncVideosBtn = document.getElementById('syncVideosBtn');
+  const groupBtn = document.getElementById('groupBtn');
+  const ungroupBtn = document.getElementById('ungroupBtn');
+  const captureSceneBtn = document.getElementById('captureSceneBtn');
+  const goBtn = document.getElementById('goBtn');
+  const backBtn = document.getElementById('backBtn');
+  const cueListEl = document.getElementById('cueList');
+  const remoteUrlInput = document.getElementById('remoteUrl');
+  const remoteConnectBtn = document.getElementById('remoteConnectBtn');
+  const remoteStatusEl = document.getElementById('remoteStatus');
   const fileInput = document.getElementById('file');
+  const patternSelect = document.getElementById('patternSelect');
+  const patternDensity = document.getElementById('patternDensity');
+  const applyPatternBtn = document.getElementById('applyPatternBtn');
   const gridRange = document.getElementById('gridRange');
   const gridLabel = document.getElementById('gridLabel');
   const resetBtn = document.getElementById('resetBtn');
   const saveBtn = document.getElementById('saveBtn');
   const loadBtn = document.getElementById('loadBtn');
   const loadFile = document.getElementById('loadFile');
+  const relinkRow = document.getElementById('relinkRow');
+  const relinkList = document.getElementById('relinkList');
+  const relinkBtn = document.getElementById('relinkBtn');
+  const relinkFile = document.getElementById('relinkFile');
+  const projectsBtn = document.getElementById('projectsBtn');
+  const libraryStatusEl = document.getElementById('libraryStatus');
+  const projectBrowserEl = document.getElementById('projectBrowser');
+  const projectListEl = document.getElementById('projectList');
+  const restoreSessionRow = document.getElementById('restoreSessionRow');
+  const restoreSessionText = document.getElementById('restoreSessionText');
+  const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+  const storageUsageEl = document.getElementById('storageUsage');
+  const newProjectBtn = document.getElementById('newProjectBtn');
+  const closeProjectsBtn = document.getElementById('closeProjectsBtn');
+  const warpModeSelect = document.getElementById('warpMode');
+  const warpModeLabel = document.getElementById('warpModeLabel');
+  const meshGridRow = document.getElementById('meshGridRow');
+  const meshColsInput = document.getElementById('meshCols');
+  const meshRowsInput = document.getElementById('meshRows');
+  const openOutputBtn = document.getElementById('openOutputBtn');
+  const frameStatsEl = document.getElementById('frameStats');
+  const snapToggle = document.getElementById('snapToggle');
+  const snapGridToggle = document.getElementById('snapGridToggle');
+  const snapGridSize = document.getElementById('snapGridSize');
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const viewSelect = document.getElementById('viewSelect');
+  const addProjectorBtn = document.getElementById('addProjectorBtn');
+  const removeProjectorBtn = document.getElementById('removeProjectorBtn');
+  const layoutProjectorsBtn = document.getElementById('layoutProjectorsBtn');
+  const projectorSettingsEl = document.getElementById('projectorSettings');
+  const outputPresetSelect = document.getElementById('outputPreset');
+  const outputWidthInput = document.getElementById('outputWidth');
+  const outputHeightInput = document.getElementById('outputHeight');
+  const zoomOutBtn = document.getElementById('zoomOutBtn');
+  const zoomInBtn = document.getElementById('zoomInBtn');
+  const zoomFitBtn = document.getElementById('zoomFitBtn');
+  const zoomActualBtn = document.getElementById('zoomActualBtn');
+  const zoomLabel = document.getElementById('zoomLabel');
+  const audioFileInput = document.getElementById('audioFile');
+  const audioPlayBtn = document.getElementById('audioPlayBtn');
+  const audioSeek = document.getElementById('audioSeek');
+  const audioTimeEl = document.getElementById('audioTime');
+  const audioStatusEl = document.getElementById('audioStatus');
+  const audioMetersEl = document.getElementById('audioMeters');
+  const audioMappingsEl = document.getElementById('audioMappings');
+  const addAudioMappingBtn = document.getElementById('addAudioMappingBtn');
+  const exportMeshJsonBtn = document.getElementById('exportMeshJsonBtn');
+  const exportObjBtn = document.getElementById('exportObjBtn');
+  const exportSvgBtn = document.getElementById('exportSvgBtn');
+  const importGeometryBtn = document.getElementById('importGeometryBtn');
+  const importGeometryFile = document.getElementById('importGeometryFile');
+  const exportPngBtn = document.getElementById('exportPngBtn');
+  const recordSecondsInput = document.getElementById('recordSeconds');
+  const recordBtn = document.getElementById('recordBtn');
+  const recordStatusEl = document.getElementById('recordStatus');
+  const calibrationFile = document.getElementById('calibrationFile');
+  const calibrationPanel = document.getElementById('calibrationPanel');
+  const calibrationPreview = document.getElementById('calibrationPreview');
+  const calibrationStatus = document.getElementById('calibrationStatus');
+  const applyCalibrationCornersBtn = document.getElementById('applyCalibrationCornersBtn');
+  const applyCalibrationMeshBtn = document.getElementById('applyCalibrationMeshBtn');
+  const closeCalibrationBtn = document.getElementById('closeCalibrationBtn');
+  const inputViewBtn = document.getElementById('inputViewBtn');
+  const inputView = document.getElementById('inputView');
+  const inputCanvas = document.getElementById('inputCanvas');
+  const inputOverlay = document.getElementById('inputOverlay');
+  const inputHandlesEl = document.getElementById('inputHandles');
+  const inputCaption = document.getElementById('inputCaption');
+  const inputResetBtn = document.getElementById('inputResetBtn');
+  const canvasArea = canvas.parentElement;
+
+  // index.html?output opens the page as the projector output: composited image only, kept in sync with the editor
+  const isOutput = new URLSearchParams(location.search).has('output');
+  if(isOutput) document.body.classList.add('output-mode');
 
   let image = null;
   let imgWidth = 0, imgHeight = 0;
-  let dpr = Math.max(1, window.devicePixelRatio || 1);
 
-  // canvas size follows container
-  function resizeCanvas(){
-    const rect = canvas.getBoundingClientRect();
-    canvas.width = Math.round(rect.width * dpr);
-    canvas.height = Math.round(rect.height * dpr);
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-    // redraw canvas and overlay + handles to remain in sync after resize
-    draw();
+  // Output raster: the canvas always renders at the projector's resolution (outputSize), whatever the window size.
+  // The editor shows it letterboxed in the canvas area, zoomed by view.zoom (1 = fit) and panned by view.x/y (CSS
+  // pixels). The overlay and both handle layers cover exactly the displayed canvas, so a normalized coordinate is
+  // the same fraction of the output raster in the editor, the output window and the rendering.
+  const MIN_OUTPUT_SIZE = 16, MAX_OUTPUT_SIZE = 8192;
+  const MIN_ZOOM = 0.25, MAX_ZOOM = 32;
+  let outputSize = {width: 1920, height: 1080};
+  const view = {zoom: 1, x: 0, y: 0};
+  let dpr = 1; // output pixels per CSS pixel of the canvas on screen
+
+  // the displayed canvas box in canvas-area pixels
+  function canvasBox(){
+    const area = canvasArea.getBoundingClientRect();
+    const zoom = isOutput ? 1 : view.zoom;
+    const scale = Math.min(area.width / outputSize.width, area.height / outputSize.height) * zoom;
+    const w = outputSize.width * scale, h = outputSize.height * scale;
+    const pan = isOutput ? {x:0, y:0} : view;
+    return {left: (area.width - w)/2 + pan.x, top: (area.height - h)/2 + pan.y, width: w, height: h, scale};
+  }
+
+  function layoutCanvas(){
+    const box = canvasBox();
+    [canvas, overlaySvg, handlesEl, shapeHandlesEl].forEach(el=>{
+      ['left','top','width','height'].forEach(k=>{ el.style[k] = box[k] + 'px'; });
+    });
+    dpr = box.scale > 0 ? 1 / box.scale : 1;
+    zoomLabel.textContent = Math.round(box.scale * 100) + '%';
     renderOverlay();
     updateHandlePositions();
     updateShapeHandles();
   }
 
-  window.addEventListener('resize', ()=>{ dpr = Math.max(1, window.devicePixelRatio || 1); resizeCanvas(); });
+  function resizeCanvas(){
+    // setting the size clears the canvas, so only when the raster changes
+    if(canvas.width!==outputSize.width || canvas.height!==outputSize.height){
+      canvas.width = outputSize.width;
+      canvas.height = outputSize.height;
+    }
+    draw();
+    layoutCanvas();
+  }
+
+  window.addEventListener('resize', layoutCanvas);
+
+  // Set the zoom (relative to fit), keeping the output point under (ax, ay) in canvas-area pixels in place
+  // (default: the middle of the area)
+  function setZoom(zoom, ax, ay){
+    const area = canvasArea.getBoundingClientRect();
+    if(ax===undefined){ ax = area.width/2; ay = area.height/2; }
+    const before = canvasBox();
+    const u = (ax - before.left) / before.width, v = (ay - before.top) / before.height;
+    view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    const after = canvasBox();
+    view.x += ax - (after.left + u * after.width);
+    view.y += ay - (after.top + v * after.height);
+    clampPan();
+    layoutCanvas();
+  }
+
+  // keep at least a corner of the output on screen
+  function clampPan(){
+    const area = canvasArea.getBoundingClientRect();
+    const box = canvasBox();
+    const mx = Math.max(0, (area.width + box.width)/2 - 40), my = Math.max(0, (area.height + box.height)/2 - 40);
+    view.x = Math.min(mx, Math.max(-mx, view.x));
+    view.y = Math.min(my, Math.max(-my, view.y));
+  }
+
+  function zoomToFit(){
+    view.zoom = 1; view.x = 0; view.y = 0;
+    layoutCanvas();
+  }
 
-  // Default corner positions (normalized) in container coordinates
+  // Default corner positions (normalized) as fractions of the output raster
   let corners = [
     {x:0,y:0},
     {x:1,y:0},
     {x:1,y:1},
     {x:0,y:1}
   ];
+  // how the global image is placed into the corner quad: 'perspective' (true homography), 'bilinear'
+  // or 'mesh' (smooth interpolation through an editable control grid, see meshGrid)
+  let warpMode = 'perspective';
+  // control grid for the global image in 'mesh' mode: {cols, rows, points:[{x,y}] row-major, cols*rows points}
+  let meshGrid = null;
 
-  // Create handle elements
+  // Global surface handles: the four corners, or every control point when the global image uses a mesh grid.
+  // While a projector is being viewed they edit that projector's corners instead.
   const handleEls = [];
-  for(let i=0;i<4;i++){
-    const h = document.createElement('div');
-    h.className='handle';
-    h.dataset.i = i;
-    handlesEl.appendChild(h);
-    handleEls.push(h);
+  function globalHandlePoints(){
+    const proj = viewedProjector();
+    if(proj) return proj.corners;
+    return warpMode==='mesh' && meshGrid ? meshGrid.points : corners;
+  }
+  function syncHandleEls(){
+    const n = globalHandlePoints().length;
+    while(handleEls.length > n) handleEls.pop().remove();
+    while(handleEls.length < n){
+      const h = document.createElement('div');
+      h.className='handle';
+      h.dataset.i = handleEls.length;
+      // Attach pointer events to handles (support touch and mouse)
+      h.addEventListener('pointerdown', e => { e.preventDefault(); h.setPointerCapture(e.pointerId); startDrag(Number(h.dataset.i), e.clientX, e.clientY); });
+      h.addEventListener('pointermove', e => { if(e.pressure===0) return; moveDrag(e.clientX,e.clientY); });
+      h.addEventListener('pointerup', e => { endDrag(); h.releasePointerCapture && h.releasePointerCapture(e.pointerId); });
+      h.addEventListener('lostpointercapture', e => endDrag());
+      handlesEl.appendChild(h);
+      handleEls.push(h);
+    }
+    handleEls.forEach(el=> el.classList.toggle('mesh-point', warpMode==='mesh' && !viewedProjector()));
   }
 
   // Shapes support -----------------------------------------------------------------
-  let shapes = []; // {id, type:'polygon'|'circle', points:[{x,y}], center?, radius?}
+  let shapes = []; // {id, type:'triangle'|'rectangle'|'polygon'|'circle', points:[{x,y}], center?, radius?, warp?, grid?, curves?}
   let selectedShapeId = null;
+  // every selected shape (shift-click adds and removes); selectedShapeId is the one among them whose vertices,
+  // warp and mapping are edited
+  let selectedIds = new Set();
   let shapeIdCounter = 1;
+  let contentGroups = []; // shapes sharing one source, see Content groups
+  let groupIdCounter = 1;
   let needsAnimation = false;
   let animFrame = null;
 
   function createShape(type){
+    beginChange();
     const id = 's'+(shapeIdCounter++);
     const center = {x:0.5 + (Math.random()-0.5)*0.1, y:0.45 + (Math.random()-0.5)*0.1};
     let shape = {id, type};
@@ -86,13 +258,15 @@
         {x:center.x+w/2,y:center.y+h/2},
         {x:center.x-w/2,y:center.y+h/2}
       ];
+      shape.warp = 'perspective';
     }else if(type==='circle'){
       shape.center = center;
       shape.radius = 0.08;
       // represent circle by two handles: center and circumference point (we'll synthesize points for rendering)
     }
     shapes.push(shape);
-    selectedShapeId = id;
+    selectShape(id);
+    commitChange();
     renderShapesUI();
     renderOverlay();
     updateShapeHandles();
@@ -100,15 +274,16 @@
   }
 
   function deleteSelectedShape(){
-    if(!selectedShapeId) return;
-    const removed = shapes.filter(s=>s.id===selectedShapeId);
+    const removed = selectedShapes();
+    if(!removed.length) return;
+    beginChange();
     // cleanup resources for removed shapes
-    removed.forEach(s=>{
-      if(s._url){ try{ URL.revokeObjectURL(s._url); }catch(e){} s._url = null; }
-      if(s.video){ try{ s.video.pause(); } catch(e){} s.video = null; }
-    });
-    shapes = shapes.filter(s=>s.id!==selectedShapeId);
-    selectedShapeId = shapes.length? shapes[0].id : null;
+    removed.forEach(s=>{ releaseMedia(s.video || s.image); s._url = null; s.video = null; s.image = null; });
+    removed.forEach(s=>{ if(shapes.indexOf(s) < globalLayer.z) globalLayer.z--; });
+    shapes = shapes.filter(s=> !removed.includes(s));
+    dropEmptyGroups();
+    selectShape(shapes.length? shapes[0].id : null);
+    commitChange();
     renderShapesUI();
     renderOverlay();
     updateShapeHandles();
@@ -118,37 +293,355 @@
     draw();
   }
 
+  // Select a shape (null: the global image). additive toggles it in the current selection instead.
+  function selectShape(id, additive){
+    if(!additive){ selectedIds = new Set(id ? [id] : []); selectedShapeId = id || null; return; }
+    if(selectedIds.has(id)){
+      selectedIds.delete(id);
+      if(selectedShapeId===id) selectedShapeId = selectedIds.size ? Array.from(selectedIds).pop() : null;
+    } else { selectedIds.add(id); selectedShapeId = id; }
+  }
+
+  function isSelected(id){ return selectedIds.has(id); }
+  function selectedShapes(){ return shapes.filter(s=> selectedIds.has(s.id)); }
+  function refreshSelection(){ renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); }
+
+  // Freeform polygons ----------------------------------------------------------------
+  // type 'polygon' shapes have any number of points and optional curves: curves[i] is null for a straight edge
+  // from points[i] to points[i+1] (wrapping), or {c1, c2} cubic Bezier control points for a curved one.
+  // Click "Add polygon" and click vertices on the canvas; click the first vertex (or press Enter) to close it,
+  // Escape cancels. On a selected polygon: click an edge to insert a vertex, Alt-click a vertex to delete it,
+  // Alt-click an edge to toggle it between straight and curved.
+  let drawingPolygon = null; // points placed so far while drawing a new polygon
+
+  function startPolygonDrawing(){
+    drawingPolygon = [];
+    selectShape(null);
+    canvasArea.classList.add('drawing');
+    renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions();
+  }
+
+  function finishPolygonDrawing(){
+    const pts = drawingPolygon;
+    drawingPolygon = null;
+    canvasArea.classList.remove('drawing');
+    if(pts && pts.length>=3) recordChange(()=>{
+      const id = 's'+(shapeIdCounter++);
+      shapes.push({id, type:'polygon', points: pts, curves: pts.map(()=>null)});
+      selectShape(id);
+    });
+    renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); draw();
+  }
+
+  function cancelPolygonDrawing(){
+    drawingPolygon = null;
+    canvasArea.classList.remove('drawing');
+    renderOverlay(); updateHandlePositions();
+  }
+
+  // place the next vertex; clicking near the first one closes the polygon
+  function addDrawingVertex(x, y){
+    const rect = canvas.getBoundingClientRect();
+    const first = drawingPolygon[0];
+    if(first && drawingPolygon.length>=3 && Math.hypot((first.x-x)*rect.width, (first.y-y)*rect.height) < 12){ finishPolygonDrawing(); return; }
+    drawingPolygon.push({x, y});
+    renderOverlay();
+  }
+
+  function edgeCurve(s, i){ return s.curves && s.curves[i] || null; }
+
+  // point on edge i of a shape at parameter t (follows the Bezier curve for curved edges)
+  function edgePoint(s, i, t){
+    const a = s.points[i], b = s.points[(i+1)%s.points.length];
+    const c = edgeCurve(s, i);
+    if(!c) return {x: a.x + (b.x-a.x)*t, y: a.y + (b.y-a.y)*t};
+    const mt = 1-t;
+    const k0 = mt*mt*mt, k1 = 3*mt*mt*t, k2 = 3*mt*t*t, k3 = t*t*t;
+    return {x: k0*a.x + k1*c.c1.x + k2*c.c2.x + k3*b.x, y: k0*a.y + k1*c.c1.y + k2*c.c2.y + k3*b.y};
+  }
+
+  // outline of a point-based shape as a polygon, curved edges sampled into segments
+  function flattenShape(s, steps){
+    const out = [];
+    s.points.forEach((p,i)=>{
+      if(!edgeCurve(s, i)){ out.push(p); return; }
+      for(let k=0;k<(steps||16);k++) out.push(edgePoint(s, i, k/(steps||16)));
+    });
+    return out;
+  }
+
+  // trace the outline of a point-based shape into context g (scaled to w x h)
+  function traceShapePath(g, s, w, h){
+    const pts = s.points;
+    g.beginPath();
+    g.moveTo(pts[0].x*w, pts[0].y*h);
+    pts.forEach((p,i)=>{
+      const b = pts[(i+1)%pts.length], c = edgeCurve(s, i);
+      if(c) g.bezierCurveTo(c.c1.x*w, c.c1.y*h, c.c2.x*w, c.c2.y*h, b.x*w, b.y*h);
+      else g.lineTo(b.x*w, b.y*h);
+    });
+    g.closePath();
+  }
+
+  // SVG path data for the outline of a point-based shape
+  function shapePathData(s, vw, vh){
+    const pts = s.points;
+    let d = `M${pts[0].x*vw},${pts[0].y*vh}`;
+    pts.forEach((p,i)=>{
+      const b = pts[(i+1)%pts.length], c = edgeCurve(s, i);
+      d += c ? ` C${c.c1.x*vw},${c.c1.y*vh} ${c.c2.x*vw},${c.c2.y*vh} ${b.x*vw},${b.y*vh}` : ` L${b.x*vw},${b.y*vh}`;
+    });
+    return d + ' Z';
+  }
+
+  function pointInPolygon(pts, x, y){
+    let inside = false;
+    for(let i=0, j=pts.length-1; i<pts.length; j=i++){
+      const a = pts[i], b = pts[j];
+      if((a.y>y) !== (b.y>y) && x < (b.x-a.x)*(y-a.y)/(b.y-a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  // nearest edge of a polygon to a point, in canvas CSS pixels: {edge, t, dist}
+  function nearestEdge(s, x, y, vw, vh){
+    let best = {edge:-1, t:0, dist:Infinity};
+    s.points.forEach((p,i)=>{
+      const steps = edgeCurve(s, i) ? 32 : 1;
+      for(let k=0;k<steps;k++){
+        const a = edgePoint(s, i, k/steps), b = edgePoint(s, i, (k+1)/steps);
+        const ax = a.x*vw, ay = a.y*vh, bx = b.x*vw, by = b.y*vh, px = x*vw, py = y*vh;
+        const len2 = (bx-ax)*(bx-ax) + (by-ay)*(by-ay);
+        const u = len2 ? Math.max(0, Math.min(1, ((px-ax)*(bx-ax) + (py-ay)*(by-ay)) / len2)) : 0;
+        const dist = Math.hypot(ax + (bx-ax)*u - px, ay + (by-ay)*u - py);
+        if(dist < best.dist) best = {edge:i, t:(k+u)/steps, dist};
+      }
+    });
+    return best;
+  }
+
+  // split edge i at t; a curved edge is split with de Casteljau so the outline keeps its shape
+  function insertVertex(s, i, t){
+    const n = s.points.length;
+    const p = edgePoint(s, i, t);
+    if(!s.curves) s.curves = s.points.map(()=>null);
+    const c = edgeCurve(s, i);
+    let first = null, second = null;
+    if(c){
+      const a = s.points[i], b = s.points[(i+1)%n];
+      const lerp = (u,v)=>({x: u.x + (v.x-u.x)*t, y: u.y + (v.y-u.y)*t});
+      const ab = lerp(a, c.c1), bc = lerp(c.c1, c.c2), cd = lerp(c.c2, b);
+      const abc = lerp(ab, bc), bcd = lerp(bc, cd);
+      first = {c1: ab, c2: abc}; second = {c1: bcd, c2: cd};
+    }
+    insertVertexUV(s, i, t);
+    s.points.splice(i+1, 0, p);
+    s.curves.splice(i, 1, first, second);
+    return i+1;
+  }
+
+  function deleteVertex(s, i){
+    if(s.points.length<=3) return;
+    deleteVertexUV(s, i);
+    s.points.splice(i, 1);
+    // the edges before and after the vertex merge into one straight edge
+    if(s.curves){ s.curves.splice(i, 1); s.curves[(i-1+s.points.length)%s.points.length] = null; }
+  }
+
+  function toggleEdgeCurve(s, i){
+    if(!s.curves) s.curves = s.points.map(()=>null);
+    if(s.curves[i]){ s.curves[i] = null; return; }
+    s.curves[i] = {c1: edgePoint(s, i, 1/3), c2: edgePoint(s, i, 2/3)};
+  }
+
+  // pointerdown on the selected polygon's outline: insert a vertex and drag it, or toggle the edge curve (Alt)
+  function polygonEdgePointer(s, e){
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left)/rect.width, y = (e.clientY - rect.top)/rect.height;
+    const hit = nearestEdge(s, x, y, rect.width, rect.height);
+    if(hit.edge<0 || hit.dist > 10 || s.locked) return false;
+    // inserting a vertex and dragging it is one history entry
+    beginChange();
+    if(e.altKey){ toggleEdgeCurve(s, hit.edge); commitChange(); }
+    else { const idx = insertVertex(s, hit.edge, hit.t); startDragShape(s.id, idx, e.clientX, e.clientY); }
+    renderOverlay(); updateShapeHandles(); draw();
+    return true;
+  }
+
+  // The shapes list is the layer panel: top of the list is the top of the stack. Rows can be dragged to reorder,
+  // and each has visibility, lock, opacity and blend mode controls. The global image is listed as a layer too.
   function renderShapesUI(){
     shapesListEl.innerHTML='';
-    shapes.forEach(s=>{
-      const div = document.createElement('div'); div.className='shape-item';
-      const name = document.createElement('div'); name.className='name'; name.textContent = s.type + ' ('+s.id+')';
-      const btns = document.createElement('div');
-  const sel = document.createElement('button'); sel.className='selectBtn'; sel.textContent = selectedShapeId===s.id? 'Selected' : 'Select';
-  sel.addEventListener('click', ()=>{ selectedShapeId = s.id; renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); });
-      const del = document.createElement('button'); del.className='selectBtn'; del.textContent='Delete'; del.addEventListener('click', ()=>{
-        // cleanup resources for this shape
-        const removed = shapes.filter(x=>x.id===s.id);
-        removed.forEach(r=>{ if(r._url){ try{ URL.revokeObjectURL(r._url); }catch(e){} r._url=null; } if(r.video){ try{ r.video.pause(); }catch(e){} r.video=null; } });
-        shapes = shapes.filter(x=>x.id!==s.id);
-        if(selectedShapeId===s.id) selectedShapeId=null;
-        renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); updateAnimationLoop(); draw();
+    layerStack().slice().reverse().forEach(layer=>{
+      const isGlobal = layer===globalLayer;
+      const selected = isGlobal ? !selectedShapeId : isSelected(layer.id);
+      const div = document.createElement('div'); div.className='shape-item layer-item';
+      div.classList.toggle('selected', selected);
+      div.classList.toggle('hidden-layer', layer.visible===false);
+      div.classList.toggle('mask-layer', isMask(layer));
+      // drag to reorder: dropping a row onto another puts it in that row's place
+      div.draggable = true;
+      div.addEventListener('dragstart', e=>{ e.dataTransfer.setData('text/plain', layer.id); e.dataTransfer.effectAllowed = 'move'; });
+      div.addEventListener('dragover', e=>{ e.preventDefault(); div.classList.add('drop-target'); });
+      div.addEventListener('dragleave', ()=> div.classList.remove('drop-target'));
+      div.addEventListener('drop', e=>{
+        e.preventDefault();
+        const id = e.dataTransfer.getData('text/plain');
+        if(!id || id===layer.id) return;
+        recordChange(()=> moveLayer(id, layerStack().indexOf(layer)));
+        renderShapesUI(); renderOverlay(); draw();
       });
-      btns.appendChild(sel); btns.appendChild(del);
-      div.appendChild(name); div.appendChild(btns);
+      const name = document.createElement('div'); name.className='name'; name.textContent = layerName(layer);
+      const btns = document.createElement('div');
+      const vis = document.createElement('button'); vis.className='selectBtn'; vis.textContent = layer.visible===false ? 'Show' : 'Hide';
+      vis.addEventListener('click', ()=>{ recordChange(()=>{ layer.visible = layer.visible===false; }); renderShapesUI(); renderOverlay(); draw(); });
+      const lock = document.createElement('button'); lock.className='selectBtn'; lock.textContent = layer.locked ? 'Unlock' : 'Lock';
+      lock.addEventListener('click', ()=>{ recordChange(()=>{ layer.locked = !layer.locked; }); renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); });
+      const sel = document.createElement('button'); sel.className='selectBtn'; sel.textContent = selected? 'Selected' : 'Select';
+      sel.title = 'Shift-click to add to or remove from the selection';
+      sel.addEventListener('click', e=>{ selectShape(isGlobal ? null : layer.id, e.shiftKey && !isGlobal); refreshSelection(); });
+      btns.appendChild(vis); btns.appendChild(lock); btns.appendChild(sel);
+      if(!isGlobal){
+        const del = document.createElement('button'); del.className='selectBtn'; del.textContent='Delete'; del.addEventListener('click', ()=>{
+          beginChange();
+          // cleanup resources for this shape
+          const removed = shapes.filter(x=>x.id===layer.id);
+          removed.forEach(r=>{ releaseMedia(r.video || r.image); r._url = null; r.video = null; r.image = null; });
+          // keep the global layer where it is in the stack
+          if(shapes.indexOf(layer) < globalLayer.z) globalLayer.z--;
+          shapes = shapes.filter(x=>x.id!==layer.id);
+          dropEmptyGroups();
+          if(isSelected(layer.id)) selectShape(layer.id, true);
+          commitChange();
+          renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); updateAnimationLoop(); draw();
+        });
+        btns.appendChild(del);
+      }
+      const props = document.createElement('div'); props.className='layer-props';
+      const opacity = document.createElement('input'); opacity.type='range'; opacity.min=0; opacity.max=100;
+      opacity.value = Math.round((layer.opacity===undefined ? 1 : layer.opacity) * 100);
+      opacity.title = 'Opacity';
+      // a whole slider drag is one history entry
+      opacity.addEventListener('input', ()=>{ beginChange(); layer.opacity = Number(opacity.value)/100; draw(); });
+      opacity.addEventListener('change', commitChange);
+      const blend = document.createElement('select'); blend.title = 'Blend mode';
+      Object.keys(BLEND_MODES).forEach(k=>{ const o = document.createElement('option'); o.value = k; o.textContent = BLEND_MODES[k]; blend.appendChild(o); });
+      blend.value = layer.blend || 'source-over';
+      blend.disabled = isMask(layer); // masks always cut out
+      blend.addEventListener('change', ()=>{ recordChange(()=>{ layer.blend = blend.value; }); draw(); });
+      props.appendChild(opacity); props.appendChild(blend);
+      div.appendChild(name); div.appendChild(btns); div.appendChild(props);
+      if(layer.id===selectedShapeId) div.appendChild(renderMaskControls(layer));
+      if(!isMask(layer)){
+        if(layer.id===selectedShapeId) div.appendChild(shapeGroup(layer) ? renderGroupControls(layer) : renderMappingControls(layer));
+        if(isGlobal ? !selectedShapeId : layer.id===selectedShapeId) div.appendChild(renderColorControls(layer));
+        if(layerVideo(layer)) div.appendChild(renderVideoControls(layer));
+      }
       shapesListEl.appendChild(div);
     });
+    syncWarpControls();
+    // audio mappings list the layers as targets
+    renderAudioMappings();
+    if(inputViewOpen) renderInputView();
+  }
+
+  // Fit mode and texture transform of a shape (shown on the selected shape's row)
+  function renderMappingControls(s){
+    const row = document.createElement('div'); row.className = 'layer-props mapping-props';
+    const fit = document.createElement('select'); fit.title = 'Fit mode';
+    Object.keys(FIT_MODES).forEach(k=>{ const o = document.createElement('option'); o.value = k; o.textContent = FIT_MODES[k]; fit.appendChild(o); });
+    fit.value = shapeFit(s);
+    fit.addEventListener('change', ()=>{ recordChange(()=>{ s.fit = fit.value; }); draw(); });
+    row.appendChild(fit);
+    // edit a full copy so untouched values keep their defaults when the first field changes
+    const tex = shapeTex(s);
+    const apply = ()=>{ s.tex = Object.assign({}, tex); draw(); };
+    row.appendChild(numberField('x', tex, 'x', -2, 2, 0.01, apply));
+    row.appendChild(numberField('y', tex, 'y', -2, 2, 0.01, apply));
+    row.appendChild(numberField('scale', tex, 'scale', 0.05, 20, 0.05, apply));
+    row.appendChild(numberField('rot', tex, 'rotation', -360, 360, 1, apply));
+    if(layerUV(s)){
+      row.querySelectorAll('select, input').forEach(el=>{ el.disabled = true; });
+      row.title = 'Set in the input view (Reset there to fit the whole source again)';
+    }
+    return row;
+  }
+
+  // The warp mode control edits the selected rectangle shape, or the global image when nothing is selected
+  function warpTarget(){
+    // projectors always use a perspective (keystone) warp of their corners
+    if(viewedProjector()) return null;
+    const s = selectedShapeId && shapes.find(x=>x.id===selectedShapeId);
+    if(s) return s.type==='rectangle' ? s : null;
+    return 'global';
+  }
+
+  function syncWarpControls(){
+    const target = warpTarget();
+    warpModeSelect.disabled = !target;
+    meshColsInput.disabled = meshRowsInput.disabled = !target;
+    warpModeSelect.value = target==='global' ? warpMode : (target ? (target.warp || 'perspective') : 'perspective');
+    warpModeLabel.textContent = target==='global' ? 'Warp mode (global image)' : target ? 'Warp mode ('+target.id+')' : viewedProjector() ? 'Warp mode (projectors use perspective)' : 'Warp mode (select a rectangle or the global image)';
+    const grid = target==='global' ? meshGrid : target && target.grid;
+    meshGridRow.hidden = warpModeSelect.value!=='mesh';
+    if(grid){ meshColsInput.value = grid.cols; meshRowsInput.value = grid.rows; }
+    syncCalibrationControls();
+  }
+
+  // Mesh control grids -------------------------------------------------------------
+  // Build a cols x rows control grid by sampling a normalized mapping (u,v) -> {x,y}
+  function makeGrid(cols, rows, map){
+    const points = [];
+    for(let j=0;j<rows;j++){
+      for(let i=0;i<cols;i++){ const p = map(i/(cols-1), j/(rows-1)); points.push({x:p.x, y:p.y}); }
+    }
+    return {cols, rows, points};
+  }
+
+  function catmullRom(p0, p1, p2, p3, t){
+    const t2 = t*t, t3 = t2*t;
+    return 0.5*((2*p1) + (p2-p0)*t + (2*p0-5*p1+4*p2-p3)*t2 + (3*p1-p0-3*p2+p3)*t3);
+  }
+
+  // Smooth (bicubic Catmull-Rom) surface through every control point of a grid. Rows are interpolated first,
+  // then the results across rows. Beyond the border the grid is extrapolated linearly so edges don't curl,
+  // which makes a 2x2 grid identical to the bilinear warp.
+  function gridMapper(grid){
+    const {cols, rows, points} = grid;
+    const spline = (q, t) => ({ x: catmullRom(q[0].x, q[1].x, q[2].x, q[3].x, t), y: catmullRom(q[0].y, q[1].y, q[2].y, q[3].y, t) });
+    const window4 = (get, n, k) => [k-1, k, k+1, k+2].map(i=>{
+      if(i<0){ const a = get(0), b = get(1); return {x: 2*a.x-b.x, y: 2*a.y-b.y}; }
+      if(i>=n){ const a = get(n-1), b = get(n-2); return {x: 2*a.x-b.x, y: 2*a.y-b.y}; }
+      return get(i);
+    });
+    const segment = (t, n) => { const g = Math.min(1, Math.max(0, t)) * (n-1); const k = Math.min(n-2, Math.floor(g)); return [k, g-k]; };
+    return (u,v)=>{
+      const [ci, tu] = segment(u, cols), [rj, tv] = segment(v, rows);
+      const rowAt = j => spline(window4(i => points[j*cols+i], cols, ci), tu);
+      return spline(window4(rowAt, rows, rj), tv);
+    };
+  }
+
+  // keep a surface's outer quad in step with the corner points of its control grid
+  function syncQuadFromGrid(quad, grid){
+    const {cols, rows, points} = grid;
+    [0, cols-1, rows*cols-1, (rows-1)*cols].forEach((k,i)=>{ quad[i].x = points[k].x; quad[i].y = points[k].y; });
+  }
+
+  function gridMatchesQuad(grid, quad){
+    const {cols, rows, points} = grid;
+    return [0, cols-1, rows*cols-1, (rows-1)*cols].every((k,i)=> Math.abs(points[k].x-quad[i].x) < 1e-9 && Math.abs(points[k].y-quad[i].y) < 1e-9);
+  }
+
+  // Normalized mapping (u,v) -> {x,y} of a surface given its quad, warp mode and optional control grid
+  function surfaceMap(quad, mode, grid){
+    return mode==='mesh' && grid ? gridMapper(grid) : quadMapper(quad, mode);
   }
 
   function renderOverlay(){
     // Use CSS pixel dimensions (bounding client rect) for the SVG viewBox so overlay aligns with the visible canvas
     const rect = canvas.getBoundingClientRect();
     const vw = rect.width, vh = rect.height;
-  // Make the SVG fill the canvas-area container so its local (0,0)-(width,height) matches the canvas
-  overlaySvg.style.left = '0px';
-  overlaySvg.style.top = '0px';
-  overlaySvg.style.width = '100%';
-  overlaySvg.style.height = '100%';
     overlaySvg.setAttribute('viewBox', `0 0 ${vw} ${vh}`);
     overlaySvg.setAttribute('preserveAspectRatio','none');
     overlaySvg.innerHTML = '';
@@ -157,19 +650,90 @@
         const cx = s.center.x * vw; const cy = s.center.y * vh; const r = s.radius * Math.min(vw, vh);
         const cir = document.createElementNS('http://www.w3.org/2000/svg','circle');
         cir.setAttribute('cx',cx); cir.setAttribute('cy',cy); cir.setAttribute('r',r);
-        if(s.id===selectedShapeId) cir.classList.add('selected');
-        cir.addEventListener('pointerdown', e=>{ selectedShapeId = s.id; renderShapesUI(); updateShapeHandles(); updateHandlePositions(); });
+        if(isSelected(s.id)) cir.classList.add('selected');
+        if(isMask(s)) cir.classList.add('mask');
+        if(s.visible===false) cir.classList.add('hidden-layer');
+        if(s.locked) cir.classList.add('locked');
+        cir.addEventListener('pointerdown', e=> shapeBodyPointer(s, e));
         overlaySvg.appendChild(cir);
+      } else if(s.type==='polygon'){
+        const path = document.createElementNS('http://www.w3.org/2000/svg','path');
+        path.setAttribute('d', shapePathData(s, vw, vh));
+        if(isSelected(s.id)) path.classList.add('selected');
+        if(isMask(s)) path.classList.add('mask');
+        if(s.visible===false) path.classList.add('hidden-layer');
+        if(s.locked) path.classList.add('locked');
+        path.addEventListener('pointerdown', e=>{
+          if(s.id===selectedShapeId && !e.shiftKey && polygonEdgePointer(s, e)){ e.stopPropagation(); return; }
+          shapeBodyPointer(s, e);
+        });
+        overlaySvg.appendChild(path);
+        // tangent lines from vertices to the curve control points of the selected polygon
+        if(s.id===selectedShapeId) (s.curves || []).forEach((c,i)=>{
+          if(!c) return;
+          const a = s.points[i], b = s.points[(i+1)%s.points.length];
+          [[a, c.c1], [b, c.c2]].forEach(([p, q])=>{
+            const l = document.createElementNS('http://www.w3.org/2000/svg','line');
+            l.setAttribute('x1', p.x*vw); l.setAttribute('y1', p.y*vh); l.setAttribute('x2', q.x*vw); l.setAttribute('y2', q.y*vh);
+            l.classList.add('control-line');
+            overlaySvg.appendChild(l);
+          });
+        });
       } else {
-        // polygon
-        const pts = s.points.map(p => `${p.x*vw},${p.y*vh}`).join(' ');
+        // polygon (mesh-warped rectangles follow their curved outline)
+        const pts = shapeOutline(s, vw, vh).map(p => `${p.x*vw},${p.y*vh}`).join(' ');
         const poly = document.createElementNS('http://www.w3.org/2000/svg','polygon');
         poly.setAttribute('points', pts);
-        if(s.id===selectedShapeId) poly.classList.add('selected');
-        poly.addEventListener('pointerdown', e=>{ selectedShapeId = s.id; renderShapesUI(); updateShapeHandles(); updateHandlePositions(); });
+        if(isSelected(s.id)) poly.classList.add('selected');
+        if(isMask(s)) poly.classList.add('mask');
+        if(s.visible===false) poly.classList.add('hidden-layer');
+        if(s.locked) poly.classList.add('locked');
+        poly.addEventListener('pointerdown', e=> shapeBodyPointer(s, e));
         overlaySvg.appendChild(poly);
+        if(s.id===selectedShapeId && s.type==='rectangle' && s.warp==='mesh' && s.grid) appendGridLines(s.grid, vw, vh);
       }
     });
+    if(!selectedShapeId && warpMode==='mesh' && meshGrid) appendGridLines(meshGrid, vw, vh);
+    appendTransformOverlay(vw, vh);
+    // polygon being drawn
+    if(drawingPolygon && drawingPolygon.length){
+      const line = document.createElementNS('http://www.w3.org/2000/svg','polyline');
+      line.setAttribute('points', drawingPolygon.map(p => `${p.x*vw},${p.y*vh}`).join(' '));
+      line.classList.add('drawing');
+      overlaySvg.appendChild(line);
+      drawingPolygon.forEach((p,i)=>{
+        const dot = document.createElementNS('http://www.w3.org/2000/svg','circle');
+        dot.setAttribute('cx', p.x*vw); dot.setAttribute('cy', p.y*vh); dot.setAttribute('r', i===0 ? 7 : 4);
+        dot.classList.add('drawing-vertex');
+        overlaySvg.appendChild(dot);
+      });
+    }
+  }
+
+  // Points along the border of a normalized surface mapping, clockwise from the top-left corner
+  function surfaceOutline(map, steps){
+    const pts = [];
+    for(let k=0;k<steps;k++) pts.push(map(k/steps, 0));
+    for(let k=0;k<steps;k++) pts.push(map(1, k/steps));
+    for(let k=steps;k>0;k--) pts.push(map(k/steps, 1));
+    for(let k=steps;k>0;k--) pts.push(map(0, k/steps));
+    return pts;
+  }
+
+  // Draw the interpolated rows and columns of a control grid into the overlay
+  function appendGridLines(grid, vw, vh){
+    const map = gridMapper(grid);
+    const steps = 24;
+    const line = sample => {
+      const el = document.createElementNS('http://www.w3.org/2000/svg','polyline');
+      const pts = [];
+      for(let k=0;k<=steps;k++){ const p = sample(k/steps); pts.push(`${p.x*vw},${p.y*vh}`); }
+      el.setAttribute('points', pts.join(' '));
+      el.classList.add('mesh-line');
+      overlaySvg.appendChild(el);
+    };
+    for(let j=0;j<grid.rows;j++) line(t => map(t, j/(grid.rows-1)));
+    for(let i=0;i<grid.cols;i++) line(t => map(i/(grid.cols-1), t));
   }
 
   function updateShapeHandles(){
@@ -185,155 +749,704 @@
     if(s.type==='circle'){
       // center handle
       const cen = document.createElement('div'); cen.className = 'shape-handle'; cen.dataset.shape = s.id; cen.dataset.idx = 0;
+      if(s.locked) cen.classList.add('locked');
       cen.style.left = (s.center.x * parentWidth) + 'px'; cen.style.top = (s.center.y * parentHeight) + 'px';
       shapeHandlesEl.appendChild(cen);
       // radius handle at angle 0
       const rpoint = {x: s.center.x + s.radius, y: s.center.y};
       const edge = document.createElement('div'); edge.className='shape-handle'; edge.dataset.shape = s.id; edge.dataset.idx = 1;
+      if(s.locked) edge.classList.add('locked');
       edge.style.left = (rpoint.x * parentWidth) + 'px'; edge.style.top = (rpoint.y * parentHeight) + 'px';
       shapeHandlesEl.appendChild(edge);
     } else {
-      s.points.forEach((p,idx)=>{
+      // mesh-warped rectangles expose every control point of their grid
+      const pts = s.type==='rectangle' && s.warp==='mesh' && s.grid ? s.grid.points : s.points;
+      pts.forEach((p,idx)=>{
         const h = document.createElement('div'); h.className='shape-handle'; h.dataset.shape = s.id; h.dataset.idx = idx;
+        if(s.locked) h.classList.add('locked');
         h.style.left = (p.x * parentWidth) + 'px'; h.style.top = (p.y * parentHeight) + 'px';
         shapeHandlesEl.appendChild(h);
       });
     }
+    // curve control points of a polygon's curved edges
+    if(s.type==='polygon') (s.curves || []).forEach((c,i)=>{
+      if(!c) return;
+      ['c1','c2'].forEach(key=>{
+        const h = document.createElement('div'); h.className='shape-handle control-handle'; h.dataset.shape = s.id; h.dataset.idx = i; h.dataset.ctrl = key;
+        if(s.locked) h.classList.add('locked');
+        h.style.left = (c[key].x * parentWidth) + 'px'; h.style.top = (c[key].y * parentHeight) + 'px';
+        shapeHandlesEl.appendChild(h);
+      });
+    });
     // attach pointer events to shape handles
     Array.from(shapeHandlesEl.children).forEach(el=>{
-      el.addEventListener('pointerdown', e=>{ e.preventDefault(); el.setPointerCapture && el.setPointerCapture(e.pointerId); startDragShape(el.dataset.shape, Number(el.dataset.idx), e.clientX, e.clientY); });
+      el.addEventListener('pointerdown', e=>{
+        e.preventDefault();
+        // Alt-click removes a polygon vertex
+        if(e.altKey && s.type==='polygon' && !el.dataset.ctrl && !s.locked){
+          recordChange(()=> deleteVertex(s, Number(el.dataset.idx)));
+          renderOverlay(); updateShapeHandles(); draw();
+          return;
+        }
+        el.setPointerCapture && el.setPointerCapture(e.pointerId);
+        startDragShape(el.dataset.shape, Number(el.dataset.idx), e.clientX, e.clientY, el.dataset.ctrl);
+      });
       el.addEventListener('pointermove', e=>{ if(e.pressure===0) return; moveDrag(e.clientX, e.clientY); });
       el.addEventListener('pointerup', e=>{ endDrag(); el.releasePointerCapture && el.releasePointerCapture(e.pointerId); });
       el.addEventListener('lostpointercapture', e=> endDrag());
     });
+    appendGizmoHandles(parentWidth, parentHeight);
   }
 
   // shape drag state
   let active = null; // reuse active var (overrides earlier definition) - supports both corner and shape drags
-  function startDragShape(shapeId, idx, clientX, clientY){ active = {type:'shape', shapeId, idx, startX:clientX, startY:clientY}; }
+  // ctrl ('c1'|'c2') drags a curve control point of edge idx instead of vertex idx
+  function startDragShape(shapeId, idx, clientX, clientY, ctrl){
+    // locked layers keep their geometry
+    if(isLocked(shapes.find(x=>x.id===shapeId))) return;
+    const rect = canvas.getBoundingClientRect();
+    active = {type:'shape', shapeId, idx, ctrl, startX:clientX, startY:clientY, snap: snapTargets([shapeId], rect.width, rect.height)};
+    beginChange();
+  }
 
   function updateHandlePositions(){
     // Use the canvas bounding rect (CSS pixels) so handle positions match the visible canvas exactly
     const rect = canvas.getBoundingClientRect();
     const parentWidth = rect.width;
     const parentHeight = rect.height;
+    syncHandleEls();
+    const pts = globalHandlePoints();
     handleEls.forEach((el,i)=>{
-      const c = corners[i];
+      const c = pts[i];
       el.style.left = (c.x * parentWidth) + 'px';
       el.style.top = (c.y * parentHeight) + 'px';
       // hide corner handles when a shape is selected
       el.style.display = selectedShapeId ? 'none' : 'block';
+      el.classList.toggle('locked', !viewedProjector() && isLocked(globalLayer));
     });
   }
 
   // Interaction: unified pointer logic
-  function startDrag(i, clientX, clientY){ active = {type:'corner', i, startX:clientX, startY:clientY}; }
-  function moveDrag(clientX, clientY){
+  function startDrag(i, clientX, clientY){
+    // projector corners are not part of the layer stack, so only the global layer's lock applies to its own handles
+    if(!viewedProjector() && isLocked(globalLayer)) return;
+    active = {type:'corner', i, startX:clientX, startY:clientY};
+    beginChange();
+  }
+  function moveDrag(clientX, clientY, shiftKey){
     if(!active) return;
     const rect = canvas.getBoundingClientRect();
-    const nx = (clientX - rect.left)/rect.width;
-    const ny = (clientY - rect.top)/rect.height;
+    let nx = (clientX - rect.left)/rect.width;
+    let ny = (clientY - rect.top)/rect.height;
     if(active.type==='corner'){
-      corners[active.i].x = Math.min(1,Math.max(0,nx));
-      corners[active.i].y = Math.min(1,Math.max(0,ny));
+      const p = globalHandlePoints()[active.i];
+      p.x = Math.min(1,Math.max(0,nx));
+      p.y = Math.min(1,Math.max(0,ny));
+      if(!viewedProjector() && warpMode==='mesh' && meshGrid){ syncQuadFromGrid(corners, meshGrid); renderOverlay(); }
       updateHandlePositions();
       draw();
     } else if(active.type==='shape'){
       const s = shapes.find(x=>x.id===active.shapeId);
       if(!s) return;
+      // vertices and circle centres snap; curve control points and the radius handle move freely
+      snapMark = null;
+      if(!active.ctrl && !(s.type==='circle' && active.idx===1)){
+        const hit = snapTo({x: nx*rect.width, y: ny*rect.height}, active.snap);
+        if(hit){ nx = hit.x/rect.width; ny = hit.y/rect.height; snapMark = hit; }
+      }
       if(s.type==='circle'){
         if(active.idx===0){ // center
           s.center.x = nx; s.center.y = ny;
         } else { // radius handle
           const dx = nx - s.center.x, dy = ny - s.center.y; s.radius = Math.sqrt(dx*dx+dy*dy);
         }
+      } else if(s.type==='rectangle' && s.warp==='mesh' && s.grid){
+        // mesh control point; the rectangle's corner points follow the grid
+        const p = s.grid.points[active.idx];
+        p.x = Math.min(1,Math.max(0,nx));
+        p.y = Math.min(1,Math.max(0,ny));
+        syncQuadFromGrid(s.points, s.grid);
+      } else if(active.ctrl){
+        // curve control point (may sit outside the canvas)
+        const c = s.curves[active.idx][active.ctrl];
+        c.x = nx; c.y = ny;
       } else {
         // polygon point
         const idx = active.idx;
-        s.points[idx].x = Math.min(1,Math.max(0,nx));
-        s.points[idx].y = Math.min(1,Math.max(0,ny));
+        const p = s.points[idx];
+        const x = Math.min(1,Math.max(0,nx)), y = Math.min(1,Math.max(0,ny));
+        // control points of the adjoining curved edges move along with their vertex
+        if(s.curves){
+          const n = s.points.length;
+          const before = s.curves[(idx-1+n)%n], after = s.curves[idx];
+          if(before){ before.c2.x += x-p.x; before.c2.y += y-p.y; }
+          if(after){ after.c1.x += x-p.x; after.c1.y += y-p.y; }
+        }
+        p.x = x; p.y = y;
       }
       renderOverlay();
       updateShapeHandles();
       // redraw canvas so assigned images follow the moved shape
       draw();
+    } else {
+      transformSelection(clientX - rect.left, clientY - rect.top, shiftKey);
+      renderOverlay();
+      updateShapeHandles();
+      draw();
     }
   }
-  function endDrag(){ active=null; }
+  // the whole drag gesture becomes one history entry
+  function endDrag(){
+    active=null;
+    if(snapMark){ snapMark = null; renderOverlay(); }
+    commitChange();
+  }
 
-  // Attach pointer events to handles (support touch and mouse)
-  handleEls.forEach(el => {
-    el.addEventListener('pointerdown', e => { e.preventDefault(); el.setPointerCapture(e.pointerId); startDrag(Number(el.dataset.i), e.clientX, e.clientY); });
-    el.addEventListener('pointermove', e => { if(e.pressure===0) return; moveDrag(e.clientX,e.clientY); });
-    el.addEventListener('pointerup', e => { endDrag(); el.releasePointerCapture && el.releasePointerCapture(e.pointerId); });
-    el.addEventListener('lostpointercapture', e => endDrag());
-  });
+  // Shape transforms and snapping ----------------------------------------------------
+  // Dragging a shape body moves the whole selection. The box around the selection has corner handles that scale
+  // it from the opposite corner (Shift keeps the proportions) and a handle above it that rotates it around its
+  // centre (Shift steps by 15°). Transforms are done in canvas pixels so rotations keep their angles on a
+  // non-square canvas; locked shapes stay where they are.
+  const GIZMO_PAD = 14; // px between the selection and its box
+  const GIZMO_ROTATE_OFFSET = 28; // px from the top of the box to the rotate handle
+  const SNAP_RADIUS = 8; // px
+  let snapMark = null; // pixel position of the current snap, shown in the overlay while dragging
+
+  // pointerdown on a shape in the overlay: Shift toggles it in the selection, otherwise it becomes the edited
+  // shape (an existing multi-selection is kept) and the selection is dragged along
+  function shapeBodyPointer(s, e){
+    if(e.shiftKey){ selectShape(s.id, true); refreshSelection(); return; }
+    if(isSelected(s.id)) selectedShapeId = s.id; else selectShape(s.id);
+    refreshSelection();
+    startTransform('move', e.clientX, e.clientY);
+  }
+
+  // Normalized outline of any shape (circles as a 48-gon)
+  function shapeOutline(s, vw, vh){
+    if(s.type==='circle'){
+      const r = s.radius * Math.min(vw, vh), pts = [];
+      for(let k=0;k<48;k++){ const a = k/48*2*Math.PI; pts.push({x: s.center.x + Math.cos(a)*r/vw, y: s.center.y + Math.sin(a)*r/vh}); }
+      return pts;
+    }
+    if(s.type==='rectangle' && s.warp==='mesh' && s.grid) return surfaceOutline(gridMapper(s.grid), 8);
+    return flattenShape(s);
+  }
+
+  // bounding box of the selected shapes in canvas pixels
+  function selectionBox(vw, vh){
+    const xs = [], ys = [];
+    selectedShapes().forEach(s=> shapeOutline(s, vw, vh).forEach(p=>{ xs.push(p.x*vw); ys.push(p.y*vh); }));
+    if(!xs.length) return null;
+    return {x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys)};
+  }
+
+  function shapeGeometry(s){
+    return JSON.parse(JSON.stringify({points: s.points, curves: s.curves, grid: s.grid, center: s.center, radius: s.radius}));
+  }
+
+  // set the geometry of s to geo with every point mapped through fn and the radius multiplied by k
+  function transformShape(s, geo, fn, k){
+    if(geo.points) s.points = geo.points.map(fn);
+    if(geo.curves) s.curves = geo.curves.map(c=> c && {c1: fn(c.c1), c2: fn(c.c2)});
+    if(geo.grid) s.grid = {cols: geo.grid.cols, rows: geo.grid.rows, points: geo.grid.points.map(fn)};
+    if(geo.center) s.center = fn(geo.center);
+    if(geo.radius!==undefined) s.radius = geo.radius * k;
+  }
+
+  // type: 'move' | 'scale' | 'rotate'
+  function startTransform(type, clientX, clientY, extra){
+    const movable = selectedShapes().filter(s=> !isLocked(s));
+    if(!movable.length) return;
+    const rect = canvas.getBoundingClientRect();
+    const vw = rect.width, vh = rect.height;
+    active = Object.assign({type, vw, vh, startX: clientX - rect.left, startY: clientY - rect.top,
+      items: movable.map(s=>({s, geo: shapeGeometry(s)})),
+      snap: type==='move' ? snapTargets(movable.map(s=>s.id), vw, vh) : null}, extra);
+    beginChange();
+  }
+
+  // apply the active transform for the pointer at (x, y) canvas pixels
+  function transformSelection(x, y, shiftKey){
+    const {vw, vh} = active;
+    let fn, k = 1;
+    snapMark = null;
+    if(active.type==='move'){
+      let dx = x - active.startX, dy = y - active.startY;
+      // snap whichever moved vertex lands closest to a target
+      let best = null;
+      active.items.forEach(({geo})=> (geo.points || [geo.center]).forEach(p=>{
+        const q = {x: p.x*vw + dx, y: p.y*vh + dy};
+        const hit = snapTo(q, active.snap);
+        if(hit && (!best || hit.dist < best.dist)) best = {dist: hit.dist, hit, ox: hit.x - q.x, oy: hit.y - q.y};
+      }));
+      if(best){ dx += best.ox; dy += best.oy; snapMark = best.hit; }
+      fn = p => ({x: p.x + dx/vw, y: p.y + dy/vh});
+    } else if(active.type==='scale'){
+      const {ax, ay, hx, hy} = active;
+      let sx = Math.max(0.02, (x - ax)/(hx - ax)), sy = Math.max(0.02, (y - ay)/(hy - ay));
+      if(shiftKey) sx = sy = Math.max(sx, sy);
+      fn = p => ({x: (ax + (p.x*vw - ax)*sx)/vw, y: (ay + (p.y*vh - ay)*sy)/vh});
+      k = Math.sqrt(sx*sy);
+    } else {
+      const {cx, cy} = active;
+      let a = Math.atan2(y - cy, x - cx) - Math.atan2(active.startY - cy, active.startX - cx);
+      if(shiftKey) a = Math.round(a / (Math.PI/12)) * (Math.PI/12);
+      const cos = Math.cos(a), sin = Math.sin(a);
+      fn = p => { const px = p.x*vw - cx, py = p.y*vh - cy; return {x: (cx + px*cos - py*sin)/vw, y: (cy + px*sin + py*cos)/vh}; };
+    }
+    active.items.forEach(({s, geo})=> transformShape(s, geo, fn, k));
+  }
+
+  // Corner i of the box scales from the opposite corner; the handle itself sits GIZMO_PAD outside the box
+  function appendGizmoHandles(vw, vh){
+    const box = selectionBox(vw, vh);
+    if(!box || selectedShapes().every(isLocked)) return;
+    const P = GIZMO_PAD;
+    const xs = [box.x0, box.x1, box.x1, box.x0], ys = [box.y0, box.y0, box.y1, box.y1];
+    xs.forEach((x,i)=>{
+      const o = (i+2)%4, hx = x + (x===box.x0 ? -P : P), hy = ys[i] + (ys[i]===box.y0 ? -P : P);
+      addGizmoHandle('gizmo-handle', hx, hy, e=> startTransform('scale', e.clientX, e.clientY, {ax: xs[o], ay: ys[o], hx, hy}));
+    });
+    const cx = (box.x0 + box.x1)/2, cy = (box.y0 + box.y1)/2;
+    addGizmoHandle('gizmo-handle rotate', cx, box.y0 - P - GIZMO_ROTATE_OFFSET, e=> startTransform('rotate', e.clientX, e.clientY, {cx, cy}));
+  }
+
+  function addGizmoHandle(className, x, y, start){
+    const h = document.createElement('div'); h.className = className;
+    h.style.left = x + 'px'; h.style.top = y + 'px';
+    h.addEventListener('pointerdown', e=>{ e.preventDefault(); e.stopPropagation(); start(e); });
+    shapeHandlesEl.appendChild(h);
+  }
+
+  // selection box, snap grid and snap indicator in the overlay
+  function appendTransformOverlay(vw, vh){
+    const svg = (tag, attrs, className)=>{
+      const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      Object.keys(attrs).forEach(k=> el.setAttribute(k, attrs[k]));
+      el.classList.add(className);
+      overlaySvg.appendChild(el);
+    };
+    if(snapGridToggle.checked){
+      const n = snapGridDivisions();
+      for(let i=1;i<n;i++){
+        svg('line', {x1: i/n*vw, y1: 0, x2: i/n*vw, y2: vh}, 'snap-grid');
+        svg('line', {x1: 0, y1: i/n*vh, x2: vw, y2: i/n*vh}, 'snap-grid');
+      }
+    }
+    const box = selectionBox(vw, vh);
+    if(box){
+      const P = GIZMO_PAD, cx = (box.x0 + box.x1)/2;
+      svg('rect', {x: box.x0 - P, y: box.y0 - P, width: box.x1 - box.x0 + 2*P, height: box.y1 - box.y0 + 2*P}, 'gizmo-box');
+      svg('line', {x1: cx, y1: box.y0 - P, x2: cx, y2: box.y0 - P - GIZMO_ROTATE_OFFSET}, 'gizmo-box');
+    }
+    if(snapMark) svg('circle', {cx: snapMark.x, cy: snapMark.y, r: 6}, 'snap-mark');
+  }
+
+  function snapGridDivisions(){ return Math.min(100, Math.max(2, Math.round(Number(snapGridSize.value)) || 20)); }
+
+  // Snap targets in canvas pixels: vertices and outline segments of the other visible shapes and the corners quad
+  // (when snapping is on), and the spacing of the snap grid (when enabled)
+  function snapTargets(excludeIds, vw, vh){
+    const points = [], edges = [];
+    const px = p => ({x: p.x*vw, y: p.y*vh});
+    const addOutline = outline => outline.forEach((p,i)=> edges.push([p, outline[(i+1)%outline.length]]));
+    if(snapToggle.checked){
+      shapes.forEach(s=>{
+        if(excludeIds.includes(s.id) || s.visible===false) return;
+        (s.type==='circle' ? [s.center] : s.points).forEach(p=> points.push(px(p)));
+        addOutline(shapeOutline(s, vw, vh).map(px));
+      });
+      corners.forEach(p=> points.push(px(p)));
+      addOutline(corners.map(px));
+    }
+    const n = snapGridDivisions();
+    return {points, edges, grid: snapGridToggle.checked ? {x: vw/n, y: vh/n} : null};
+  }
+
+  // Nearest target within SNAP_RADIUS of pixel point p as {x, y, dist}, or null. Vertices and grid points win
+  // over edges, so a point near a corner snaps onto the corner rather than onto one of its edges.
+  function snapTo(p, targets){
+    if(!targets) return null;
+    let best = null;
+    const consider = q => { const dist = Math.hypot(q.x - p.x, q.y - p.y); if(dist <= SNAP_RADIUS && (!best || dist < best.dist)) best = {x: q.x, y: q.y, dist}; };
+    targets.points.forEach(consider);
+    if(targets.grid) consider({x: Math.round(p.x/targets.grid.x)*targets.grid.x, y: Math.round(p.y/targets.grid.y)*targets.grid.y});
+    if(!best) targets.edges.forEach(([a,b])=>{
+      const len2 = (b.x-a.x)*(b.x-a.x) + (b.y-a.y)*(b.y-a.y);
+      const u = len2 ? Math.max(0, Math.min(1, ((p.x-a.x)*(b.x-a.x) + (p.y-a.y)*(b.y-a.y)) / len2)) : 0;
+      consider({x: a.x + (b.x-a.x)*u, y: a.y + (b.y-a.y)*u});
+    });
+    return best;
+  }
+
+  [snapGridToggle, snapGridSize].forEach(el=> el.addEventListener('change', renderOverlay));
 
   // attach events for shape creation / deletion
   addTriangleBtn.addEventListener('click', ()=> createShape('triangle'));
   addRectangleBtn.addEventListener('click', ()=> createShape('rectangle'));
   addCircleBtn.addEventListener('click', ()=> createShape('circle'));
+  addPolygonBtn.addEventListener('click', startPolygonDrawing);
   deleteShapeBtn.addEventListener('click', deleteSelectedShape);
 
+  // Media loading ------------------------------------------------------------------
+  // A media source is {url, name, type, file?, data?} or a test pattern {name, type:'', pattern}; it is kept on
+  // the element as el._src so projects can reference (or embed, or regenerate) the media the element came from.
+  function isVideoSource(src){
+    return (src.type && src.type.startsWith('video/')) || /\.(mp4|m4v|mov|webm|ogv)$/i.test(src.name || '');
+  }
+  function isGifSource(src){
+    // Detect GIF by MIME or file extension (some browsers omit MIME for local files)
+    return src.type === 'image/gif' || /\.gif$/i.test(src.name || '');
+  }
+
+  // Create an image or video element for a source and call done(el) once its dimensions are known, or fail().
+  // Only the first of the two is called: a video can still report an error after its first frame has loaded.
+  function loadMedia(src, done, fail){
+    if(src.pattern){ done(createPattern(src)); return; }
+    let settled = false;
+    const settle = fn=> (...args)=>{ if(settled) return; settled = true; if(fn) fn(...args); };
+    done = settle(done); fail = settle(fail);
+    if(isVideoSource(src)){
+      const vid = document.createElement('video'); vid.src = src.url; vid.loop = true; vid.muted = true; vid.playsInline = true; vid.autoplay = true;
+      vid._src = src;
+      watchVideoSync(vid);
+      vid.addEventListener('loadeddata', ()=> done(vid), {once:true});
+      vid.addEventListener('error', ()=> fail(), {once:true});
+      // start loading
+      vid.load();
+      return;
+    }
+    const img = new Image();
+    img._src = src;
+    img.onload = ()=> done(img);
+    img.onerror = ()=> fail();
+    img.src = src.url;
+  }
+
+  // Stop media that left the scene. Its object URL stays valid because undo may bring it back; URLs are revoked
+  // by pruneMedia() once no state in the history refers to the element any more.
+  function releaseMedia(el){
+    if(!el) return;
+    if(el.tagName==='VIDEO' && !el.paused){ try{ el.pause(); }catch(e){} el._released = true; }
+  }
+
+  function revokeMedia(el){
+    releaseMedia(el);
+    if(el._src && el._src.file && el._src.url){ try{ URL.revokeObjectURL(el._src.url); }catch(e){} }
+  }
+
+  // Assign a loaded element to a shape (by id; a grouped shape's media is its group's) or, with a null id, to the
+  // global warp image
+  function bindMedia(shapeId, el){
+    trackedMedia.add(el);
+    if(shapeId){
+      const s = shapes.find(x=>x.id===shapeId);
+      if(!s){ releaseMedia(el); return; }
+      const group = shapeGroup(s);
+      holdMedia(group || s, el);
+      applyPlayback(group ? groupLead(group) : s);
+    } else {
+      const isVideo = el.tagName==='VIDEO';
+      releaseMedia(image);
+      image = el; image._url = el._src.url;
+      image._isGif = !isVideo && isGifSource(el._src);
+      imgWidth = isVideo ? el.videoWidth : el.width; imgHeight = isVideo ? el.videoHeight : el.height;
+      applyPlayback(globalLayer);
+    }
+    updateAnimationLoop();
+  }
+
+  function bindGroupMedia(groupId, el){
+    trackedMedia.add(el);
+    const group = contentGroups.find(g=> g.id===groupId);
+    if(!group){ releaseMedia(el); return; }
+    holdMedia(group, el);
+    applyPlayback(groupLead(group));
+    updateAnimationLoop();
+  }
+
+  // put el in the media fields of a shape or content group
+  function holdMedia(holder, el){
+    const isVideo = el.tagName==='VIDEO';
+    // clean up any previous resource
+    releaseMedia(holder.video || holder.image);
+    holder.image = isVideo ? null : el;
+    holder.video = isVideo ? el : null;
+    holder._url = el._src.url; // keep object URL so browser can continue to animate GIFs
+    holder._isGif = !isVideo && isGifSource(el._src);
+    holder.imgWidth = isVideo ? el.videoWidth : el.width; holder.imgHeight = isVideo ? el.videoHeight : el.height;
+  }
+
+  function mediaElementOf(shapeId){
+    if(!shapeId) return image;
+    const s = shapes.find(x=>x.id===shapeId);
+    return s ? (s.video || s.image) : null;
+  }
+
+  // Test patterns -------------------------------------------------------------------
+  // Built-in sources for calibrating without media files. A pattern is a canvas bound like an image, so it goes
+  // through the same warp and mapping path as real media. pattern = {kind, density, width, height}: density is
+  // the number of cells (or ramp steps) across. Projects store the descriptor and regenerate the canvas.
+  // The 'labels' pattern is redrawn to follow its shape: the shape id in the middle and an arrow with the index
+  // along every edge, pointing from vertex i to vertex i+1.
+  const PATTERNS = {checker:'Checkerboard', grid:'Grid with crosshairs', bars:'Color bars', white:'Solid white', black:'Solid black', ramps:'Gradient ramps', labels:'Shape labels'};
+
+  function createPattern(src){
+    const c = document.createElement('canvas');
+    c.width = src.pattern.width; c.height = src.pattern.height;
+    c._src = src;
+    if(src.pattern.kind!=='labels') drawPattern(c.getContext('2d'), src.pattern);
+    return c;
+  }
+
+  // apply pattern kind to the selected shape, or the global image, sized to the target's aspect ratio
+  function applyPattern(kind){
+    const target = selectedShapeId;
+    const s = target && shapes.find(x=>x.id===target);
+    const frame = s ? shapeFrame(s, canvas.width, canvas.height) : {w: canvas.width, h: canvas.height};
+    const aspect = frame.w > 0 && frame.h > 0 ? frame.w / frame.h : 16/9;
+    const width = 1024, height = Math.max(16, Math.min(4096, Math.round(width / aspect)));
+    const density = Math.min(64, Math.max(2, Math.round(Number(patternDensity.value)) || 8));
+    const pattern = {kind, density, width, height};
+    loadMedia({name: PATTERNS[kind], type: '', pattern}, el=>{
+      recordChange(()=> bindMedia(target, el));
+      renderShapesUI();
+      draw();
+    });
+  }
+
+  function drawPattern(g, pattern){
+    const {kind, density, width: w, height: h} = pattern;
+    const cell = w / density;
+    g.fillStyle = '#000'; g.fillRect(0,0,w,h);
+    if(kind==='white'){ g.fillStyle = '#fff'; g.fillRect(0,0,w,h); }
+    else if(kind==='checker'){
+      g.fillStyle = '#fff';
+      for(let j=0;j*cell<h;j++) for(let i=j%2;i<density;i+=2) g.fillRect(i*cell, j*cell, cell, cell);
+    } else if(kind==='grid'){
+      g.strokeStyle = '#fff'; g.lineWidth = 2;
+      g.beginPath();
+      for(let i=0;i<=density;i++){ g.moveTo(i*cell, 0); g.lineTo(i*cell, h); }
+      for(let y=0;y<=h;y+=cell){ g.moveTo(0, y); g.lineTo(w, y); }
+      g.stroke();
+      g.strokeRect(2, 2, w-4, h-4);
+      // centre crosshair with a circle, and diagonals to check the corners
+      g.strokeStyle = '#f00'; g.lineWidth = 3;
+      g.beginPath();
+      g.moveTo(w/2, 0); g.lineTo(w/2, h); g.moveTo(0, h/2); g.lineTo(w, h/2);
+      g.moveTo(0, 0); g.lineTo(w, h); g.moveTo(w, 0); g.lineTo(0, h);
+      g.stroke();
+      g.beginPath(); g.arc(w/2, h/2, Math.min(w, h)/4, 0, Math.PI*2); g.stroke();
+    } else if(kind==='bars'){
+      // SMPTE-style: seven 75% bars, a reversed castellation strip, then -I / white / +Q / black / PLUGE
+      const top = ['#c0c0c0','#c0c000','#00c0c0','#00c000','#c000c0','#c00000','#0000c0'];
+      const mid = ['#0000c0','#000','#c000c0','#000','#00c0c0','#000','#c0c0c0'];
+      const bw = w/7;
+      top.forEach((c,i)=>{ g.fillStyle = c; g.fillRect(i*bw, 0, Math.ceil(bw), h*0.67); });
+      mid.forEach((c,i)=>{ g.fillStyle = c; g.fillRect(i*bw, h*0.67, Math.ceil(bw), h*0.08); });
+      const bottom = [['#00214c',1.25],['#fff',1.25],['#32006a',1.25],['#131313',1.25],['#090909',1/3],['#131313',1/3],['#1d1d1d',1/3],['#131313',1]];
+      let x = 0;
+      bottom.forEach(([c,n])=>{ g.fillStyle = c; g.fillRect(x, h*0.75, Math.ceil(n*bw), h*0.25); x += n*bw; });
+    } else if(kind==='ramps'){
+      // continuous grey, red, green and blue ramps, then a grey ramp in density steps
+      const bands = [[255,255,255],[255,0,0],[0,255,0],[0,0,255]];
+      const bh = h/5;
+      bands.forEach(([r,gr,b],k)=>{
+        const grad = g.createLinearGradient(0, 0, w, 0);
+        grad.addColorStop(0, '#000'); grad.addColorStop(1, 'rgb('+r+','+gr+','+b+')');
+        g.fillStyle = grad; g.fillRect(0, k*bh, w, Math.ceil(bh));
+      });
+      for(let i=0;i<density;i++){
+        const v = Math.round(255 * i/(density-1));
+        g.fillStyle = 'rgb('+v+','+v+','+v+')'; g.fillRect(i*cell, 4*bh, Math.ceil(cell), h - 4*bh);
+      }
+    }
+  }
+
+  // Draw the labels pattern for a surface: label in the middle, outline = vertices in texture coordinates (0..1)
+  function drawLabels(c, label, outline){
+    const g = c.getContext('2d'), w = c.width, h = c.height;
+    g.fillStyle = '#202833'; g.fillRect(0,0,w,h);
+    const fs = Math.max(12, Math.min(w, h) / 6);
+    g.fillStyle = '#fff'; g.textAlign = 'center'; g.textBaseline = 'middle';
+    g.font = 'bold '+Math.round(fs)+'px sans-serif';
+    g.fillText(label, w/2, h/2);
+    if(!outline) return;
+    const n = outline.length;
+    const cx = outline.reduce((a,p)=> a + p.x, 0)/n * w, cy = outline.reduce((a,p)=> a + p.y, 0)/n * h;
+    g.font = Math.round(fs/2)+'px sans-serif';
+    g.strokeStyle = g.fillStyle = '#ffcc00'; g.lineWidth = Math.max(2, fs/12);
+    outline.forEach((p,i)=>{
+      // arrow along edge i, pulled in towards the centre so it stays inside the surface
+      const q = outline[(i+1)%n];
+      const inset = v => ({x: v.x*w + (cx - v.x*w)*0.15, y: v.y*h + (cy - v.y*h)*0.15});
+      const a = inset(p), b = inset(q);
+      const ax = a.x + (b.x-a.x)*0.2, ay = a.y + (b.y-a.y)*0.2, bx = a.x + (b.x-a.x)*0.8, by = a.y + (b.y-a.y)*0.8;
+      const ang = Math.atan2(by-ay, bx-ax), head = fs/4;
+      g.beginPath();
+      g.moveTo(ax, ay); g.lineTo(bx, by);
+      g.moveTo(bx - head*Math.cos(ang-0.4), by - head*Math.sin(ang-0.4)); g.lineTo(bx, by); g.lineTo(bx - head*Math.cos(ang+0.4), by - head*Math.sin(ang+0.4));
+      g.stroke();
+      const mx = (ax+bx)/2 + (cx - (ax+bx)/2)*0.25, my = (ay+by)/2 + (cy - (ay+by)/2)*0.25;
+      g.fillText(String(i), mx, my);
+    });
+  }
+
+  function isLabelPattern(el){ return !!(el && el._src && el._src.pattern && el._src.pattern.kind==='labels'); }
+
+  // Redraw a labels pattern when the surface it is bound to changed (s: shape, or null for the global image);
+  // the texture keeps the aspect of the shape's frame so the arrows land on the edges with cover/stretch fits
+  function refreshLabels(el, s, w, h){
+    let outline = [{x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1}], aspect = w/h;
+    if(s){
+      const frame = shapeFrame(s, w, h);
+      if(frame.w<1 || frame.h<1) return;
+      aspect = frame.w / frame.h;
+      if(s.type==='circle') outline = null;
+      else if(s.type!=='rectangle') outline = s.points.map(p=>({x: (p.x*w - frame.x)/frame.w, y: (p.y*h - frame.y)/frame.h}));
+    }
+    const width = 1024, height = Math.max(16, Math.min(4096, Math.round(width / aspect)));
+    const label = s ? s.id : 'global';
+    const key = JSON.stringify([label, width, height, outline]);
+    if(el._labels===key) return;
+    el._labels = key;
+    el.width = width; el.height = height;
+    drawLabels(el, label, outline);
+    el._version = (el._version || 0) + 1;
+    if(s){ s.imgWidth = width; s.imgHeight = height; } else { imgWidth = width; imgHeight = height; }
+  }
+
+  applyPatternBtn.addEventListener('click', ()=> applyPattern(patternSelect.value));
+
+  // Video playback ----------------------------------------------------------------
+  // A surface showing a video has playback settings on its layer (the global layer for the global image):
+  //   playback: {rate, loopIn, loopOut, muted, volume}  times in seconds, loopOut 0 = play to the end
+  // Only one surface plays sound: unmuting one mutes the others. The output window is always muted, so sound
+  // comes from the editor only. Play/pause and the current time are live state and not saved.
+  const DEFAULT_PLAYBACK = {rate:1, loopIn:0, loopOut:0, muted:true, volume:1};
+  let videoControls = []; // [{video, seek, play}] of the rendered layer rows, refreshed while videos play
+
+  function layerPlayback(layer){ return Object.assign({}, DEFAULT_PLAYBACK, layer.playback); }
+  // a group's video plays by the settings of its first shape, the only member with video controls
+  function layerVideo(layer){
+    const el = layerMedia(layer);
+    if(!el || el.tagName!=='VIDEO') return null;
+    const group = shapeGroup(layer);
+    return group && groupLead(group)!==layer ? null : el;
+  }
+
+  function applyPlayback(layer){
+    const v = layer && layerVideo(layer);
+    if(!v) return;
+    const pb = layerPlayback(layer);
+    // the output window takes the rate from the editor's video times (see followVideoTime())
+    if(!isOutput) v.playbackRate = pb.rate;
+    v.muted = isOutput || pb.muted;
+    v.volume = pb.volume;
+  }
+
+  // keep every video between its loop points
+  function enforceLoopRanges(){
+    layerStack().forEach(layer=>{
+      const v = layerVideo(layer);
+      if(!v) return;
+      const pb = layerPlayback(layer);
+      const out = pb.loopOut > pb.loopIn ? pb.loopOut : v.duration;
+      if(v.currentTime < pb.loopIn - 0.05 || v.currentTime >= out) v.currentTime = pb.loopIn;
+    });
+  }
+
+  function syncVideoControls(){
+    videoControls = videoControls.filter(c=> c.seek.isConnected);
+    videoControls.forEach(c=>{
+      if(document.activeElement!==c.seek) c.seek.value = c.video.currentTime;
+      c.play.textContent = c.video.paused ? 'Play' : 'Pause';
+    });
+  }
+
+  // Restart every video at its in point (frame 0 unless a loop range is set) at the same moment: pause them all,
+  // wait until every seek has landed, then start them together
+  function syncAllVideos(){
+    const layers = layerStack().filter(layerVideo);
+    Promise.all(layers.map(layer=> new Promise(resolve=>{
+      const v = layerVideo(layer);
+      v.pause();
+      v.addEventListener('seeked', resolve, {once:true});
+      v.currentTime = layerPlayback(layer).loopIn;
+      setTimeout(resolve, 1000); // a seek to the current position may not fire 'seeked'
+    }))).then(()=> layers.forEach(layer=> layerVideo(layer).play().catch(()=>{})));
+  }
+
+  // transport, seek, rate, loop points and sound of a layer's video (shown on its row in the layer panel)
+  function renderVideoControls(layer){
+    const v = layerVideo(layer);
+    const row = document.createElement('div'); row.className = 'layer-props video-props';
+    const play = document.createElement('button'); play.className = 'selectBtn'; play.textContent = v.paused ? 'Play' : 'Pause';
+    play.addEventListener('click', ()=>{ if(v.paused) v.play().catch(()=>{}); else v.pause(); play.textContent = v.paused ? 'Play' : 'Pause'; });
+    const restart = document.createElement('button'); restart.className = 'selectBtn'; restart.textContent = 'Restart';
+    restart.addEventListener('click', ()=>{ v.currentTime = layerPlayback(layer).loopIn; v.play().catch(()=>{}); });
+    const seek = document.createElement('input'); seek.type = 'range'; seek.min = 0; seek.step = 0.01; seek.title = 'Seek';
+    seek.max = isFinite(v.duration) ? v.duration : 0; seek.value = v.currentTime;
+    seek.addEventListener('input', ()=>{ v.currentTime = Number(seek.value); });
+    row.appendChild(play); row.appendChild(restart); row.appendChild(seek);
+    videoControls.push({video: v, seek, play});
+    // edit a full copy so untouched settings keep their defaults
+    const pb = layerPlayback(layer);
+    const apply = ()=>{ layer.playback = Object.assign({}, pb); applyPlayback(layer); };
+    const duration = isFinite(v.duration) ? v.duration : 86400;
+    row.appendChild(numberField('rate', pb, 'rate', 0.1, 4, 0.05, apply));
+    row.appendChild(numberField('in', pb, 'loopIn', 0, duration, 0.1, apply));
+    const out = numberField('out', pb, 'loopOut', 0, duration, 0.1, apply); out.title = '0 plays to the end';
+    row.appendChild(out);
+    const sound = document.createElement('button'); sound.className = 'selectBtn'; sound.textContent = pb.muted ? 'Unmute' : 'Mute';
+    sound.addEventListener('click', ()=>{
+      recordChange(()=>{
+        const muted = !pb.muted;
+        if(!muted) layerStack().forEach(l=>{ if(l!==layer && l.playback && !l.playback.muted){ l.playback = Object.assign({}, l.playback, {muted: true}); applyPlayback(l); } });
+        pb.muted = muted; apply();
+      });
+      renderShapesUI();
+    });
+    const volume = document.createElement('input'); volume.type = 'range'; volume.min = 0; volume.max = 100; volume.title = 'Volume';
+    volume.value = Math.round(pb.volume * 100); volume.disabled = pb.muted;
+    // a whole slider drag is one history entry
+    volume.addEventListener('input', ()=>{ beginChange(); pb.volume = Number(volume.value)/100; apply(); });
+    volume.addEventListener('change', commitChange);
+    row.appendChild(sound); row.appendChild(volume);
+    return row;
+  }
+
+  syncVideosBtn.addEventListener('click', syncAllVideos);
+
   // File load
   fileInput.addEventListener('change', ev => {
     const f = ev.target.files && ev.target.files[0];
     if(!f) return;
-    const url = URL.createObjectURL(f);
-    const img = new Image();
-    img.onload = ()=>{
-      // If a shape is selected, assign the image/video to that shape, otherwise treat as the global warp image
-      if(selectedShapeId){
-        const s = shapes.find(x=>x.id===selectedShapeId);
-        if(s){
-          // clean up any previous resource
-          if(s._url){ URL.revokeObjectURL(s._url); s._url = null; }
-          s.image = img;
-          s.video = null;
-          s._url = url; // keep object URL so browser can continue to animate GIFs
-          s.imgWidth = img.width; s.imgHeight = img.height;
-          // if GIF, request animation
-            // Detect GIF by MIME or file extension (some browsers omit MIME for local files)
-            const isGif = (f.type === 'image/gif') || (f.name && f.name.toLowerCase().endsWith('.gif'));
-            if(isGif){ s._isGif = true; updateAnimationLoop(); } else s._isGif = false;
-        }
-      } else {
-        // global image
-        if(image && image._url){ URL.revokeObjectURL(image._url); }
-        image = img; image._url = url;
-        imgWidth = img.width; imgHeight = img.height;
+    // If a shape is selected, assign the image/video to that shape, otherwise treat as the global warp image
+    const target = selectedShapeId;
+    loadMedia({url: URL.createObjectURL(f), name: f.name, type: f.type, file: f}, el=>{
+      beginChange();
+      bindMedia(target, el);
+      if(!target){
         // keep default corners to full canvas
         corners = [ {x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1} ];
         updateHandlePositions();
         resizeCanvas();
-        if((f.type === 'image/gif') || (f.name && f.name.toLowerCase().endsWith('.gif'))) { image._isGif = true; updateAnimationLoop(); }
       }
+      commitChange();
       renderShapesUI();
       renderOverlay();
       draw();
-    };
-    // if it's a video file, create a HTMLVideoElement instead and assign once loaded
-    if(f.type && f.type.startsWith('video/')){
-      const vid = document.createElement('video'); vid.src = url; vid.loop = true; vid.muted = true; vid.playsInline = true; vid.autoplay = true;
-      vid.addEventListener('loadeddata', ()=>{
-        if(selectedShapeId){
-          const s = shapes.find(x=>x.id===selectedShapeId);
-          if(s){ if(s._url){ URL.revokeObjectURL(s._url); s._url=null; } s.video = vid; s.image = null; s.imgWidth = vid.videoWidth; s.imgHeight = vid.videoHeight; s._url = url; }
-        } else { if(image && image._url){ URL.revokeObjectURL(image._url);} image = null; image = vid; image._url = url; imgWidth = vid.videoWidth; imgHeight = vid.videoHeight; corners = [ {x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1} ]; updateHandlePositions(); resizeCanvas(); }
-        needsAnimation = true; updateAnimationLoop(); renderShapesUI(); renderOverlay(); draw();
-      });
-      // start loading
-      vid.load();
-      return;
-    }
-    img.src = url;
+    }, ()=> alert('Could not load media file "'+f.name+'"'));
   });
 
   function updateAnimationLoop(){
     // decide whether an animation loop is needed (videos or gif images present)
     let any = false;
-    if(image && image._isGif) any = true;
+    if(image && (image._isGif || image.tagName==='VIDEO')) any = true;
     for(const s of shapes){ if(s.video) any = true; if(s._isGif) any = true; }
+    for(const g of contentGroups){ if(g.video || g._isGif) any = true; }
+    if(transition || audioPlaying() || recording) any = true;
     needsAnimation = any;
     if(needsAnimation) startAnimationLoop(); else stopAnimationLoop();
   }
@@ -341,8 +1454,10 @@
   function startAnimationLoop(){
     if(animFrame) return;
     function loop(){
+      if(!isOutput){ enforceLoopRanges(); syncVideoControls(); audioTick(); }
       draw();
-      animFrame = requestAnimationFrame(loop);
+      // draw() may have ended the last animation (a finished scene transition)
+      animFrame = needsAnimation ? requestAnimationFrame(loop) : null;
     }
     animFrame = requestAnimationFrame(loop);
   }
@@ -350,48 +1465,2359 @@
     if(animFrame){ cancelAnimationFrame(animFrame); animFrame = null; }
   }
 
-  // Grid resolution
-  gridRange.addEventListener('input', ()=>{ gridLabel.textContent = gridRange.value; draw(); });
-
-  // Reset
-  resetBtn.addEventListener('click', ()=>{
-    corners = [ {x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1} ];
+  warpModeSelect.addEventListener('change', ()=>{
+    const target = warpTarget();
+    if(!target) return;
+    beginChange();
+    const mode = warpModeSelect.value;
+    const quad = target==='global' ? corners : target.points;
+    const prevMode = target==='global' ? warpMode : (target.warp || 'perspective');
+    let grid = target==='global' ? meshGrid : target.grid;
+    // entering mesh mode starts from the current deformation; a grid whose corners still match the quad is kept
+    if(mode==='mesh' && prevMode!=='mesh' && !(grid && gridMatchesQuad(grid, quad))){
+      grid = makeGrid(Number(meshColsInput.value), Number(meshRowsInput.value), quadMapper(quad, prevMode));
+    }
+    if(target==='global'){ warpMode = mode; meshGrid = grid; }
+    else { target.warp = mode; if(grid) target.grid = grid; }
+    commitChange();
+    syncWarpControls();
+    renderOverlay();
+    updateShapeHandles();
     updateHandlePositions();
     draw();
   });
 
-  // Save calibration
-  saveBtn.addEventListener('click', ()=>{
-    const data = { corners, timestamp: Date.now(), image:{width: imgWidth, height: imgHeight} };
-    const blob = new Blob([JSON.stringify(data,null,2)], {type:'application/json'});
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = 'calibration.json';
-    a.click();
-    URL.revokeObjectURL(a.href);
-  });
+  // Changing the number of control rows/columns resamples the current deformation onto the new grid
+  function resizeMeshGrid(){
+    const target = warpTarget();
+    const grid = target==='global' ? meshGrid : target && target.grid;
+    if(!grid) return;
+    const cols = Math.max(2, Math.min(16, Math.round(Number(meshColsInput.value)) || grid.cols));
+    const rows = Math.max(2, Math.min(16, Math.round(Number(meshRowsInput.value)) || grid.rows));
+    if(cols===grid.cols && rows===grid.rows) return;
+    const resized = makeGrid(cols, rows, gridMapper(grid));
+    recordChange(()=>{ if(target==='global') meshGrid = resized; else target.grid = resized; });
+    syncWarpControls();
+    renderOverlay();
+    updateShapeHandles();
+    updateHandlePositions();
+    draw();
+  }
+  meshColsInput.addEventListener('change', resizeMeshGrid);
+  meshRowsInput.addEventListener('change', resizeMeshGrid);
 
-  // Load calibration
-  loadBtn.addEventListener('click', ()=> loadFile.click() );
-  loadFile.addEventListener('change', ev => {
+  // Grid resolution
+  gridRange.addEventListener('input', ()=>{ beginChange(); gridLabel.textContent = gridRange.value; draw(); });
+  gridRange.addEventListener('change', commitChange);
+
+  // Output resolution ---------------------------------------------------------------
+  // Changing the raster rescales the project: everything is scaled uniformly to fit the new raster and centered
+  // (nothing moves for the same aspect ratio), so surfaces keep their shape and circles stay round. Projector
+  // regions and corners are fractions of the frame and keep splitting it the same way.
+  function setOutputSize(width, height){
+    const from = outputSize;
+    if(width===from.width && height===from.height) return;
+    const k = Math.min(width / from.width, height / from.height);
+    const ox = (width - from.width * k) / 2, oy = (height - from.height * k) / 2;
+    const fn = p=>({x: (p.x * from.width * k + ox) / width, y: (p.y * from.height * k + oy) / height});
+    // circle radii and feathering are fractions of the shorter side
+    const side = Math.min(from.width, from.height) * k / Math.min(width, height);
+    beginChange();
+    corners = corners.map(fn);
+    if(meshGrid) meshGrid = {cols: meshGrid.cols, rows: meshGrid.rows, points: meshGrid.points.map(fn)};
+    shapes.forEach(s=>{
+      transformShape(s, shapeGeometry(s), fn, side);
+      if(s.feather) s.feather = Math.min(MAX_FEATHER, s.feather * side);
+    });
+    outputSize = {width, height};
+    commitChange();
+    syncOutputControls();
+    resizeCanvas();
+  }
+
+  function syncOutputControls(){
+    outputWidthInput.value = outputSize.width;
+    outputHeightInput.value = outputSize.height;
+    const preset = outputSize.width + 'x' + outputSize.height;
+    outputPresetSelect.value = Array.from(outputPresetSelect.options).some(o=> o.value===preset) ? preset : 'custom';
+  }
+
+  outputPresetSelect.addEventListener('change', ()=>{
+    const m = /^(\d+)x(\d+)$/.exec(outputPresetSelect.value);
+    if(m) setOutputSize(Number(m[1]), Number(m[2]));
+  });
+  [outputWidthInput, outputHeightInput].forEach(inp=> inp.addEventListener('change', ()=>{
+    const size = [outputWidthInput, outputHeightInput].map(el=> Math.round(Number(el.value)));
+    if(size.every(v=> v>=MIN_OUTPUT_SIZE && v<=MAX_OUTPUT_SIZE)) setOutputSize(size[0], size[1]);
+    syncOutputControls();
+  }));
+
+  // Zoom: buttons, Ctrl/Cmd + wheel at the pointer; the wheel pans a zoomed view, as does dragging with the middle button
+  zoomInBtn.addEventListener('click', ()=> setZoom(view.zoom * 1.25));
+  zoomOutBtn.addEventListener('click', ()=> setZoom(view.zoom / 1.25));
+  zoomFitBtn.addEventListener('click', zoomToFit);
+  // one output pixel per device pixel
+  zoomActualBtn.addEventListener('click', ()=> setZoom(view.zoom / canvasBox().scale / (window.devicePixelRatio || 1)));
+  canvasArea.addEventListener('wheel', e=>{
+    if(isOutput) return;
+    const area = canvasArea.getBoundingClientRect();
+    if(e.ctrlKey || e.metaKey){
+      e.preventDefault();
+      setZoom(view.zoom * Math.pow(1.0015, -e.deltaY), e.clientX - area.left, e.clientY - area.top);
+    } else if(view.zoom > 1){
+      e.preventDefault();
+      view.x -= e.deltaX; view.y -= e.deltaY;
+      clampPan();
+      layoutCanvas();
+    }
+  }, {passive: false});
+  let panStart = null;
+  canvasArea.addEventListener('pointerdown', e=>{
+    if(e.button!==1 || isOutput) return;
+    e.preventDefault();
+    panStart = {x: e.clientX - view.x, y: e.clientY - view.y};
+  });
+  window.addEventListener('pointermove', e=>{
+    if(!panStart) return;
+    view.x = e.clientX - panStart.x; view.y = e.clientY - panStart.y;
+    clampPan();
+    layoutCanvas();
+  });
+  window.addEventListener('pointerup', ()=>{ panStart = null; });
+
+  // Reset
+  resetBtn.addEventListener('click', ()=>{
+    beginChange();
+    corners = [ {x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1} ];
+    if(meshGrid) meshGrid = makeGrid(meshGrid.cols, meshGrid.rows, quadMapper(corners, 'bilinear'));
+    commitChange();
+    renderOverlay();
+    updateHandlePositions();
+    draw();
+  });
+
+  // Labelled number input bound to obj[key]; values are clamped to [min,max] and onChange runs after each edit
+  function numberField(label, obj, key, min, max, step, onChange){
+    const wrap = document.createElement('span'); wrap.className = 'num-field'; wrap.textContent = label;
+    const inp = document.createElement('input'); inp.type = 'number'; inp.min = min; inp.max = max; inp.step = step; inp.value = obj[key];
+    inp.addEventListener('change', ()=>{
+      const v = Number(inp.value);
+      if(inp.value==='' || !isFinite(v)){ inp.value = obj[key]; return; }
+      beginChange();
+      obj[key] = Math.min(max, Math.max(min, v)); inp.value = obj[key];
+      onChange();
+      commitChange();
+    });
+    wrap.appendChild(inp);
+    return wrap;
+  }
+
+  // Scenes and cues ------------------------------------------------------------------
+  // A scene captures the look of every layer: its media binding, visibility and opacity. The scenes form the cue
+  // list in order; Go (Space / right arrow) recalls the next cue, Back (left arrow) the previous one. A cue fades
+  // over `fade` seconds or cuts at once, and with `auto` > 0 advances to the next cue that many seconds after its
+  // transition ends.
+  //   {id, name, transition:'fade'|'cut', fade, auto, layers:{<layer id>: {visible, opacity, media: el|null}}}
+  // Geometry is not part of a scene, and scenes are not part of the undo history. While a transition runs,
+  // draw() paints each changed layer both as it was and as it is now (see compositeTransition()).
+  const TRANSITIONS = {fade:'Crossfade', cut:'Cut'};
+  let scenes = [];
+  let sceneIdCounter = 1;
+  let currentCue = -1;
+  let autoAdvance = null;
+  // running transition: {id, start, duration (ms), from: Map(layer id -> {el, cache, animated, visible, opacity})}
+  let transition = null;
+  let transitionIdCounter = 1;
+
+  function layerById(id){ return id==='global' ? globalLayer : shapes.find(s=>s.id===id); }
+
+  function captureLayers(){
+    const layers = {};
+    layerStack().forEach(layer=>{
+      layers[layer.id] = {visible: layer.visible!==false, opacity: layer.opacity===undefined ? 1 : layer.opacity, media: layerMedia(layer) || null};
+    });
+    return layers;
+  }
+
+  function captureScene(){
+    const name = prompt('Scene name', 'Scene ' + (scenes.length + 1));
+    if(name===null) return;
+    scenes.push({id: 'c' + (sceneIdCounter++), name, transition:'fade', fade:1, auto:0, layers: captureLayers()});
+    currentCue = scenes.length - 1;
+    renderCueList();
+    projectChanged();
+  }
+
+  // Bind el to a layer (or clear it), leaving the outgoing video playing for the transition
+  function setLayerMedia(layer, el){
+    const old = layerMedia(layer);
+    if(el) bindMedia(layer===globalLayer ? null : layer.id, el);
+    else if(layer===globalLayer){ image = null; imgWidth = 0; imgHeight = 0; }
+    else { const holder = shapeGroup(layer) || layer; holder.image = null; holder.video = null; holder._url = null; holder._isGif = false; }
+    if(old && old._released){ old._released = false; old.play().catch(()=>{}); }
+    // a video entering the scene starts from its in point
+    if(el && el.tagName==='VIDEO'){ el._released = false; el.currentTime = layerPlayback(layer).loopIn; el.play().catch(()=>{}); }
+  }
+
+  function goToCue(index){
+    const scene = scenes[index];
+    if(!scene) return;
+    clearTimeout(autoAdvance); autoAdvance = null;
+    if(transition) endTransition();
+    currentCue = index;
+    const from = new Map();
+    // compare every layer before changing any: the shapes of a content group share their media
+    const changed = Object.keys(scene.layers).filter(id=>{
+      const layer = layerById(id), look = scene.layers[id];
+      if(!layer) return false;
+      const el = layerMedia(layer) || null;
+      const visible = layer.visible!==false, opacity = layer.opacity===undefined ? 1 : layer.opacity;
+      if(el===look.media && visible===look.visible && opacity===look.opacity) return false;
+      from.set(id, {el, cache: {}, animated: layerAnimated(layer), visible, opacity});
+      return true;
+    });
+    changed.forEach(id=>{
+      const layer = layerById(id), look = scene.layers[id];
+      layer.visible = look.visible; layer.opacity = look.opacity;
+      if(layerMedia(layer)!==look.media) setLayerMedia(layer, look.media);
+    });
+    const duration = scene.transition==='cut' ? 0 : scene.fade * 1000;
+    if(from.size && duration>0) transition = {id: mediaKeyPrefix + '-' + (transitionIdCounter++), start: performance.now(), duration, from};
+    else releaseOutgoing(from);
+    if(scene.auto>0 && index+1 < scenes.length) autoAdvance = setTimeout(()=> goToCue(index+1), duration + scene.auto*1000);
+    updateAnimationLoop();
+    renderShapesUI();
+    renderCueList();
+    draw();
+  }
+
+  // both return whether there was a cue to go to
+  function nextCue(){ if(currentCue+1 >= scenes.length) return false; goToCue(currentCue+1); return true; }
+  function previousCue(){ if(currentCue <= 0) return false; goToCue(currentCue-1); return true; }
+
+  // {t, from} of the running transition (0 <= t < 1), or null; ends the transition once it has run its course
+  function transitionProgress(){
+    if(!transition) return null;
+    const t = (performance.now() - transition.start) / transition.duration;
+    if(t >= 1){ endTransition(); return null; }
+    return {t, from: transition.from};
+  }
+
+  function endTransition(){
+    const from = transition.from;
+    transition = null;
+    if(!isOutput) releaseOutgoing(from);
+    updateAnimationLoop();
+  }
+
+  // stop media the transition faded out that no layer shows any more
+  function releaseOutgoing(from){
+    const live = new Set(allMediaElements());
+    from.forEach(f=>{ if(f.el && !live.has(f.el)) releaseMedia(f.el); });
+  }
+
+  function transitionMedia(){
+    return transition ? Array.from(transition.from.values()).map(f=> f.el).filter(Boolean) : [];
+  }
+
+  function sceneMedia(){
+    const els = [];
+    scenes.forEach(sc=> Object.keys(sc.layers).forEach(id=>{ if(sc.layers[id].media) els.push(sc.layers[id].media); }));
+    return els;
+  }
+
+  function moveScene(index, delta){
+    const to = index + delta;
+    if(to<0 || to>=scenes.length) return;
+    const [scene] = scenes.splice(index, 1);
+    scenes.splice(to, 0, scene);
+    if(currentCue===index) currentCue = to; else if(currentCue===to) currentCue = index;
+    renderCueList();
+    projectChanged();
+  }
+
+  function renderCueList(){
+    cueListEl.innerHTML = '';
+    scenes.forEach((scene, i)=>{
+      const div = document.createElement('div'); div.className = 'shape-item layer-item cue-item';
+      div.classList.toggle('selected', i===currentCue);
+      const name = document.createElement('input'); name.type = 'text'; name.className = 'cue-name'; name.value = scene.name;
+      name.addEventListener('change', ()=>{ scene.name = name.value; projectChanged(); });
+      const go = document.createElement('button'); go.className = 'selectBtn'; go.textContent = 'Go';
+      go.addEventListener('click', ()=> goToCue(i));
+      const update = document.createElement('button'); update.className = 'selectBtn'; update.textContent = 'Update';
+      update.title = 'Replace this scene with the current look';
+      update.addEventListener('click', ()=>{ scene.layers = captureLayers(); projectChanged(); });
+      const up = document.createElement('button'); up.className = 'selectBtn'; up.textContent = '↑';
+      up.addEventListener('click', ()=> moveScene(i, -1));
+      const down = document.createElement('button'); down.className = 'selectBtn'; down.textContent = '↓';
+      down.addEventListener('click', ()=> moveScene(i, 1));
+      const del = document.createElement('button'); del.className = 'selectBtn'; del.textContent = 'Delete';
+      del.addEventListener('click', ()=>{
+        scenes.splice(i, 1);
+        if(currentCue>=i) currentCue--;
+        renderCueList();
+        projectChanged();
+      });
+      const props = document.createElement('div'); props.className = 'layer-props mapping-props';
+      const mode = document.createElement('select');
+      Object.keys(TRANSITIONS).forEach(k=>{ const o = document.createElement('option'); o.value = k; o.textContent = TRANSITIONS[k]; mode.appendChild(o); });
+      mode.value = scene.transition;
+      mode.addEventListener('change', ()=>{ scene.transition = mode.value; projectChanged(); });
+      props.appendChild(mode);
+      props.appendChild(numberField('fade s', scene, 'fade', 0, 60, 0.1, projectChanged));
+      const auto = numberField('auto s', scene, 'auto', 0, 3600, 0.5, projectChanged); auto.title = 'Go to the next cue this long after the transition (0 = wait for Go)';
+      props.appendChild(auto);
+      [name, go, update, up, down, del, props].forEach(el=> div.appendChild(el));
+      cueListEl.appendChild(div);
+    });
+    goBtn.disabled = currentCue+1 >= scenes.length;
+    backBtn.disabled = currentCue <= 0;
+  }
+
+  captureSceneBtn.addEventListener('click', captureScene);
+  goBtn.addEventListener('click', nextCue);
+  backBtn.addEventListener('click', previousCue);
+  window.addEventListener('keydown', e=>{
+    if(isOutput || drawingPolygon || e.ctrlKey || e.metaKey || e.altKey) return;
+    const t = e.target;
+    // Space on a focused button presses the button, and editable elements keep their keys
+    if(t && (/^(INPUT|SELECT|TEXTAREA|BUTTON)$/.test(t.tagName) || t.isContentEditable)) return;
+    // keys that do not move the cue keep their default (scrolling)
+    if(e.key===' ' || e.key==='ArrowRight' || e.key==='PageDown'){ if(nextCue()) e.preventDefault(); }
+    else if(e.key==='ArrowLeft' || e.key==='PageUp'){ if(previousCue()) e.preventDefault(); }
+  });
+
+  // Audio reactivity -------------------------------------------------------------------
+  // An audio track is analysed offline with Web Audio as soon as it is loaded: the decoded samples are rendered
+  // through band filters in an OfflineAudioContext and reduced to envelopes of AUDIO_RATE frames per second, each
+  // normalized to its peak over the track:
+  //   level (all frequencies), bass (below 250 Hz), mid (250 Hz - 2 kHz), treble (above 2 kHz),
+  //   beat (1 on each detected beat, fading out over BEAT_DECAY seconds)
+  // The signals at a moment are read from these tables by the track's playback time, so playing, scrubbing the
+  // preview and replaying give the same values every time. Mappings drive a layer parameter from a signal:
+  //   {id, signal, target: layer id | 'scene', param, gain (-4..4), smoothing (0..0.99), threshold (0..0.95)}
+  // A signal at or below threshold counts as 0 and the rest is stretched back to 0..1, smoothed by a one-pole
+  // filter over the analysis frames and multiplied by gain. opacity multiplies the layer's opacity by the value;
+  // scale grows the surface by the value about its centre; brightness, contrast and saturation add the value,
+  // hue adds value x 180 degrees. Target 'scene' (param 'advance') goes to the next cue each time the value
+  // rises past 0.5, at most once every SCENE_HOLD seconds.
+  // The values are applied only for the duration of a render (see modulateLayers()), so they never reach the undo
+  // history or saved projects. The output window gets the values from the editor. Mappings are saved with the
+  // project and, like scenes, are not part of the undo history; the track itself has to be loaded again.
+  const AUDIO_RATE = 60;
+  const AUDIO_SIGNALS = {level:'Level', bass:'Bass', mid:'Mid', treble:'Treble', beat:'Beat'};
+  const AUDIO_PARAMS = {opacity:'Opacity', scale:'Scale', brightness:'Brightness', contrast:'Contrast', saturation:'Saturation', hue:'Hue'};
+  const BEAT_DECAY = 0.2;
+  const BEAT_GAP = 0.25; // seconds between beats at least (240 bpm)
+  const SCENE_HOLD = 1;
+  let audioMappings = [];
+  let audioMappingIdCounter = 1;
+  let audioTrack = null; // {el, name, url, analysis, curves: Map(curve key -> Float32Array)}
+  let audioValues = {}; // mapping id -> value at the current moment
+  let audioContext = null;
+  const audioAbove = new Map(); // scene mapping id -> whether its value was past 0.5 at the last tick
+  let lastAudioCue = -Infinity;
+  let lastAudioBroadcast = null;
+
+  // RMS of samples over each of frames windows of hop samples
+  function audioEnvelope(samples, hop, frames){
+    const env = new Float32Array(frames);
+    for(let f=0;f<frames;f++){
+      const start = Math.floor(f * hop), end = Math.min(samples.length, Math.floor((f+1) * hop));
+      let sum = 0;
+      for(let i=start;i<end;i++) sum += samples[i] * samples[i];
+      env[f] = end>start ? Math.sqrt(sum / (end - start)) : 0;
+    }
+    let peak = 0;
+    for(let f=0;f<frames;f++) if(env[f]>peak) peak = env[f];
+    if(peak>0) for(let f=0;f<frames;f++) env[f] /= peak;
+    return env;
+  }
+
+  // A beat is a bass frame with clearly more energy than the second before it
+  function detectBeats(bass){
+    const span = AUDIO_RATE, gap = Math.round(BEAT_GAP * AUDIO_RATE), decay = BEAT_DECAY * AUDIO_RATE;
+    const beat = new Float32Array(bass.length);
+    let sum = 0, last = -Infinity;
+    for(let i=0;i<bass.length;i++){
+      const e = bass[i] * bass[i];
+      const average = i ? sum / Math.min(i, span) : 0;
+      if(i - last >= gap && e > 0.02 && e > average * 1.5) last = i;
+      beat[i] = Math.max(0, 1 - (i - last) / decay);
+      sum += e;
+      if(i >= span) sum -= bass[i-span] * bass[i-span];
+    }
+    return beat;
+  }
+
+  // Signal tables of a decoded track (mono samples) and its three filtered bands
+  function buildAnalysis(samples, bands, sampleRate){
+    const hop = sampleRate / AUDIO_RATE;
+    const frames = Math.max(1, Math.ceil(samples.length / hop));
+    const [bass, mid, treble] = bands.map(b=> audioEnvelope(b, hop, frames));
+    return {duration: samples.length / sampleRate, frames, level: audioEnvelope(samples, hop, frames), bass, mid, treble, beat: detectBeats(bass)};
+  }
+
+  function analyseAudio(buffer){
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const samples = new Float32Array(buffer.length);
+    for(let c=0;c<buffer.numberOfChannels;c++){
+      const data = buffer.getChannelData(c);
+      for(let i=0;i<data.length;i++) samples[i] += data[i] / buffer.numberOfChannels;
+    }
+    const off = new Offline(3, buffer.length, buffer.sampleRate);
+    const source = off.createBufferSource();
+    source.buffer = buffer;
+    // each filter feeds one channel of the rendering (the merger mixes every input down to mono)
+    const merger = off.createChannelMerger(3);
+    [['lowpass', 250, 0.707], ['bandpass', 707, 0.4], ['highpass', 2000, 0.707]].forEach(([type, frequency, q], i)=>{
+      const filter = off.createBiquadFilter();
+      filter.type = type; filter.frequency.value = frequency; filter.Q.value = q;
+      source.connect(filter);
+      filter.connect(merger, 0, i);
+    });
+    merger.connect(off.destination);
+    source.start();
+    return off.startRendering().then(rendered=> buildAnalysis(samples, [0,1,2].map(i=> rendered.getChannelData(i)), buffer.sampleRate));
+  }
+
+  function loadAudioTrack(file){
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if(!Context || !(window.OfflineAudioContext || window.webkitOfflineAudioContext)){ alert('This browser does not support Web Audio, so audio cannot be analysed.'); return; }
+    audioContext = audioContext || new Context();
+    audioStatusEl.textContent = 'Analysing "' + file.name + '"…';
+    readBlob(file, 'readAsArrayBuffer')
+      .then(data=> audioContext.decodeAudioData(data))
+      .then(analyseAudio)
+      .then(analysis=>{
+        releaseAudioTrack();
+        const url = URL.createObjectURL(file);
+        const el = document.createElement('audio');
+        el.preload = 'auto';
+        el.src = url;
+        ['play','pause','ended'].forEach(type=> el.addEventListener(type, ()=>{ updateAnimationLoop(); renderAudioTransport(); }));
+        el.addEventListener('seeked', ()=>{ if(el.paused){ renderAudioTransport(); draw(); } });
+        audioTrack = {el, name: file.name, url, analysis, curves: new Map()};
+        audioStatusEl.textContent = '"' + file.name + '" · ' + formatDuration(analysis.duration);
+        renderAudioTransport();
+        draw();
+      }, err=>{ audioStatusEl.textContent = 'Could not analyse "' + file.name + '": ' + (err && err.message || err); });
+  }
+
+  function releaseAudioTrack(){
+    if(!audioTrack) return;
+    audioTrack.el.pause();
+    URL.revokeObjectURL(audioTrack.url);
+    audioTrack = null;
+    updateAnimationLoop();
+  }
+
+  function formatDuration(s){
+    const m = Math.floor(s / 60);
+    return m + ':' + String(Math.floor(s - m*60)).padStart(2, '0');
+  }
+
+  // analysis frame at time t
+  function audioFrame(t){
+    return Math.max(0, Math.min(audioTrack.analysis.frames - 1, Math.floor(t * AUDIO_RATE)));
+  }
+
+  // every signal at time t (seconds into the track)
+  function audioSignalsAt(t){
+    const a = audioTrack.analysis, f = audioFrame(t);
+    const out = {};
+    Object.keys(AUDIO_SIGNALS).forEach(k=>{ out[k] = a[k][f]; });
+    return out;
+  }
+
+  // a mapping's thresholded and smoothed signal over the whole track (before gain), shared by equal mappings
+  function mappingCurve(m){
+    const key = JSON.stringify([m.signal, m.threshold, m.smoothing]);
+    let curve = audioTrack.curves.get(key);
+    if(curve) return curve;
+    const src = audioTrack.analysis[m.signal];
+    curve = new Float32Array(src.length);
+    let v = 0;
+    for(let i=0;i<src.length;i++){
+      const x = src[i] > m.threshold ? (src[i] - m.threshold) / (1 - m.threshold) : 0;
+      v = i ? v * m.smoothing + x * (1 - m.smoothing) : x;
+      curve[i] = v;
+    }
+    audioTrack.curves.set(key, curve);
+    return curve;
+  }
+
+  // mapping id -> value at time t
+  function audioValuesAt(t){
+    const values = {};
+    if(!audioTrack) return values;
+    const f = audioFrame(t);
+    audioMappings.forEach(m=>{ values[m.id] = mappingCurve(m)[f] * m.gain; });
+    return values;
+  }
+
+  // Editor side, on every draw: the values at the track's current time, passed on to the output window
+  function updateAudioValues(){
+    audioValues = audioValuesAt(audioTrack ? audioTrack.el.currentTime : 0);
+    if(!channel) return;
+    const json = JSON.stringify(audioValues);
+    if(json===lastAudioBroadcast) return;
+    lastAudioBroadcast = json;
+    channel.postMessage({type:'audio', values: audioValues});
+  }
+
+  // Editor side, once per animation frame while the track plays: cue triggers and the meters
+  function audioTick(){
+    if(!audioTrack) return;
+    const now = performance.now() / 1000;
+    audioMappings.forEach(m=>{
+      if(m.target!=='scene') return;
+      const above = (audioValues[m.id] || 0) > 0.5;
+      const rising = above && !audioAbove.get(m.id);
+      audioAbove.set(m.id, above);
+      if(rising && !audioTrack.el.paused && now - lastAudioCue >= SCENE_HOLD){ lastAudioCue = now; setTimeout(nextCue); }
+    });
+    renderAudioMeters();
+  }
+
+  function audioPlaying(){ return !!audioTrack && !audioTrack.el.paused; }
+
+  // centre of a layer's surface (normalized)
+  function layerCentre(layer){
+    const pts = layer===globalLayer ? corners : layer.type==='circle' ? [layer.center] : layer.points;
+    return {x: pts.reduce((a,p)=> a + p.x, 0) / pts.length, y: pts.reduce((a,p)=> a + p.y, 0) / pts.length};
+  }
+
+  // Apply the current audio values to the layers they drive; returns a function that puts everything back
+  function modulateLayers(){
+    const saved = new Map();
+    audioMappings.forEach(m=>{
+      const v = audioValues[m.id];
+      const layer = m.target==='scene' ? null : layerById(m.target);
+      if(v===undefined || !layer) return;
+      if(!saved.has(layer)){
+        const keep = {opacity: layer.opacity, color: layer.color};
+        if(layer===globalLayer){ keep.corners = corners; keep.meshGrid = meshGrid; }
+        else ['points','curves','grid','center','radius'].forEach(k=>{ if(k in layer) keep[k] = layer[k]; });
+        saved.set(layer, keep);
+      }
+      if(m.param==='opacity') layer.opacity = Math.max(0, Math.min(1, (layer.opacity===undefined ? 1 : layer.opacity) * v));
+      else if(m.param==='scale'){
+        const k = Math.max(0, 1 + v), c = layerCentre(layer);
+        const fn = p=>({x: c.x + (p.x - c.x) * k, y: c.y + (p.y - c.y) * k});
+        if(layer===globalLayer){
+          corners = corners.map(fn);
+          if(meshGrid) meshGrid = {cols: meshGrid.cols, rows: meshGrid.rows, points: meshGrid.points.map(fn)};
+        } else transformShape(layer, shapeGeometry(layer), fn, k);
+      } else {
+        const color = Object.assign({}, DEFAULT_COLOR, layer.color);
+        const value = color[m.param] + (m.param==='hue' ? v * 180 : v);
+        color[m.param] = m.param==='brightness' ? Math.max(-1, Math.min(1, value)) : m.param==='hue' ? value : Math.max(0, value);
+        layer.color = color;
+      }
+    });
+    return ()=> saved.forEach((keep, layer)=>{
+      Object.keys(keep).forEach(k=>{
+        if(layer===globalLayer && k==='corners') corners = keep.corners;
+        else if(layer===globalLayer && k==='meshGrid') meshGrid = keep.meshGrid;
+        else if(keep[k]===undefined) delete layer[k];
+        else layer[k] = keep[k];
+      });
+    });
+  }
+
+  function renderAudioTransport(){
+    const el = audioTrack && audioTrack.el;
+    audioPlayBtn.disabled = !el;
+    audioSeek.disabled = !el;
+    audioPlayBtn.textContent = el && !el.paused ? 'Pause' : 'Play';
+    const duration = audioTrack ? audioTrack.analysis.duration : 0;
+    audioSeek.max = duration;
+    audioSeek.value = el ? el.currentTime : 0;
+    audioTimeEl.textContent = formatDuration(el ? el.currentTime : 0) + ' / ' + formatDuration(duration);
+    renderAudioMeters();
+  }
+
+  function renderAudioMeters(){
+    if(!audioTrack){ audioMetersEl.textContent = ''; return; }
+    const t = audioTrack.el.currentTime;
+    const signals = audioSignalsAt(t);
+    audioMetersEl.textContent = Object.keys(AUDIO_SIGNALS).map(k=> AUDIO_SIGNALS[k].toLowerCase() + ' ' + signals[k].toFixed(2)).join(' · ');
+    if(!audioTrack.el.paused){
+      audioSeek.value = t;
+      audioTimeEl.textContent = formatDuration(t) + ' / ' + formatDuration(audioTrack.analysis.duration);
+    }
+  }
+
+  function addAudioMapping(){
+    audioMappings.push({id: 'a' + (audioMappingIdCounter++), signal: 'beat', target: selectedShapeId || 'global', param: 'opacity', gain: 1, smoothing: 0.5, threshold: 0});
+    renderAudioMappings();
+    mappingChanged();
+  }
+
+  function mappingChanged(){
+    projectChanged();
+    draw();
+  }
+
+  function renderAudioMappings(){
+    audioMappingsEl.innerHTML = '';
+    const select = (options, value, onChange)=>{
+      const sel = document.createElement('select');
+      Object.keys(options).forEach(k=>{ const o = document.createElement('option'); o.value = k; o.textContent = options[k]; sel.appendChild(o); });
+      sel.value = value;
+      sel.addEventListener('change', ()=> onChange(sel.value));
+      return sel;
+    };
+    audioMappings.forEach((m, i)=>{
+      const div = document.createElement('div'); div.className = 'shape-item layer-item cue-item';
+      const targets = {scene: 'Next cue'};
+      layerStack().forEach(layer=>{ targets[layer.id] = layerName(layer); });
+      if(!(m.target in targets)) targets[m.target] = m.target + ' (deleted)';
+      const props = document.createElement('div'); props.className = 'layer-props mapping-props';
+      props.appendChild(select(AUDIO_SIGNALS, m.signal, v=>{ m.signal = v; mappingChanged(); }));
+      props.appendChild(document.createTextNode('→'));
+      props.appendChild(select(targets, m.target, v=>{
+        m.target = v;
+        if(v==='scene') m.param = 'advance'; else if(m.param==='advance') m.param = 'opacity';
+        renderAudioMappings();
+        mappingChanged();
+      }));
+      if(m.target!=='scene') props.appendChild(select(AUDIO_PARAMS, m.param, v=>{ m.param = v; mappingChanged(); }));
+      props.appendChild(numberField('gain', m, 'gain', -4, 4, 0.05, mappingChanged));
+      props.appendChild(numberField('smooth', m, 'smoothing', 0, 0.99, 0.05, mappingChanged));
+      props.appendChild(numberField('threshold', m, 'threshold', 0, 0.95, 0.05, mappingChanged));
+      const del = document.createElement('button'); del.className = 'selectBtn'; del.textContent = 'Remove';
+      del.addEventListener('click', ()=>{ audioMappings.splice(i, 1); audioAbove.delete(m.id); renderAudioMappings(); mappingChanged(); });
+      props.appendChild(del);
+      div.appendChild(props);
+      audioMappingsEl.appendChild(div);
+    });
+  }
+
+  audioFileInput.addEventListener('change', ()=>{
+    const f = audioFileInput.files && audioFileInput.files[0];
+    if(f) loadAudioTrack(f);
+  });
+  audioPlayBtn.addEventListener('click', ()=>{
+    if(!audioTrack) return;
+    if(audioTrack.el.paused) audioTrack.el.play().catch(()=>{}); else audioTrack.el.pause();
+  });
+  // scrubbing previews the mappings at that moment
+  audioSeek.addEventListener('input', ()=>{
+    if(!audioTrack) return;
+    audioTrack.el.currentTime = Number(audioSeek.value);
+    renderAudioTransport();
+    draw();
+  });
+  addAudioMappingBtn.addEventListener('click', addAudioMapping);
+
+  // Projectors ---------------------------------------------------------------------
+  // A large surface can be covered by several overlapping projectors. Each projector shows a rectangular slice
+  // (region, normalized) of the content canvas, keystoned by its own corner quad, with soft-edge blend ramps
+  // that fade the overlapping edges so overlaps add up to an even brightness.
+  //   {id, name, region:{x,y,w,h}, corners:[4 x {x,y}], blend:{left|right|top|bottom: {width, gamma, curve}}}
+  // Blend width is a fraction of the slice (0 = no ramp), gamma compensates the projector's light response and
+  // curve shapes the ramp (1 = linear, higher = flatter towards both ends of the overlap).
+  const BLEND_EDGES = ['left','right','top','bottom'];
+  let projectors = [];
+  let projectorIdCounter = 1;
+  // projector shown in this window (null = the content canvas with all surfaces)
+  let viewProjectorId = isOutput ? new URLSearchParams(location.search).get('projector') : null;
+  const contentCanvas = document.createElement('canvas');
+  const sliceCanvas = document.createElement('canvas');
+
+  function defaultBlend(){
+    const blend = {};
+    BLEND_EDGES.forEach(e=> blend[e] = {width:0, gamma:2.2, curve:2});
+    return blend;
+  }
+
+  function viewedProjector(){
+    return viewProjectorId ? projectors.find(p=>p.id===viewProjectorId) || null : null;
+  }
+
+  // ramp value for t in [0,1] from the outer edge of an overlap to its inner end
+  function blendRamp(t, gamma, curve){
+    const c = Math.max(0.01, curve);
+    const f = t < 0.5 ? 0.5*Math.pow(2*t, c) : 1 - 0.5*Math.pow(2*(1-t), c);
+    return Math.pow(f, 1/Math.max(0.01, gamma));
+  }
+
+  // Split the content horizontally between all projectors with a shared overlap and matching blend widths
+  function layoutProjectors(overlap){
+    const n = projectors.length;
+    const wEach = (1 + (n-1)*overlap) / n;
+    projectors.forEach((p,i)=>{
+      p.region = {x: i*(wEach-overlap), y:0, w: wEach, h:1};
+      p.blend.left.width = i>0 ? overlap/wEach : 0;
+      p.blend.right.width = i<n-1 ? overlap/wEach : 0;
+    });
+  }
+
+  // Fade the blended edges of a slice: destination-out removes (1 - ramp) of the light along each ramp;
+  // where two ramps meet in a corner their attenuation multiplies.
+  function applyBlend(g, blend, w, h){
+    g.save();
+    g.globalCompositeOperation = 'destination-out';
+    BLEND_EDGES.forEach(edge=>{
+      const b = blend[edge];
+      if(!b || !(b.width > 0)) return;
+      const size = b.width * (edge==='left' || edge==='right' ? w : h);
+      const grad = edge==='left' ? g.createLinearGradient(0,0,size,0)
+        : edge==='right' ? g.createLinearGradient(w,0,w-size,0)
+        : edge==='top' ? g.createLinearGradient(0,0,0,size)
+        : g.createLinearGradient(0,h,0,h-size);
+      const steps = 16;
+      for(let k=0;k<=steps;k++){ const t = k/steps; grad.addColorStop(t, 'rgba(0,0,0,'+(1-blendRamp(t, b.gamma, b.curve)).toFixed(4)+')'); }
+      g.fillStyle = grad;
+      if(edge==='left') g.fillRect(0,0,size,h);
+      else if(edge==='right') g.fillRect(w-size,0,size,h);
+      else if(edge==='top') g.fillRect(0,0,w,size);
+      else g.fillRect(0,h-size,w,size);
+    });
+    g.restore();
+  }
+
+  // Render projector p from the content canvas into context g: cut its region, blend the edges, keystone it
+  function renderProjector(p, content, g, w, h){
+    const r = p.region;
+    const sw = Math.max(1, Math.round(r.w*w)), sh = Math.max(1, Math.round(r.h*h));
+    if(sliceCanvas.width!==sw || sliceCanvas.height!==sh){ sliceCanvas.width = sw; sliceCanvas.height = sh; }
+    const sctx = sliceCanvas.getContext('2d');
+    sctx.clearRect(0,0,sw,sh);
+    sctx.drawImage(content, r.x*w, r.y*h, r.w*w, r.h*h, 0, 0, sw, sh);
+    applyBlend(sctx, p.blend, sw, sh);
+    const cols = Number(gridRange.value);
+    const rows = Math.max(2, Math.round(cols * sh / sw));
+    if(!projectorCaches.has(p.id)) projectorCaches.set(p.id, {});
+    const mesh = quadMesh(projectorCaches.get(p.id), JSON.stringify([p.corners, w, h]), toPixels(quadMapper(p.corners, 'perspective'), w, h), cols, rows, sw, sh);
+    drawQuadMesh(g, sliceCanvas, mesh);
+    if(!isOutput){
+      g.save();
+      g.strokeStyle = 'rgba(255,255,255,0.6)'; g.lineWidth = Math.max(1,2*dpr);
+      g.beginPath();
+      p.corners.forEach((c,k)=> k ? g.lineTo(c.x*w, c.y*h) : g.moveTo(c.x*w, c.y*h));
+      g.closePath(); g.stroke();
+      g.restore();
+    }
+  }
+
+  function refreshProjectorUI(){
+    if(viewProjectorId && !viewedProjector()) viewProjectorId = null;
+    viewSelect.innerHTML = '';
+    const content = document.createElement('option'); content.value = ''; content.textContent = 'Content (all surfaces)';
+    viewSelect.appendChild(content);
+    projectors.forEach(p=>{
+      const o = document.createElement('option'); o.value = p.id; o.textContent = p.name + ' ('+p.id+')';
+      viewSelect.appendChild(o);
+    });
+    viewSelect.value = viewProjectorId || '';
+    layoutProjectorsBtn.disabled = projectors.length < 2;
+    canvasArea.classList.toggle('projector-view', !!viewProjectorId);
+    renderProjectorSettings();
+    syncWarpControls();
+    renderOverlay();
+    updateShapeHandles();
+    updateHandlePositions();
+    draw();
+  }
+
+  function renderProjectorSettings(){
+    projectorSettingsEl.innerHTML = '';
+    const p = viewedProjector();
+    projectorSettingsEl.hidden = !p;
+    removeProjectorBtn.disabled = !p;
+    if(!p) return;
+    const row = title => {
+      const div = document.createElement('div'); div.className = 'field-row';
+      const t = document.createElement('span'); t.className = 'field-title'; t.textContent = title;
+      div.appendChild(t); projectorSettingsEl.appendChild(div);
+      return div;
+    };
+    const field = (parent, label, obj, key, min, max, step) => parent.appendChild(numberField(label, obj, key, min, max, step, draw));
+    const region = row('Region');
+    ['x','y','w','h'].forEach(k=> field(region, k, p.region, k, 0, 1, 0.01));
+    BLEND_EDGES.forEach(edge=>{
+      const r = row('Blend '+edge);
+      field(r, 'width', p.blend[edge], 'width', 0, 0.5, 0.01);
+      field(r, 'gamma', p.blend[edge], 'gamma', 0.1, 4, 0.1);
+      field(r, 'curve', p.blend[edge], 'curve', 0.5, 5, 0.1);
+    });
+  }
+
+  viewSelect.addEventListener('change', ()=>{
+    viewProjectorId = viewSelect.value || null;
+    // projector corners use the global handles, so leave shape editing
+    if(viewProjectorId){ selectShape(null); renderShapesUI(); }
+    refreshProjectorUI();
+  });
+
+  addProjectorBtn.addEventListener('click', ()=>{
+    // a new projector shows the whole content; the others keep their tuned regions and blends (see Auto-layout)
+    const id = 'p'+(projectorIdCounter++);
+    recordChange(()=>{
+      projectors.push({id, name: 'Projector '+(projectors.length+1), region:{x:0,y:0,w:1,h:1}, corners:[{x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1}], blend: defaultBlend()});
+    });
+    viewProjectorId = id;
+    selectShape(null);
+    renderShapesUI();
+    refreshProjectorUI();
+  });
+
+  // re-split the content between all projectors with a 10% overlap
+  layoutProjectorsBtn.addEventListener('click', ()=>{
+    recordChange(()=> layoutProjectors(0.1));
+    renderProjectorSettings();
+    draw();
+  });
+
+  removeProjectorBtn.addEventListener('click', ()=>{
+    if(!viewProjectorId) return;
+    recordChange(()=>{ projectors = projectors.filter(p=>p.id!==viewProjectorId); });
+    viewProjectorId = null;
+    refreshProjectorUI();
+  });
+
+  // Undo / redo ------------------------------------------------------------------------
+  // History entries are snapshots of the whole editable state. Plain data is deep-copied; media elements are
+  // kept by reference so undoing a deletion or a media change brings the very same image/video back.
+  // beginChange() snapshots the state before an edit (once per gesture) and commitChange() pushes it to the undo
+  // stack if anything actually changed, so a whole drag or slider gesture becomes a single entry.
+  const HISTORY_LIMIT = 100;
+  let undoStack = [], redoStack = [];
+  let pendingChange = null;
+  const trackedMedia = new Set(); // every media element bound so far, until pruneMedia() releases it
+
+  function copyShape(s){
+    const c = serializeShape(s); // deep copy of the plain data
+    SHAPE_MEDIA_KEYS.concat(['_url','_isGif']).forEach(k=>{ if(s[k]!==undefined) c[k] = s[k]; });
+    return c;
+  }
+
+  function captureState(){
+    const clone = v => v===null || v===undefined ? v : JSON.parse(JSON.stringify(v));
+    return {
+      corners: clone(corners), warpMode, meshGrid: clone(meshGrid),
+      meshResolution: gridRange.value, outputSize: clone(outputSize),
+      projectors: clone(projectors),
+      globalLayer: Object.assign({}, globalLayer),
+      image, imgWidth, imgHeight,
+      shapes: shapes.map(copyShape),
+      groups: contentGroups.map(copyShape), groupIdCounter,
+      shapeIdCounter, selectedShapeId
+    };
+  }
+
+  // comparable form of a snapshot (media elements by key)
+  function stateKey(st){
+    return JSON.stringify(st, (k,v)=> v instanceof HTMLElement ? mediaKey(v) : k==='selectedShapeId' ? undefined : v);
+  }
+
+  function restoreState(st){
+    corners = JSON.parse(JSON.stringify(st.corners));
+    warpMode = st.warpMode;
+    meshGrid = st.meshGrid ? JSON.parse(JSON.stringify(st.meshGrid)) : null;
+    gridRange.value = st.meshResolution; gridLabel.textContent = gridRange.value;
+    outputSize = Object.assign({}, st.outputSize);
+    syncOutputControls();
+    projectors = JSON.parse(JSON.stringify(st.projectors));
+    Object.keys(globalLayer).forEach(k=>{ if(!(k in st.globalLayer)) delete globalLayer[k]; });
+    Object.assign(globalLayer, st.globalLayer);
+    image = st.image; imgWidth = st.imgWidth; imgHeight = st.imgHeight;
+    shapes = st.shapes.map(copyShape);
+    contentGroups = st.groups.map(copyShape); groupIdCounter = st.groupIdCounter;
+    shapeIdCounter = st.shapeIdCounter;
+    selectShape(shapes.some(x=>x.id===st.selectedShapeId) ? st.selectedShapeId : null);
+    // videos stopped when they were removed start playing again
+    allMediaElements().forEach(el=>{ if(el._released){ el._released = false; el.play && el.play().catch(()=>{}); } });
+    layerStack().forEach(applyPlayback);
+    updateAnimationLoop();
+    renderShapesUI();
+    refreshProjectorUI();
+    updateHistoryButtons();
+    resizeCanvas();
+  }
+
+  function beginChange(){
+    if(!pendingChange) pendingChange = captureState();
+  }
+
+  function commitChange(){
+    if(!pendingChange) return;
+    const before = pendingChange;
+    pendingChange = null;
+    if(stateKey(before)===stateKey(captureState())) return;
+    undoStack.push(before);
+    if(undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    updateHistoryButtons();
+    pruneMedia();
+    projectChanged();
+  }
+
+  function recordChange(fn){
+    beginChange();
+    fn();
+    commitChange();
+  }
+
+  function undo(){
+    commitChange();
+    if(!undoStack.length) return;
+    redoStack.push(captureState());
+    restoreState(undoStack.pop());
+    projectChanged();
+  }
+
+  function redo(){
+    commitChange();
+    if(!redoStack.length) return;
+    undoStack.push(captureState());
+    restoreState(redoStack.pop());
+    projectChanged();
+  }
+
+  function updateHistoryButtons(){
+    undoBtn.disabled = !undoStack.length;
+    redoBtn.disabled = !redoStack.length;
+  }
+
+  // revoke media that neither the current state, a scene nor any history entry uses any more
+  function pruneMedia(){
+    const used = new Set(allMediaElements().concat(sceneMedia(), transitionMedia()));
+    undoStack.concat(redoStack).forEach(st=>{
+      if(st.image) used.add(st.image);
+      st.shapes.concat(st.groups).forEach(x=>{ if(x.image) used.add(x.image); if(x.video) used.add(x.video); });
+    });
+    trackedMedia.forEach(el=>{ if(!used.has(el)){ revokeMedia(el); trackedMedia.delete(el); } });
+  }
+
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  window.addEventListener('keydown', e=>{
+    if(isOutput || !(e.ctrlKey || e.metaKey)) return;
+    // leave text editing shortcuts to the fields themselves
+    const t = e.target;
+    if(t && (t.tagName==='TEXTAREA' || (t.tagName==='INPUT' && /^(text|number|search|url)$/.test(t.type)))) return;
+    const key = e.key.toLowerCase();
+    if(key==='z' && !e.shiftKey){ e.preventDefault(); undo(); }
+    else if((key==='z' && e.shiftKey) || key==='y'){ e.preventDefault(); redo(); }
+  });
+
+  // Project files ------------------------------------------------------------------
+  // Versioned project format. Everything needed to restore a session is stored: corners, warp mode, mesh
+  // resolution, all shapes and which media is bound to the global image and to each shape. Images up to
+  // MAX_EMBED_BYTES are embedded as data URLs; other media (videos, large files) is stored by file name and
+  // re-linked by name when the project is opened.
+  //   { format, version, timestamp, settings:{meshResolution, output?:{width, height}}, corners:[4 x {x,y}], warpMode, meshGrid?,
+  //     media:{global: ref|null}, shapes:[{id, type, points?, center?, radius?, warp?, grid?, media: ref|null}] }
+  //   grid = {cols, rows, points:[cols*rows x {x,y}]} (row-major control points for 'mesh' warp mode)
+  //   coordinates are fractions of the output raster, settings.output (see Output resolution); files without it
+  //   open at the current resolution
+  //   projectors?: [{id, name, region, corners, blend}] (see Projectors above)
+  //   globalLayer?: {visible, locked, opacity, blend, z, playback?, color?, falloff?, uv?}; shapes carry the same layer
+  //   properties (see Layers, Video playback, Color correction and Input mapping)
+  //   shapes may also have fit and tex (see Content mapping), role, feather and invert (see Masks), and group
+  //   groups?: [{id, name, layout?, media: ref|null}] (see Content groups)
+  //   ref = {name, type, width, height, data?, pattern?, blob?} (pattern: see Test patterns, blob: Project library)
+  //   scenes?: [{id, name, transition, fade, auto, layers:{<layer id>: {visible, opacity, media: ref|null}}}] in cue
+  //   order (see Scenes and cues)
+  //   audio?: {mappings: [{id, signal, target, param, gain, smoothing, threshold}]} (see Audio reactivity)
+  const PROJECT_FORMAT = 'projector-mapping-project';
+  const PROJECT_VERSION = 1;
+  const MAX_EMBED_BYTES = 8 * 1024 * 1024;
+  const WARP_MODES = ['perspective','bilinear','mesh'];
+  // exact number of points per shape type (polygon: at least 3)
+  const SHAPE_POINT_COUNTS = {triangle:3, rectangle:4, circle:0, polygon:3};
+  // shape fields that hold live media; everything else except _runtime fields is plain project data
+  const SHAPE_MEDIA_KEYS = ['image','video','imgWidth','imgHeight'];
+  let pendingRelinks = []; // [{shapeId|null, groupId?, ref, scene?}] media referenced by the open project but not embedded
+
+  // method: 'readAsDataURL' or 'readAsArrayBuffer'
+  function readBlob(blob, method){
+    return new Promise((resolve, reject)=>{
+      const reader = new FileReader();
+      reader.onload = ()=> resolve(reader.result);
+      reader.onerror = ()=> reject(reader.error);
+      reader[method](blob);
+    });
+  }
+
+  // Describe (and where possible embed) the media an element was loaded from. With blobs (a Map), files are not
+  // embedded but referenced by their id in the browser's media store and added to blobs (see Project library).
+  function mediaRef(el, blobs){
+    if(!el || !el._src) return Promise.resolve(null);
+    const src = el._src;
+    const isVideo = el.tagName==='VIDEO';
+    const ref = {name: src.name || '', type: src.type || '', width: isVideo ? el.videoWidth : el.width, height: isVideo ? el.videoHeight : el.height};
+    if(src.pattern){ ref.pattern = Object.assign({}, src.pattern); return Promise.resolve(ref); }
+    if(src.data){ ref.data = src.data; return Promise.resolve(ref); }
+    if(blobs && src.file){
+      ref.blob = src.blobId || (src.blobId = uniqueId('m'));
+      blobs.set(ref.blob, src.file);
+      return Promise.resolve(ref);
+    }
+    if(isVideo || !src.file || src.file.size > MAX_EMBED_BYTES) return Promise.resolve(ref);
+    return readBlob(src.file, 'readAsDataURL').then(data=>{ ref.data = data; return ref; }, ()=> ref);
+  }
+
+  function serializeShape(s){
+    const out = {};
+    Object.keys(s).forEach(k=>{ if(k[0]!=='_' && !SHAPE_MEDIA_KEYS.includes(k)) out[k] = s[k]; });
+    return JSON.parse(JSON.stringify(out));
+  }
+
+  function serializeProject(blobs){
+    // scenes usually repeat the live media, so each element is encoded once
+    const encoded = new Map();
+    const refOf = el=>{ if(!encoded.has(el)) encoded.set(el, mediaRef(el, blobs)); return encoded.get(el); };
+    const shapeRefs = shapes.map(s=> refOf(s.video || s.image));
+    const groupRefs = Promise.all(contentGroups.map(g=> refOf(g.video || g.image)));
+    const sceneData = Promise.all(scenes.map(sc=>{
+      const ids = Object.keys(sc.layers);
+      return Promise.all(ids.map(id=> refOf(sc.layers[id].media))).then(refs=>({
+        id: sc.id, name: sc.name, transition: sc.transition, fade: sc.fade, auto: sc.auto,
+        layers: ids.reduce((out, id, i)=>{ out[id] = {visible: sc.layers[id].visible, opacity: sc.layers[id].opacity, media: refs[i]}; return out; }, {})
+      }));
+    }));
+    return Promise.all([refOf(image)].concat(shapeRefs, [groupRefs, sceneData])).then(refs=>({
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      timestamp: Date.now(),
+      settings: { meshResolution: Number(gridRange.value), output: Object.assign({}, outputSize) },
+      corners: corners.map(c=>({x:c.x, y:c.y})),
+      warpMode,
+      meshGrid: meshGrid ? JSON.parse(JSON.stringify(meshGrid)) : null,
+      projectors: JSON.parse(JSON.stringify(projectors)),
+      globalLayer: Object.assign({}, globalLayer),
+      media: { global: refs[0] },
+      shapes: shapes.map((s,i)=> Object.assign(serializeShape(s), {media: refs[i+1]})),
+      groups: contentGroups.map((g,i)=> Object.assign(serializeShape(g), {media: refs[refs.length-2][i]})),
+      scenes: refs[refs.length-1],
+      audio: {mappings: JSON.parse(JSON.stringify(audioMappings))}
+    }));
+  }
+
+  // Bring older files up to the current version. Version 0 is the original corners-only calibration file
+  // ({corners, timestamp, image:{width,height}}); it only carries corners, so loading it leaves shapes alone.
+  function migrateProject(obj){
+    if(!obj || typeof obj!=='object' || Array.isArray(obj)) return obj;
+    if(obj.format===undefined && obj.version===undefined && obj.corners){
+      // corners-only files were always rendered with the bilinear warp
+      return { format: PROJECT_FORMAT, version: PROJECT_VERSION, timestamp: obj.timestamp, corners: obj.corners, warpMode: obj.warpMode || 'bilinear' };
+    }
+    return obj;
+  }
+
+  // Returns a message naming the first invalid field, or null when the project can be applied
+  function validateProject(obj){
+    const isNum = v => typeof v==='number' && isFinite(v);
+    const checkPoint = (p, path)=>{
+      if(!p || typeof p!=='object') return path+' must be an object with x and y';
+      if(!isNum(p.x)) return path+'.x must be a number';
+      if(!isNum(p.y)) return path+'.y must be a number';
+      return null;
+    };
+    const checkPoints = (pts, count, path)=>{
+      if(!Array.isArray(pts)) return path+' must be an array';
+      if(pts.length!==count) return path+' must contain '+count+' points (found '+pts.length+')';
+      for(let i=0;i<pts.length;i++){ const err = checkPoint(pts[i], path+'['+i+']'); if(err) return err; }
+      return null;
+    };
+    const checkGrid = (grid, path)=>{
+      if(grid===null || grid===undefined) return null;
+      if(typeof grid!=='object') return path+' must be an object or null';
+      for(const k of ['cols','rows']){
+        if(!Number.isInteger(grid[k]) || grid[k]<2 || grid[k]>16) return path+'.'+k+' must be a whole number between 2 and 16';
+      }
+      return checkPoints(grid.points, grid.cols*grid.rows, path+'.points');
+    };
+    const checkLayer = (l, path)=>{
+      for(const k of ['visible','locked']) if(l[k]!==undefined && typeof l[k]!=='boolean') return path+'.'+k+' must be true or false';
+      if(l.opacity!==undefined && (!isNum(l.opacity) || l.opacity<0 || l.opacity>1)) return path+'.opacity must be a number between 0 and 1';
+      if(l.blend!==undefined && !(l.blend in BLEND_MODES)) return path+'.blend must be one of '+Object.keys(BLEND_MODES).join(', ');
+      if(l.playback!==undefined){
+        const pb = l.playback;
+        if(!pb || typeof pb!=='object') return path+'.playback must be an object';
+        for(const k of ['rate','loopIn','loopOut','volume']) if(pb[k]!==undefined && (!isNum(pb[k]) || pb[k]<0)) return path+'.playback.'+k+' must be a number of 0 or more';
+        if(pb.muted!==undefined && typeof pb.muted!=='boolean') return path+'.playback.muted must be true or false';
+      }
+      if(l.color!==undefined){
+        if(!l.color || typeof l.color!=='object') return path+'.color must be an object';
+        for(const k of Object.keys(DEFAULT_COLOR)) if(l.color[k]!==undefined && !isNum(l.color[k])) return path+'.color.'+k+' must be a number';
+        if(l.color.gamma!==undefined && !(l.color.gamma > 0)) return path+'.color.gamma must be greater than 0';
+      }
+      if(l.falloff!==undefined){
+        if(!l.falloff || typeof l.falloff!=='object') return path+'.falloff must be an object';
+        for(const k of Object.keys(DEFAULT_FALLOFF)) if(l.falloff[k]!==undefined && (!isNum(l.falloff[k]) || l.falloff[k]<0 || l.falloff[k]>1)) return path+'.falloff.'+k+' must be a number between 0 and 1';
+      }
+      return null;
+    };
+    const checkRef = (ref, path)=>{
+      if(ref===null || ref===undefined) return null;
+      if(typeof ref!=='object') return path+' must be an object or null';
+      if(typeof ref.name!=='string') return path+'.name must be a string';
+      if(ref.data!==undefined && (typeof ref.data!=='string' || !ref.data.startsWith('data:'))) return path+'.data must be a data: URL';
+      if(ref.blob!==undefined && (typeof ref.blob!=='string' || !ref.blob)) return path+'.blob must be a non-empty string';
+      if(ref.pattern!==undefined){
+        const pt = ref.pattern;
+        if(!pt || typeof pt!=='object' || !Object.prototype.hasOwnProperty.call(PATTERNS, pt.kind)) return path+'.pattern.kind must be one of '+Object.keys(PATTERNS).join(', ');
+        for(const k of ['density','width','height']) if(!Number.isInteger(pt[k]) || pt[k] < 1 || pt[k] > 4096) return path+'.pattern.'+k+' must be an integer from 1 to 4096';
+      }
+      return null;
+    };
+    if(!obj || typeof obj!=='object' || Array.isArray(obj)) return 'file does not contain a project object';
+    if(obj.format!==PROJECT_FORMAT) return 'format must be "'+PROJECT_FORMAT+'"';
+    if(obj.version!==PROJECT_VERSION) return 'version '+obj.version+' is not supported (expected '+PROJECT_VERSION+')';
+    let err = checkPoints(obj.corners, 4, 'corners'); if(err) return err;
+    if(!WARP_MODES.includes(obj.warpMode)) return 'warpMode must be one of '+WARP_MODES.join(', ');
+    err = checkGrid(obj.meshGrid, 'meshGrid'); if(err) return err;
+    if(obj.settings!==undefined){
+      if(!obj.settings || typeof obj.settings!=='object') return 'settings must be an object';
+      const res = obj.settings.meshResolution;
+      if(!isNum(res) || res < Number(gridRange.min) || res > Number(gridRange.max)) return 'settings.meshResolution must be a number between '+gridRange.min+' and '+gridRange.max;
+      const out = obj.settings.output;
+      if(out!==undefined){
+        if(!out || typeof out!=='object') return 'settings.output must be an object with width and height';
+        for(const k of ['width','height']){
+          if(!Number.isInteger(out[k]) || out[k]<MIN_OUTPUT_SIZE || out[k]>MAX_OUTPUT_SIZE) return 'settings.output.'+k+' must be a whole number from '+MIN_OUTPUT_SIZE+' to '+MAX_OUTPUT_SIZE;
+        }
+      }
+    }
+    if(obj.globalLayer!==undefined){
+      if(!obj.globalLayer || typeof obj.globalLayer!=='object') return 'globalLayer must be an object';
+      err = checkLayer(obj.globalLayer, 'globalLayer'); if(err) return err;
+      if(obj.globalLayer.z!==undefined && (!Number.isInteger(obj.globalLayer.z) || obj.globalLayer.z<0)) return 'globalLayer.z must be a whole number of 0 or more';
+      if(obj.globalLayer.uv!==undefined){ err = checkPoints(obj.globalLayer.uv, 4, 'globalLayer.uv'); if(err) return err; }
+    }
+    if(obj.projectors!==undefined){
+      if(!Array.isArray(obj.projectors)) return 'projectors must be an array';
+      const pids = new Set();
+      for(let i=0;i<obj.projectors.length;i++){
+        const p = obj.projectors[i], path = 'projectors['+i+']';
+        if(!p || typeof p!=='object') return path+' must be an object';
+        if(typeof p.id!=='string' || !p.id) return path+'.id must be a non-empty string';
+        if(pids.has(p.id)) return path+'.id "'+p.id+'" is used more than once';
+        pids.add(p.id);
+        if(!p.region || typeof p.region!=='object') return path+'.region must be an object';
+        for(const k of ['x','y','w','h']) if(!isNum(p.region[k])) return path+'.region.'+k+' must be a number';
+        err = checkPoints(p.corners, 4, path+'.corners'); if(err) return err;
+        if(!p.blend || typeof p.blend!=='object') return path+'.blend must be an object';
+        for(const edge of BLEND_EDGES){
+          const b = p.blend[edge];
+          if(!b || typeof b!=='object') return path+'.blend.'+edge+' must be an object';
+          for(const k of ['width','gamma','curve']) if(!isNum(b[k])) return path+'.blend.'+edge+'.'+k+' must be a number';
+        }
+      }
+    }
+    if(obj.media!==undefined){
+      if(!obj.media || typeof obj.media!=='object') return 'media must be an object';
+      err = checkRef(obj.media.global, 'media.global'); if(err) return err;
+    }
+    const groupIds = new Set();
+    if(obj.groups!==undefined){
+      if(!Array.isArray(obj.groups)) return 'groups must be an array';
+      for(let i=0;i<obj.groups.length;i++){
+        const g = obj.groups[i], path = 'groups['+i+']';
+        if(!g || typeof g!=='object') return path+' must be an object';
+        if(typeof g.id!=='string' || !g.id) return path+'.id must be a non-empty string';
+        if(groupIds.has(g.id)) return path+'.id "'+g.id+'" is used more than once';
+        groupIds.add(g.id);
+        if(typeof g.name!=='string') return path+'.name must be a string';
+        if(g.layout!==undefined){
+          if(!g.layout || typeof g.layout!=='object') return path+'.layout must be an object';
+          for(const id of Object.keys(g.layout)){
+            const r = g.layout[id], rpath = path+'.layout.'+id;
+            if(!r || typeof r!=='object') return rpath+' must be an object';
+            for(const k of ['x','y','w','h']) if(!isNum(r[k])) return rpath+'.'+k+' must be a number';
+            if(!(r.w>0 && r.h>0)) return rpath+'.w and .h must be greater than 0';
+          }
+        }
+        err = checkRef(g.media, path+'.media'); if(err) return err;
+      }
+    }
+    if(obj.shapes!==undefined){
+      if(!Array.isArray(obj.shapes)) return 'shapes must be an array';
+      const ids = new Set();
+      for(let i=0;i<obj.shapes.length;i++){
+        const s = obj.shapes[i], path = 'shapes['+i+']';
+        if(!s || typeof s!=='object') return path+' must be an object';
+        if(typeof s.id!=='string' || !s.id) return path+'.id must be a non-empty string';
+        if(ids.has(s.id)) return path+'.id "'+s.id+'" is used more than once';
+        ids.add(s.id);
+        if(!(s.type in SHAPE_POINT_COUNTS)) return path+'.type must be one of '+Object.keys(SHAPE_POINT_COUNTS).join(', ');
+        if(s.type==='circle'){
+          err = checkPoint(s.center, path+'.center'); if(err) return err;
+          if(!isNum(s.radius) || s.radius<0) return path+'.radius must be a non-negative number';
+        } else {
+          const count = s.type==='polygon' && Array.isArray(s.points) ? Math.max(3, s.points.length) : SHAPE_POINT_COUNTS[s.type];
+          err = checkPoints(s.points, count, path+'.points'); if(err) return err;
+        }
+        if(s.warp!==undefined && !WARP_MODES.includes(s.warp)) return path+'.warp must be one of '+WARP_MODES.join(', ');
+        err = checkGrid(s.grid, path+'.grid'); if(err) return err;
+        if(s.curves!==undefined){
+          // only polygons have curved edges (and points were checked above)
+          if(s.type!=='polygon') return path+'.curves is only allowed on polygons';
+          if(!Array.isArray(s.curves) || s.curves.length!==s.points.length) return path+'.curves must be an array with one entry per point';
+          for(let k=0;k<s.curves.length;k++){
+            const c = s.curves[k];
+            if(c===null) continue;
+            err = checkPoint(c && c.c1, path+'.curves['+k+'].c1') || checkPoint(c.c2, path+'.curves['+k+'].c2'); if(err) return err;
+          }
+        }
+        err = checkLayer(s, path); if(err) return err;
+        if(s.uv!==undefined){ err = checkPoints(s.uv, s.type==='triangle' || s.type==='polygon' ? s.points.length : 4, path+'.uv'); if(err) return err; }
+        if(s.role!==undefined && s.role!=='mask') return path+'.role must be "mask" or absent';
+        if(s.feather!==undefined && (!isNum(s.feather) || s.feather<0 || s.feather>MAX_FEATHER)) return path+'.feather must be a number between 0 and '+MAX_FEATHER;
+        if(s.invert!==undefined && typeof s.invert!=='boolean') return path+'.invert must be true or false';
+        if(s.group!==undefined && !groupIds.has(s.group)) return path+'.group must be the id of one of the groups';
+        if(s.fit!==undefined && !(s.fit in FIT_MODES)) return path+'.fit must be one of '+Object.keys(FIT_MODES).join(', ');
+        if(s.tex!==undefined){
+          if(!s.tex || typeof s.tex!=='object') return path+'.tex must be an object';
+          for(const k of ['x','y','scale','rotation']) if(s.tex[k]!==undefined && !isNum(s.tex[k])) return path+'.tex.'+k+' must be a number';
+        }
+        err = checkRef(s.media, path+'.media'); if(err) return err;
+      }
+    }
+    if(obj.scenes!==undefined){
+      if(!Array.isArray(obj.scenes)) return 'scenes must be an array';
+      const sids = new Set();
+      for(let i=0;i<obj.scenes.length;i++){
+        const sc = obj.scenes[i], path = 'scenes['+i+']';
+        if(!sc || typeof sc!=='object') return path+' must be an object';
+        if(typeof sc.id!=='string' || !sc.id) return path+'.id must be a non-empty string';
+        if(sids.has(sc.id)) return path+'.id "'+sc.id+'" is used more than once';
+        sids.add(sc.id);
+        if(typeof sc.name!=='string') return path+'.name must be a string';
+        if(!Object.prototype.hasOwnProperty.call(TRANSITIONS, sc.transition)) return path+'.transition must be one of '+Object.keys(TRANSITIONS).join(', ');
+        for(const k of ['fade','auto']) if(!isNum(sc[k]) || sc[k]<0) return path+'.'+k+' must be a number of 0 or more';
+        if(!sc.layers || typeof sc.layers!=='object') return path+'.layers must be an object';
+        for(const id of Object.keys(sc.layers)){
+          const look = sc.layers[id], lpath = path+'.layers.'+id;
+          if(!look || typeof look!=='object') return lpath+' must be an object';
+          if(typeof look.visible!=='boolean') return lpath+'.visible must be true or false';
+          if(!isNum(look.opacity) || look.opacity<0 || look.opacity>1) return lpath+'.opacity must be a number between 0 and 1';
+          err = checkRef(look.media, lpath+'.media'); if(err) return err;
+        }
+      }
+    }
+    if(obj.audio!==undefined){
+      if(!obj.audio || typeof obj.audio!=='object' || !Array.isArray(obj.audio.mappings)) return 'audio must be an object with a mappings array';
+      const aids = new Set();
+      for(let i=0;i<obj.audio.mappings.length;i++){
+        const m = obj.audio.mappings[i], path = 'audio.mappings['+i+']';
+        if(!m || typeof m!=='object') return path+' must be an object';
+        if(typeof m.id!=='string' || !m.id) return path+'.id must be a non-empty string';
+        if(aids.has(m.id)) return path+'.id "'+m.id+'" is used more than once';
+        aids.add(m.id);
+        if(!Object.prototype.hasOwnProperty.call(AUDIO_SIGNALS, m.signal)) return path+'.signal must be one of '+Object.keys(AUDIO_SIGNALS).join(', ');
+        if(typeof m.target!=='string' || !m.target) return path+'.target must be a layer id or "scene"';
+        if(m.target==='scene' ? m.param!=='advance' : !Object.prototype.hasOwnProperty.call(AUDIO_PARAMS, m.param)){
+          return path+'.param must be '+(m.target==='scene' ? '"advance"' : 'one of '+Object.keys(AUDIO_PARAMS).join(', '));
+        }
+        if(!isNum(m.gain) || m.gain<-4 || m.gain>4) return path+'.gain must be a number between -4 and 4';
+        if(!isNum(m.smoothing) || m.smoothing<0 || m.smoothing>0.99) return path+'.smoothing must be a number between 0 and 0.99';
+        if(!isNum(m.threshold) || m.threshold<0 || m.threshold>0.95) return path+'.threshold must be a number between 0 and 0.95';
+      }
+    }
+    return null;
+  }
+
+  // Load a media reference from a project: embedded data and stored blobs are loaded directly, anything else (and
+  // blobs that are gone) waits for re-linking.
+  // target is {shapeId} (null for the global image), {groupId} or {shapeId, scene}: the element goes to the shape,
+  // the content group, or into the scene's entry for that layer.
+  // loaded (one Map per project load) shares elements between the live layer and its scenes.
+  // Loads still running when another project is loaded are dropped (see projectGeneration).
+  let projectGeneration = 0;
+
+  function restoreMedia(target, ref, loaded){
+    if(!ref) return;
+    const entry = Object.assign({ref}, target);
+    if(!ref.data && !ref.pattern && !ref.blob){ pendingRelinks.push(entry); return; }
+    const key = relinkTarget(entry) + '|' + (ref.blob || ref.data || JSON.stringify(ref.pattern));
+    let media = loaded.get(key);
+    if(!media){
+      media = {el: null, failed: false, waiting: [entry]};
+      loaded.set(key, media);
+      restoringMedia++;
+      const generation = projectGeneration;
+      const fail = ()=>{
+        restoringMedia--;
+        if(generation!==projectGeneration) return;
+        media.failed = true; pendingRelinks.push(...media.waiting); renderRelinkUI();
+      };
+      const load = src=> loadMedia(src, el=>{
+        restoringMedia--;
+        if(generation!==projectGeneration){ revokeMedia(el); return; }
+        media.el = el;
+        media.waiting.forEach(p=> restoreEntry(p, el));
+        renderShapesUI(); draw();
+      }, fail);
+      if(ref.blob){
+        readStoredMedia(ref.blob).then(file=>{
+          if(file) load({url: URL.createObjectURL(file), name: ref.name, type: ref.type, file, blobId: ref.blob}); else fail();
+        }, fail);
+      } else load({url: ref.data, name: ref.name, type: ref.type, data: ref.data, pattern: ref.pattern});
+    } else if(media.el) restoreEntry(entry, media.el);
+    else if(media.failed) pendingRelinks.push(entry);
+    else media.waiting.push(entry);
+  }
+
+  // what a pending media entry is for, as shown in the re-link list
+  function relinkTarget(p){
+    return p.groupId ? 'group ' + p.groupId : p.shapeId || 'global image';
+  }
+
+  function restoreEntry(p, el){
+    if(p.groupId){ bindGroupMedia(p.groupId, el); return; }
+    if(!p.scene){ bindMedia(p.shapeId, el); return; }
+    p.scene.layers[p.shapeId || 'global'].media = el;
+    trackedMedia.add(el);
+    // media only a scene uses waits, paused, for its cue
+    if(!allMediaElements().includes(el)) releaseMedia(el);
+  }
+
+  function applyProject(obj){
+    projectGeneration++;
+    corners = obj.corners.map(c=>({x:c.x, y:c.y}));
+    warpMode = obj.warpMode;
+    meshGrid = obj.meshGrid ? JSON.parse(JSON.stringify(obj.meshGrid)) : null;
+    if(warpMode==='mesh' && !meshGrid) meshGrid = makeGrid(4, 4, quadMapper(corners, 'bilinear'));
+    if(obj.settings){ gridRange.value = obj.settings.meshResolution; gridLabel.textContent = gridRange.value; }
+    // the layout is already in the project's raster, so it is not rescaled
+    if(obj.settings && obj.settings.output){
+      outputSize = {width: obj.settings.output.width, height: obj.settings.output.height};
+      syncOutputControls();
+      resizeCanvas();
+    }
+    OPTIONAL_LAYER_KEYS.forEach(k=>{ delete globalLayer[k]; });
+    if(obj.globalLayer) Object.assign(globalLayer, {visible:true, locked:false, opacity:1, blend:'source-over', z:0}, obj.globalLayer, {id:'global'});
+    if(obj.projectors){
+      projectors = JSON.parse(JSON.stringify(obj.projectors));
+      projectorIdCounter = projectors.reduce((max,p)=> Math.max(max, (parseInt(p.id.replace(/^\D+/,''),10) || 0) + 1), 1);
+      if(!viewedProjector()) viewProjectorId = null;
+    }
+    pendingRelinks = [];
+    const loaded = new Map();
+    if(obj.media){
+      releaseMedia(image); image = null; imgWidth = 0; imgHeight = 0;
+      updateAnimationLoop();
+      restoreMedia({shapeId: null}, obj.media.global, loaded);
+    }
+    if(obj.shapes){
+      shapes.concat(contentGroups).forEach(s=> releaseMedia(s.video || s.image));
+      shapes = obj.shapes.map(saved=>{
+        const s = JSON.parse(JSON.stringify(saved));
+        delete s.media;
+        if(s.warp==='mesh' && !s.grid) s.grid = makeGrid(4, 4, quadMapper(s.points, 'bilinear'));
+        return s;
+      });
+      // continue numbering after the highest loaded id so new shapes never collide
+      shapeIdCounter = shapes.reduce((max,s)=> Math.max(max, (parseInt(s.id.replace(/^\D+/,''),10) || 0) + 1), 1);
+      // content groups belong to the shapes
+      contentGroups = (obj.groups || []).map(saved=>{
+        const g = JSON.parse(JSON.stringify(saved));
+        delete g.media;
+        return g;
+      });
+      dropEmptyGroups();
+      groupIdCounter = contentGroups.reduce((max,g)=> Math.max(max, (parseInt(g.id.replace(/^\D+/,''),10) || 0) + 1), 1);
+      selectShape(null);
+      updateAnimationLoop();
+      obj.shapes.forEach(s=> restoreMedia({shapeId: s.id}, s.media, loaded));
+      (obj.groups || []).forEach(g=> restoreMedia({groupId: g.id}, g.media, loaded));
+    }
+    // scenes belong to the shapes they were captured with
+    if(obj.scenes || obj.shapes){
+      clearTimeout(autoAdvance); autoAdvance = null;
+      transition = null;
+      scenes = (obj.scenes || []).map(saved=>{
+        const scene = {id: saved.id, name: saved.name, transition: saved.transition, fade: saved.fade, auto: saved.auto, layers: {}};
+        Object.keys(saved.layers).forEach(id=>{
+          scene.layers[id] = {visible: saved.layers[id].visible, opacity: saved.layers[id].opacity, media: null};
+          restoreMedia({shapeId: id==='global' ? null : id, scene}, saved.layers[id].media, loaded);
+        });
+        return scene;
+      });
+      sceneIdCounter = scenes.reduce((max,sc)=> Math.max(max, (parseInt(sc.id.replace(/^\D+/,''),10) || 0) + 1), 1);
+      currentCue = -1;
+      renderCueList();
+    }
+    // so do the audio mappings
+    if(obj.audio || obj.shapes){
+      audioMappings = (obj.audio ? obj.audio.mappings : []).map(m=> Object.assign({}, m));
+      audioMappingIdCounter = audioMappings.reduce((max,m)=> Math.max(max, (parseInt(m.id.replace(/^\D+/,''),10) || 0) + 1), 1);
+      audioAbove.clear();
+    }
+    renderRelinkUI();
+    renderShapesUI();
+    refreshProjectorUI();
+  }
+
+  function renderRelinkUI(){
+    relinkRow.hidden = pendingRelinks.length===0;
+    relinkList.textContent = pendingRelinks.map(p=> p.ref.name + ' → ' + relinkTarget(p) + (p.scene ? ' in scene "' + p.scene.name + '"' : '')).join('\n');
+  }
+
+  function downloadBlob(blob, name){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  // Save project
+  saveBtn.addEventListener('click', ()=>{
+    serializeProject().then(data=>{
+      downloadBlob(new Blob([JSON.stringify(data,null,2)], {type:'application/json'}), 'project.json');
+    });
+  });
+
+  // Load project (also accepts old corners-only calibration files)
+  loadBtn.addEventListener('click', ()=> loadFile.click() );
+  loadFile.addEventListener('change', ev => {
     const f = ev.target.files && ev.target.files[0];
     if(!f) return;
+    loadFile.value = '';
     const reader = new FileReader();
     reader.onload = ()=>{
-      try{
-        const obj = JSON.parse(reader.result);
-        if(obj.corners && obj.corners.length===4){
-          corners = obj.corners;
-          updateHandlePositions();
-          draw();
-        } else alert('Invalid calibration file');
-      }catch(e){ alert('Failed to parse JSON'); }
+      let obj;
+      try{ obj = JSON.parse(reader.result); }catch(e){ alert('Failed to parse JSON'); return; }
+      obj = migrateProject(obj);
+      const err = validateProject(obj);
+      if(err){ alert('Invalid project file: '+err); return; }
+      recordChange(()=> applyProject(obj));
     };
     reader.readAsText(f);
   });
 
-  // Utility: draw triangle by computing affine transform mapping src triangle -> dest triangle
-  function drawTriangle(imgCanvas, sx0, sy0, sx1, sy1, sx2, sy2, dx0, dy0, dx1, dy1, dx2, dy2){
+  // Re-link media that was saved by name only: pick the files and they are matched by file name
+  relinkBtn.addEventListener('click', ()=> relinkFile.click());
+  relinkFile.addEventListener('change', ()=>{
+    const files = Array.from(relinkFile.files || []);
+    relinkFile.value = '';
+    const unmatched = [];
+    // a layer and its scenes showing the same file share one element
+    const groups = new Map();
+    pendingRelinks.forEach(p=>{
+      const f = files.find(x=> x.name===p.ref.name);
+      if(!f){ unmatched.push(p); return; }
+      const key = relinkTarget(p) + '|' + f.name;
+      if(!groups.has(key)) groups.set(key, {f, entries: []});
+      groups.get(key).entries.push(p);
+    });
+    groups.forEach(({f, entries})=>{
+      loadMedia({url: URL.createObjectURL(f), name: f.name, type: f.type, file: f}, el=>{
+        recordChange(()=> entries.forEach(p=> restoreEntry(p, el)));
+        // media only scenes use is not in the undo history
+        projectChanged();
+        renderShapesUI(); draw();
+      }, ()=> alert('Could not load media file "'+f.name+'"'));
+    });
+    pendingRelinks = unmatched;
+    renderRelinkUI();
+  });
+
+  // Interchange formats ----------------------------------------------------------------
+  // The warp can be handed to other mapping and playback software, and read back from it:
+  //   Mesh JSON  {format:'projector-mapping-mesh', version:1, width, height, surfaces:[
+  //                {id, name, role?, cols?, rows?, vertices:[[x,y]], uvs:[[u,v]], source?:[[u,v]], faces:[[i,j,k,...]]}]}
+  //     vertices are output pixels (y down) and uvs run 0..1 across the surface's texture (v down); a face lists
+  //     indices into both. The global image and rectangles carry the triangle mesh draw() renders them with,
+  //     (cols+1) x (rows+1) vertices row-major, two triangles per cell. Other shapes are one polygon face along
+  //     their outline, with uvs across their frame (see Content mapping). Surfaces with an input region also give
+  //     source: where each vertex samples the media, as fractions of its size (see Input mapping).
+  //   OBJ        the same surfaces as objects (o <id>), vertices in output pixels with y up, vt with v up.
+  //   SVG        shape outlines in paint order on a black frame of the output size: content surfaces white,
+  //              masks black (inverted ones as the frame with a hole), so the file works as a matte as it is.
+  // Importing applies the surfaces by id: 'global' sets the global warp, an existing shape id replaces that
+  // shape's geometry and anything else becomes a new shape. A mesh is turned back into the simplest warp that
+  // reproduces it within half a pixel: perspective, bilinear, or the smallest control grid (see Mesh control grids).
+  const MESH_FORMAT = 'projector-mapping-mesh';
+  const MESH_VERSION = 1;
+
+  // warp mesh or outline of one surface in w x h pixels
+  function surfaceMesh(layer, w, h){
+    const uv = layerMedia(layer) && layerUV(layer);
+    // where a texture position is in the source, for surfaces with an input region
+    const region = uv && !perVertexUV(layer) ? quadMapper(uv, 'perspective') : null;
+    const toSource = ([u,v])=>{ const p = region(u, v); return [p.x, p.y]; };
+    if(layer===globalLayer || layer.type==='rectangle'){
+      let size = layer===globalLayer ? (image ? mediaSize(image) : {w, h}) : shapeFrame(layer, w, h);
+      if(layer===globalLayer && region) size = uvRegionFrame(uv, size.w, size.h);
+      const {map, cols, rows} = warpGrid(layer, w, h, size.w || 1, size.h || 1);
+      const vertices = [], uvs = [], faces = [];
+      for(let j=0;j<=rows;j++){
+        for(let i=0;i<=cols;i++){ const p = map(i/cols, j/rows); vertices.push([p.x, p.y]); uvs.push([i/cols, j/rows]); }
+      }
+      const at = (i,j)=> j*(cols+1) + i;
+      for(let j=0;j<rows;j++){
+        for(let i=0;i<cols;i++){ faces.push([at(i,j), at(i+1,j), at(i,j+1)], [at(i+1,j), at(i+1,j+1), at(i,j+1)]); }
+      }
+      return Object.assign({cols, rows, vertices, uvs, faces}, region ? {source: uvs.map(toSource)} : {});
+    }
+    const frame = shapeFrame(layer, w, h);
+    const vertices = shapeOutline(layer, w, h).map(p=> [p.x*w, p.y*h]);
+    const uvs = vertices.map(([x,y])=> [(x - frame.x) / (frame.w || 1), (y - frame.y) / (frame.h || 1)]);
+    const out = {vertices, uvs, faces: [vertices.map((v,i)=> i)]};
+    if(region) out.source = uvs.map(toSource);
+    else if(uv) out.source = flattenWithUV(layer, uv).uvs.map(p=> [p.x, p.y]);
+    return out;
+  }
+
+  function meshExport(){
+    const w = outputSize.width, h = outputSize.height;
+    const surfaces = layerStack().map(layer=>{
+      const out = {id: layer.id, name: layerName(layer)};
+      if(isMask(layer)) out.role = 'mask';
+      return Object.assign(out, surfaceMesh(layer, w, h));
+    });
+    return {format: MESH_FORMAT, version: MESH_VERSION, width: w, height: h, surfaces};
+  }
+
+  function objExport(){
+    const mesh = meshExport();
+    const round = v=> Math.round(v * 1e4) / 1e4;
+    const lines = ['# projector mapping warp', '# output ' + mesh.width + 'x' + mesh.height + ' (vertices in output pixels, y up)'];
+    let base = 1;
+    mesh.surfaces.forEach(s=>{
+      if(s.role==='mask') return;
+      lines.push('o ' + s.id);
+      s.vertices.forEach(([x,y])=> lines.push('v ' + round(x) + ' ' + round(mesh.height - y) + ' 0'));
+      s.uvs.forEach(([u,v])=> lines.push('vt ' + round(u) + ' ' + round(1 - v)));
+      s.faces.forEach(f=> lines.push('f ' + f.map(i=> (base+i) + '/' + (base+i)).join(' ')));
+      base += s.vertices.length;
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function svgExport(){
+    const w = outputSize.width, h = outputSize.height;
+    const esc = s=> String(s).replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/</g,'&lt;');
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+      `  <rect data-background="true" width="${w}" height="${h}" fill="#000"/>`];
+    layerStack().forEach(layer=>{
+      const mask = isMask(layer);
+      let attrs = ` id="${esc(layer.id)}"` + (mask ? ' data-role="mask"' : '') + (mask && layer.invert ? ' data-invert="true"' : '');
+      const fill = mask ? '#000' : '#fff';
+      if(layer===globalLayer){
+        if(!image) return;
+        const outline = warpMode==='mesh' && meshGrid ? surfaceOutline(gridMapper(meshGrid), 16) : corners;
+        parts.push(`  <polygon${attrs} points="${outline.map(p=> p.x*w + ',' + p.y*h).join(' ')}" fill="${fill}"/>`);
+        return;
+      }
+      const d = layer.type==='circle' || (layer.type==='rectangle' && layer.warp==='mesh' && layer.grid)
+        ? 'M' + shapeOutline(layer, w, h).map(p=> p.x*w + ',' + p.y*h).join(' L') + ' Z'
+        : shapePathData(layer, w, h);
+      if(mask && layer.invert) parts.push(`  <path${attrs} d="M0,0 H${w} V${h} H0 Z ${d}" fill-rule="evenodd" fill="${fill}"/>`);
+      else if(layer.type==='circle') parts.push(`  <circle${attrs} cx="${layer.center.x*w}" cy="${layer.center.y*h}" r="${layer.radius*Math.min(w,h)}" fill="${fill}"/>`);
+      else parts.push(`  <path${attrs} d="${d}" fill="${fill}"/>`);
+    });
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+  }
+
+  // Parsed surfaces, normalized to the output frame:
+  //   {id, kind:'grid', cols, rows, points:[(cols+1)*(rows+1) x {x,y}]}
+  //   {id, kind:'outline', points, curves?, type?, role?, invert?}   {id, kind:'circle', center, radius, role?}
+
+  function parseMeshJson(obj){
+    if(!obj || obj.format!==MESH_FORMAT || obj.version!==MESH_VERSION) throw new Error('not a ' + MESH_FORMAT + ' version ' + MESH_VERSION + ' file');
+    const isNum = v=> typeof v==='number' && isFinite(v);
+    if(!isNum(obj.width) || !isNum(obj.height) || obj.width<=0 || obj.height<=0) throw new Error('width and height must be positive numbers');
+    if(!Array.isArray(obj.surfaces)) throw new Error('surfaces must be an array');
+    return obj.surfaces.map((s, n)=>{
+      const path = 'surfaces['+n+']';
+      if(!s || typeof s.id!=='string' || !s.id) throw new Error(path+'.id must be a non-empty string');
+      if(!Array.isArray(s.vertices) || s.vertices.length<3 || !s.vertices.every(v=> Array.isArray(v) && isNum(v[0]) && isNum(v[1]))) throw new Error(path+'.vertices must be at least 3 [x, y] pairs');
+      const points = s.vertices.map(v=> ({x: v[0] / obj.width, y: v[1] / obj.height}));
+      const role = s.role==='mask' ? 'mask' : undefined;
+      if(Number.isInteger(s.cols) && Number.isInteger(s.rows) && s.cols>0 && s.rows>0){
+        if(points.length!==(s.cols+1)*(s.rows+1)) throw new Error(path+' must have (cols+1) x (rows+1) vertices');
+        return {id: s.id, kind: 'grid', cols: s.cols, rows: s.rows, points, role};
+      }
+      return {id: s.id, kind: 'outline', points, role};
+    });
+  }
+
+  // Point in the mesh at texture position (u, v): found through the uv triangle containing it
+  function uvMapper(triangles){
+    return (u,v)=>{
+      let best = null, bestOut = Infinity;
+      for(const t of triangles){
+        const [a, b, c] = t.uv;
+        const det = (b[1]-c[1])*(a[0]-c[0]) + (c[0]-b[0])*(a[1]-c[1]);
+        if(Math.abs(det) < 1e-12) continue;
+        const l1 = ((b[1]-c[1])*(u-c[0]) + (c[0]-b[0])*(v-c[1])) / det;
+        const l2 = ((c[1]-a[1])*(u-c[0]) + (a[0]-c[0])*(v-c[1])) / det;
+        const l3 = 1 - l1 - l2;
+        // outside every triangle (rounding at the border): the nearest one extrapolates
+        const out = Math.max(0, -l1, -l2, -l3);
+        if(out < bestOut){ bestOut = out; best = [t, l1, l2, l3]; }
+        if(out===0) break;
+      }
+      if(!best) return {x: u, y: v};
+      const [t, l1, l2, l3] = best;
+      return {x: l1*t.p[0].x + l2*t.p[1].x + l3*t.p[2].x, y: l1*t.p[0].y + l2*t.p[1].y + l3*t.p[2].y};
+    };
+  }
+
+  // OBJ objects (o or g) in output pixels with y up; a size comment written by objExport() gives the frame
+  function parseObj(text){
+    const size = /^#\s*output\s+(\d+)x(\d+)/m.exec(text);
+    const w = size ? Number(size[1]) : outputSize.width, h = size ? Number(size[2]) : outputSize.height;
+    const v = [], vt = [], objects = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(line=>{
+      const parts = line.trim().split(/\s+/);
+      if(parts[0]==='v') v.push({x: Number(parts[1]) / w, y: 1 - Number(parts[2]) / h});
+      else if(parts[0]==='vt') vt.push([Number(parts[1]), 1 - Number(parts[2])]);
+      else if(parts[0]==='o' || parts[0]==='g'){ current = {id: parts.slice(1).join(' ') || 'mesh' + (objects.length+1), faces: []}; objects.push(current); }
+      else if(parts[0]==='f'){
+        if(!current){ current = {id: 'mesh1', faces: []}; objects.push(current); }
+        // OBJ indices start at 1; negative ones count back from the latest
+        const ref = (s, list)=>{ const i = Number(s); return i<0 ? list.length + i : i - 1; };
+        current.faces.push(parts.slice(1).map(c=>{ const [a, b] = c.split('/'); return {p: ref(a, v), t: b ? ref(b, vt) : -1}; }));
+      }
+    });
+    return objects.filter(o=> o.faces.length).map(o=>{
+      const corners = o.faces.every(f=> f.every(c=> v[c.p]));
+      if(!corners) throw new Error('object ' + o.id + ' refers to a vertex that does not exist');
+      const textured = o.faces.every(f=> f.every(c=> vt[c.t]));
+      // without texture coordinates, or as a single face (how objExport() writes shapes other than quads), the
+      // object is the outline of its faces
+      if(!textured || o.faces.length===1) return {id: o.id, kind: 'outline', points: objOutline(o, v)};
+      // fan-triangulate and sample the surface as a grid over its texture
+      const triangles = [];
+      o.faces.forEach(f=>{ for(let k=1;k<f.length-1;k++) triangles.push({p: [f[0], f[k], f[k+1]].map(c=> v[c.p]), uv: [f[0], f[k], f[k+1]].map(c=> vt[c.t])}); });
+      const map = uvMapper(triangles), n = 16;
+      const points = [];
+      for(let j=0;j<=n;j++) for(let i=0;i<=n;i++) points.push(map(i/n, j/n));
+      return {id: o.id, kind: 'grid', cols: n, rows: n, points};
+    });
+  }
+
+  // The boundary of an OBJ object's faces (the edges only one face has) as one loop of points; faces with holes
+  // or in separate pieces have no single outline
+  function objOutline(o, v){
+    const key = c=> v[c.p].x + ',' + v[c.p].y;
+    const points = new Map(), uses = new Map();
+    o.faces.forEach(f=> f.forEach((c, i)=>{
+      const a = key(c), b = key(f[(i+1) % f.length]);
+      points.set(a, v[c.p]);
+      if(a===b) return;
+      const edge = a<b ? a + '|' + b : b + '|' + a;
+      uses.set(edge, (uses.get(edge) || 0) + 1);
+    }));
+    const next = new Map(); // point -> the boundary points next to it
+    uses.forEach((n, edge)=>{
+      if(n!==1) return;
+      const [a, b] = edge.split('|');
+      [[a, b], [b, a]].forEach(([p, q])=>{ if(!next.has(p)) next.set(p, []); next.get(p).push(q); });
+    });
+    const fail = ()=> new Error('object ' + o.id + ' has no single outline (its faces have holes or are not connected)');
+    if(next.size<3 || Array.from(next.values()).some(n=> n.length!==2)) throw fail();
+    const first = next.keys().next().value, loop = [first];
+    let prev = null, at = first;
+    for(;;){
+      const [p, q] = next.get(at);
+      const to = p===prev ? q : p;
+      if(to===first) break;
+      prev = at; at = to; loop.push(at);
+    }
+    if(loop.length!==next.size) throw fail();
+    return loop.map(k=> points.get(k));
+  }
+
+  // Closed subpaths of SVG path data as points with cubic curves per edge (quadratic curves and arcs are converted
+  // to cubic ones, an arc in pieces of at most 90 degrees)
+  function parsePathData(d, toPoint){
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const subpaths = [];
+    // lastCtrl: second control point of the last C or S (for S); lastQuad: control point of the last Q or T (for T)
+    let k = 0, cmd = null, x = 0, y = 0, sub = null, lastCtrl = null, lastQuad = null;
+    const num = ()=> Number(tokens[k++]);
+    // arc flags are single digits that may be written without separators ('a5 5 0 011 1')
+    const flag = ()=>{ const t = tokens[k] || ''; if(t.length>1){ tokens[k] = t.slice(1); return t[0]==='1'; } k++; return Number(t)!==0; };
+    const start = ()=>{ sub = {points: [{x, y}], curves: [null]}; subpaths.push(sub); };
+    const lineTo = ()=>{ sub.points.push({x, y}); sub.curves.push(null); };
+    const curveTo = (c1, c2)=>{ sub.curves[sub.curves.length-1] = {c1, c2}; sub.points.push({x, y}); sub.curves.push(null); };
+    const quadTo = (q, x0, y0)=>{ curveTo({x: x0 + 2/3*(q.x - x0), y: y0 + 2/3*(q.y - y0)}, {x: x + 2/3*(q.x - x), y: y + 2/3*(q.y - y)}); lastQuad = q; };
+    // elliptical arc from (x0, y0) to (x, y), through its centre parameterization (SVG 1.1, appendix F.6)
+    const arcTo = (x0, y0, rx, ry, phi, large, sweep)=>{
+      if(x0===x && y0===y) return;
+      if(!rx || !ry){ lineTo(); return; }
+      const cos = Math.cos(phi), sin = Math.sin(phi);
+      const hx = (x0 - x) / 2, hy = (y0 - y) / 2;
+      const x1 = cos*hx + sin*hy, y1 = -sin*hx + cos*hy;
+      // radii too small to reach the end point are scaled up
+      const scale = Math.sqrt(x1*x1/(rx*rx) + y1*y1/(ry*ry));
+      if(scale>1){ rx *= scale; ry *= scale; }
+      const f = (large===sweep ? -1 : 1) * Math.sqrt(Math.max(0, (rx*rx*ry*ry - rx*rx*y1*y1 - ry*ry*x1*x1) / (rx*rx*y1*y1 + ry*ry*x1*x1)));
+      const cx1 = f * rx * y1 / ry, cy1 = -f * ry * x1 / rx;
+      const cx = cos*cx1 - sin*cy1 + (x0 + x)/2, cy = sin*cx1 + cos*cy1 + (y0 + y)/2;
+      const t0 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+      let dt = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - t0;
+      if(sweep && dt<0) dt += 2*Math.PI; else if(!sweep && dt>0) dt -= 2*Math.PI;
+      const at = t=> ({x: cx + rx*Math.cos(t)*cos - ry*Math.sin(t)*sin, y: cy + rx*Math.cos(t)*sin + ry*Math.sin(t)*cos});
+      const tangent = t=> ({x: -rx*Math.sin(t)*cos - ry*Math.cos(t)*sin, y: -rx*Math.sin(t)*sin + ry*Math.cos(t)*cos});
+      const n = Math.max(1, Math.ceil(Math.abs(dt) / (Math.PI/2) - 1e-9)), end = {x, y};
+      for(let i=0;i<n;i++){
+        const a = t0 + dt*i/n, b = t0 + dt*(i+1)/n, h = 4/3 * Math.tan((b - a) / 4);
+        const p0 = at(a), p1 = i===n-1 ? end : at(b), d0 = tangent(a), d1 = tangent(b);
+        x = p1.x; y = p1.y;
+        curveTo({x: p0.x + h*d0.x, y: p0.y + h*d0.y}, {x: p1.x - h*d1.x, y: p1.y - h*d1.y});
+      }
+    };
+    while(k < tokens.length){
+      if(/[a-zA-Z]/.test(tokens[k])) cmd = tokens[k++];
+      else if(!cmd) break;
+      const rel = cmd===cmd.toLowerCase(), ox = rel ? x : 0, oy = rel ? y : 0;
+      const C = cmd.toUpperCase();
+      if(C!=='C' && C!=='S') lastCtrl = null;
+      if(C!=='Q' && C!=='T') lastQuad = null;
+      if(C==='Z'){ if(sub) sub.closed = true; if(sub){ x = sub.points[0].x; y = sub.points[0].y; } sub = null; cmd = null; continue; }
+      if(C==='M'){ x = ox + num(); y = oy + num(); start(); cmd = rel ? 'l' : 'L'; continue; }
+      if(!sub) start();
+      if(C==='L'){ x = ox + num(); y = oy + num(); lineTo(); }
+      else if(C==='H'){ x = ox + num(); lineTo(); }
+      else if(C==='V'){ y = oy + num(); lineTo(); }
+      else if(C==='C'){ const c1 = {x: ox + num(), y: oy + num()}, c2 = {x: ox + num(), y: oy + num()}; x = ox + num(); y = oy + num(); curveTo(c1, c2); lastCtrl = c2; }
+      else if(C==='S'){ const c1 = lastCtrl ? {x: 2*x - lastCtrl.x, y: 2*y - lastCtrl.y} : {x, y}; const c2 = {x: ox + num(), y: oy + num()}; x = ox + num(); y = oy + num(); curveTo(c1, c2); lastCtrl = c2; }
+      else if(C==='Q'){ const q = {x: ox + num(), y: oy + num()}, x0 = x, y0 = y; x = ox + num(); y = oy + num(); quadTo(q, x0, y0); }
+      else if(C==='T'){ const q = lastQuad ? {x: 2*x - lastQuad.x, y: 2*y - lastQuad.y} : {x, y}, x0 = x, y0 = y; x = ox + num(); y = oy + num(); quadTo(q, x0, y0); }
+      else if(C==='A'){
+        const rx = Math.abs(num()), ry = Math.abs(num()), phi = num() * Math.PI / 180, large = flag(), sweep = flag(), x0 = x, y0 = y;
+        x = ox + num(); y = oy + num();
+        arcTo(x0, y0, rx, ry, phi, large, sweep);
+      }
+      else break;
+    }
+    return subpaths.map(s=>{
+      // an edge drawn back onto the first point is the closing edge (curves[i] is the edge from point i)
+      const n = s.points.length, a = s.points[0], b = s.points[n-1];
+      if(n>1 && Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9){ s.points.pop(); s.curves.pop(); }
+      return {points: s.points.map(toPoint), curves: s.curves.map(c=> c && {c1: toPoint(c.c1), c2: toPoint(c.c2)})};
+    }).filter(s=> s.points.length>=3);
+  }
+
+  function parseSvg(text){
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const svg = doc.documentElement;
+    if(!svg || svg.nodeName.toLowerCase()!=='svg') throw new Error('not an SVG file');
+    const box = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const [vx, vy, vw, vh] = box.length===4 && box.every(isFinite) && box[2]>0 && box[3]>0 ? box
+      : [0, 0, parseFloat(svg.getAttribute('width')) || outputSize.width, parseFloat(svg.getAttribute('height')) || outputSize.height];
+    const toPoint = p=> ({x: (p.x - vx) / vw, y: (p.y - vy) / vh});
+    const attr = (el, name)=> parseFloat(el.getAttribute(name)) || 0;
+    const out = [];
+    let n = 0;
+    Array.from(svg.querySelectorAll('path, polygon, polyline, rect, circle')).forEach(el=>{
+      if(el.closest('defs, clipPath, mask') || el.hasAttribute('data-background') || el.getAttribute('id')==='global') return;
+      const id = el.getAttribute('id') || 'svg' + (++n);
+      const role = el.getAttribute('data-role')==='mask' ? 'mask' : undefined;
+      const invert = role && el.getAttribute('data-invert')==='true';
+      const tag = el.nodeName.toLowerCase();
+      if(tag==='circle'){
+        out.push({id, kind: 'circle', center: toPoint({x: attr(el,'cx'), y: attr(el,'cy')}), radius: attr(el,'r') / Math.min(vw, vh), role});
+      } else if(tag==='rect'){
+        const x = attr(el,'x'), y = attr(el,'y'), w = attr(el,'width'), h = attr(el,'height');
+        if(w>0 && h>0) out.push({id, kind: 'outline', type: 'rectangle', points: [{x,y}, {x:x+w,y}, {x:x+w,y:y+h}, {x,y:y+h}].map(toPoint), role});
+      } else if(tag==='path'){
+        const subpaths = parsePathData(el.getAttribute('d') || '', toPoint);
+        // an inverted mask is the frame with the shape cut out: the shape is the last subpath
+        const s = invert ? subpaths[subpaths.length-1] : subpaths[0];
+        if(s) out.push({id, kind: 'outline', points: s.points, curves: s.curves, role, invert: invert || undefined});
+      } else {
+        const nums = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+        const points = [];
+        for(let i=0;i+1<nums.length;i+=2) points.push(toPoint({x: nums[i], y: nums[i+1]}));
+        if(points.length>=3) out.push({id, kind: 'outline', points, role});
+      }
+    });
+    return out;
+  }
+
+  // The simplest warp of a quad that reproduces a (cols+1) x (rows+1) vertex grid within half a pixel:
+  // {quad, mode, grid?}
+  function fitWarp(s){
+    const w = outputSize.width, h = outputSize.height;
+    const at = (i,j)=> s.points[j*(s.cols+1) + i];
+    const quad = [at(0,0), at(s.cols,0), at(s.cols,s.rows), at(0,s.rows)].map(p=> ({x: p.x, y: p.y}));
+    const error = map=>{
+      let worst = 0;
+      for(let j=0;j<=s.rows;j++) for(let i=0;i<=s.cols;i++){
+        const p = map(i/s.cols, j/s.rows), q = at(i,j);
+        worst = Math.max(worst, Math.hypot((p.x - q.x)*w, (p.y - q.y)*h));
+      }
+      return worst;
+    };
+    for(const mode of ['perspective','bilinear']) if(error(quadMapper(quad, mode)) <= 0.5) return {quad, mode};
+    // the imported grid, bilinear within each cell
+    const sample = (u,v)=>{
+      const gx = Math.min(s.cols - 1e-9, u * s.cols), gy = Math.min(s.rows - 1e-9, v * s.rows);
+      const i = Math.floor(gx), j = Math.floor(gy);
+      return bilinear(gx - i, gy - j, [at(i,j), at(i+1,j), at(i+1,j+1), at(i,j+1)]);
+    };
+    const sizes = [];
+    for(let c=2;c<=16;c++) for(let r=2;r<=16;r++) sizes.push([c, r]);
+    sizes.sort((a,b)=> a[0]*a[1] - b[0]*b[1]);
+    let grid = null;
+    for(const [c, r] of sizes){
+      grid = makeGrid(c, r, sample);
+      if(error(gridMapper(grid)) <= 0.5) break;
+    }
+    syncQuadFromGrid(quad, grid);
+    return {quad, mode: 'mesh', grid};
+  }
+
+  function centroid(points){
+    return {x: points.reduce((a,p)=> a + p.x, 0) / points.length, y: points.reduce((a,p)=> a + p.y, 0) / points.length};
+  }
+
+  // Apply parsed surfaces (see above); returns how many were applied
+  function applyImportedSurfaces(surfaces){
+    const w = outputSize.width, h = outputSize.height;
+    let count = 0;
+    recordChange(()=>{
+      surfaces.forEach(s=>{
+        if(s.id==='global'){
+          if(s.kind!=='grid') return;
+          const fit = fitWarp(s);
+          corners = fit.quad; warpMode = fit.mode; meshGrid = fit.grid || meshGrid;
+          count++;
+          return;
+        }
+        let shape = shapes.find(x=> x.id===s.id);
+        if(!shape){
+          shape = {id: 's' + (shapeIdCounter++), type: s.kind==='grid' ? 'rectangle' : s.kind==='circle' ? 'circle' : s.type || 'polygon'};
+          if(s.role) shape.role = s.role;
+          if(s.invert) shape.invert = true;
+          shapes.push(shape);
+        }
+        if(shape.type==='rectangle' && s.kind==='grid'){
+          const fit = fitWarp(s);
+          shape.points = fit.quad; shape.warp = fit.mode;
+          if(fit.grid) shape.grid = fit.grid;
+        } else if(shape.type==='circle'){
+          // an outline stands for the circle through its points
+          const center = s.center || centroid(s.points);
+          shape.center = center;
+          shape.radius = s.radius!==undefined ? s.radius
+            : s.points.reduce((a,p)=> a + Math.hypot((p.x - center.x)*w, (p.y - center.y)*h), 0) / s.points.length / Math.min(w, h);
+        } else if(s.kind==='circle'){
+          // a circle for a point-based shape: its outline
+          shape.points = shapeOutline({type: 'circle', center: s.center, radius: s.radius}, w, h);
+          if(shape.type==='polygon') shape.curves = shape.points.map(()=> null);
+        } else if(shape.type==='rectangle'){
+          // an outline for a rectangle: its first four points
+          if(s.points.length<4 || s.kind==='grid') return;
+          shape.points = s.points.slice(0, 4).map(p=> ({x: p.x, y: p.y}));
+          shape.warp = shape.warp==='mesh' ? 'perspective' : shape.warp || 'perspective';
+        } else {
+          const points = s.kind==='grid' ? fitWarp(s).quad : s.points;
+          if(shape.type==='triangle' && points.length!==3) shape.type = 'polygon';
+          shape.points = points.map(p=> ({x: p.x, y: p.y}));
+          if(shape.type==='polygon') shape.curves = s.curves && s.kind!=='grid' ? s.curves.slice() : shape.points.map(()=> null);
+          else delete shape.curves;
+        }
+        // a per-vertex input mapping no longer fits a different number of vertices
+        if(shape.uv && !layerUV(shape)) delete shape.uv;
+        count++;
+      });
+    });
+    syncWarpControls(); renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); draw();
+    return count;
+  }
+
+  exportMeshJsonBtn.addEventListener('click', ()=>{
+    downloadBlob(new Blob([JSON.stringify(meshExport(), null, 2)], {type: 'application/json'}), 'warp-mesh.json');
+  });
+  exportObjBtn.addEventListener('click', ()=> downloadBlob(new Blob([objExport()], {type: 'model/obj'}), 'warp-mesh.obj'));
+  exportSvgBtn.addEventListener('click', ()=> downloadBlob(new Blob([svgExport()], {type: 'image/svg+xml'}), 'shapes.svg'));
+  importGeometryBtn.addEventListener('click', ()=> importGeometryFile.click());
+  importGeometryFile.addEventListener('change', ()=>{
+    const f = importGeometryFile.files && importGeometryFile.files[0];
+    if(!f) return;
+    importGeometryFile.value = '';
+    readBlob(f, 'readAsText').then(text=>{
+      let surfaces;
+      try{
+        const trimmed = text.trim();
+        if(/\.svg$/i.test(f.name) || trimmed.startsWith('<')) surfaces = parseSvg(text);
+        else if(/\.json$/i.test(f.name) || trimmed[0]==='{') surfaces = parseMeshJson(JSON.parse(text));
+        else surfaces = parseObj(text);
+      }catch(e){ alert('Could not import "' + f.name + '": ' + e.message); return; }
+      if(!applyImportedSurfaces(surfaces)) alert('"' + f.name + '" has no surfaces to import.');
+    }, ()=> alert('Could not read "' + f.name + '"'));
+  });
+
+  // Rendering to files -----------------------------------------------------------------
+  // The composited output (what the output window shows: the content, or the projector being viewed) at the
+  // output resolution, without editor guides. A recording runs in real time: every draw() during it renders into
+  // the recording canvas and copies that to the editor's, and the animation loop keeps drawing until it ends, so
+  // static content is captured too.
+  const RECORD_FPS = 30;
+  let recording = null; // {recorder, canvas, start, duration, timer}
+
+  function outputFileName(ext){
+    return 'output-' + outputSize.width + 'x' + outputSize.height + '.' + ext;
+  }
+
+  exportPngBtn.addEventListener('click', ()=>{
+    const c = document.createElement('canvas');
+    c.width = outputSize.width; c.height = outputSize.height;
+    renderFrame(c.getContext('2d'), c.width, c.height, false);
+    c.toBlob(blob=>{ if(blob) downloadBlob(blob, outputFileName('png')); else alert('Could not encode the PNG.'); }, 'image/png');
+  });
+
+  function startRecording(seconds){
+    if(!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream){ alert('This browser cannot record a canvas (MediaRecorder and canvas.captureStream() are needed).'); return; }
+    const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t=> MediaRecorder.isTypeSupported(t));
+    if(!type){ alert('This browser cannot record WebM video.'); return; }
+    const c = document.createElement('canvas');
+    c.width = outputSize.width; c.height = outputSize.height;
+    renderFrame(c.getContext('2d'), c.width, c.height, false);
+    const recorder = new MediaRecorder(c.captureStream(RECORD_FPS), {mimeType: type, videoBitsPerSecond: Math.round(c.width * c.height * RECORD_FPS * 0.15)});
+    const chunks = [];
+    recorder.addEventListener('dataavailable', e=>{ if(e.data && e.data.size) chunks.push(e.data); });
+    recorder.addEventListener('stop', ()=>{
+      downloadBlob(new Blob(chunks, {type: 'video/webm'}), outputFileName('webm'));
+      recordStatusEl.textContent = 'Saved ' + outputFileName('webm');
+    });
+    recording = {recorder, canvas: c, start: performance.now(), duration: seconds * 1000, timer: setTimeout(stopRecording, seconds * 1000)};
+    recorder.start(1000);
+    recordBtn.textContent = 'Stop recording';
+    updateAnimationLoop();
+  }
+
+  function stopRecording(){
+    if(!recording) return;
+    clearTimeout(recording.timer);
+    const {recorder} = recording;
+    recording = null;
+    if(recorder.state!=='inactive') recorder.stop();
+    recordBtn.textContent = 'Record WebM';
+    updateAnimationLoop();
+  }
+
+  // paint the recording canvas and show it (from draw(), instead of rendering the frame a second time)
+  function recordFrame(){
+    const c = recording.canvas;
+    renderFrame(c.getContext('2d'), c.width, c.height, false);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(c, 0, 0, canvas.width, canvas.height);
+    if(!isOutput && !viewedProjector()) renderGuides(ctx, canvas.width, canvas.height);
+    recordStatusEl.textContent = 'Recording ' + ((performance.now() - recording.start) / 1000).toFixed(1) + ' / ' + (recording.duration / 1000) + ' s';
+  }
+
+  recordBtn.addEventListener('click', ()=>{
+    if(recording){ stopRecording(); return; }
+    const seconds = Number(recordSecondsInput.value);
+    if(!(seconds>0 && seconds<=3600)){ alert('Enter a duration from 1 to 3600 seconds.'); return; }
+    startRecording(seconds);
+  });
+
+  // Photo calibration -----------------------------------------------------------------
+  // A photo taken from the projector's point of view while a pattern is projected proposes the corners of the
+  // warp target (the selected rectangle, or the global image), and with a checkerboard its mesh as well. The
+  // photo's frame is taken as the output frame. Detection is in calibration.js; the result is shown over the
+  // photo and only applied (undoably) when accepted, so the handles can fine-tune it from there.
+  const CALIBRATION_SIZE = 800; // longest side the photo is analysed at
+  let calibration = null; // {photo: canvas, result: see detectCalibration() or null}
+
+  function loadCalibrationPhoto(f){
+    const url = URL.createObjectURL(f);
+    const img = new Image();
+    img.onload = ()=>{
+      URL.revokeObjectURL(url);
+      const k = Math.min(1, CALIBRATION_SIZE / Math.max(img.width, img.height));
+      const photo = document.createElement('canvas');
+      photo.width = Math.max(1, Math.round(img.width*k)); photo.height = Math.max(1, Math.round(img.height*k));
+      const g = photo.getContext('2d');
+      g.drawImage(img, 0, 0, photo.width, photo.height);
+      calibration = {photo, result: photoCalibration.detectCalibration(g.getImageData(0, 0, photo.width, photo.height))};
+      renderCalibration();
+    };
+    img.onerror = ()=>{ URL.revokeObjectURL(url); alert('Could not load photo "' + f.name + '"'); };
+    img.src = url;
+  }
+
+  function renderCalibration(){
+    calibrationPanel.hidden = !calibration;
+    if(!calibration) return;
+    const {photo, result} = calibration;
+    calibrationPreview.width = photo.width; calibrationPreview.height = photo.height;
+    const g = calibrationPreview.getContext('2d');
+    g.drawImage(photo, 0, 0);
+    if(result){
+      g.lineWidth = Math.max(1, photo.width / 320);
+      g.strokeStyle = '#ffb000';
+      if(result.grid){
+        // the detected mesh: every row and column of points
+        const {cols, rows, points} = result.grid;
+        g.beginPath();
+        for(let j=0;j<rows;j++) for(let i=0;i<cols;i++){ const p = points[j*cols+i]; if(i) g.lineTo(p.x, p.y); else g.moveTo(p.x, p.y); }
+        for(let i=0;i<cols;i++) for(let j=0;j<rows;j++){ const p = points[j*cols+i]; if(j) g.lineTo(p.x, p.y); else g.moveTo(p.x, p.y); }
+        g.stroke();
+      }
+      g.strokeStyle = '#00d0ff';
+      g.beginPath();
+      result.corners.forEach((p,i)=>{ if(i) g.lineTo(p.x, p.y); else g.moveTo(p.x, p.y); });
+      g.closePath(); g.stroke();
+    }
+    syncCalibrationControls();
+  }
+
+  // status and buttons, which follow the warp target (from syncWarpControls())
+  function syncCalibrationControls(){
+    if(!calibration) return;
+    const {result} = calibration;
+    const target = warpTarget();
+    const found = !result ? 'No pattern found: project the Checkerboard, Grid or Solid white pattern and keep it in full view.'
+      : result.grid ? 'Found a checkerboard (' + result.inner.cols + ' × ' + result.inner.rows + ' inner corners).'
+      : 'Found the lit quad.';
+    calibrationStatus.textContent = found + (result ? target ? ' Applies to ' + (target==='global' ? 'the global image' : target.id) + '.'
+      : ' Select a rectangle or nothing (the global image) to apply it.' : '');
+    applyCalibrationCornersBtn.disabled = !result || !target;
+    applyCalibrationMeshBtn.disabled = !result || !result.grid || !target;
+  }
+
+  // Set the warp target to the detected corners, or to the warp that best reproduces the detected mesh
+  function applyCalibration(withMesh){
+    const target = warpTarget();
+    const result = calibration && calibration.result;
+    if(!target || !result) return;
+    const norm = p=> ({x: p.x / calibration.photo.width, y: p.y / calibration.photo.height});
+    recordChange(()=>{
+      let quad = result.corners.map(norm), mode = target==='global' ? warpMode : (target.warp || 'perspective');
+      let grid = target==='global' ? meshGrid : target.grid;
+      if(withMesh && result.grid){
+        const {cols, rows, points} = result.grid;
+        const fit = fitWarp({cols: cols-1, rows: rows-1, points: points.map(norm)});
+        quad = fit.quad; mode = fit.mode; grid = fit.grid || grid;
+      } else if(mode==='mesh'){
+        // a control grid of the same size, laid out over the new corners
+        grid = makeGrid(grid ? grid.cols : Number(meshColsInput.value), grid ? grid.rows : Number(meshRowsInput.value), quadMapper(quad, 'perspective'));
+        syncQuadFromGrid(quad, grid);
+      }
+      if(target==='global'){ corners = quad; warpMode = mode; meshGrid = grid; }
+      else { target.points = quad; target.warp = mode; if(grid) target.grid = grid; }
+    });
+    syncWarpControls(); refreshSelection(); draw();
+  }
+
+  calibrationFile.addEventListener('change', ()=>{
+    const f = calibrationFile.files && calibrationFile.files[0];
+    calibrationFile.value = '';
+    if(f) loadCalibrationPhoto(f);
+  });
+  applyCalibrationCornersBtn.addEventListener('click', ()=> applyCalibration(false));
+  applyCalibrationMeshBtn.addEventListener('click', ()=> applyCalibration(true));
+  closeCalibrationBtn.addEventListener('click', ()=>{ calibration = null; renderCalibration(); });
+
+  // Project library ------------------------------------------------------------------
+  // Named projects are kept in the browser (IndexedDB) and the open one is saved automatically about a second
+  // after each change (edits call projectChanged()), so a refresh or crash loses nothing. Records use the project
+  // file format, except that media files are kept as blobs in a store of their own and referenced by id
+  // (ref.blob), so a file shared by several projects is stored once. Stores:
+  //   projects: {id, name, created, updated, size}   projectData: {id, data}   media: {id, file}
+  // On startup the project browser offers to restore the last session. When the storage quota runs out, media
+  // no project uses any more is deleted and the save retried; if that is not enough autosave reports it and
+  // tries again with the next change.
+  const DB_NAME = 'projector-mapping';
+  const DB_VERSION = 1;
+  const AUTOSAVE_DELAY = 1000;
+  const LAST_PROJECT_KEY = 'projector-last-project';
+  let dbPromise = null;
+  let libraryReady = false;
+  let currentProject = null; // meta record of the project being autosaved; created with the first change
+  // libraryKey() of the state last saved, or of the untouched state the page loaded with (not saved at all)
+  let autosaveTimer = null, autosaveKey = null, autosaving = false;
+  let restoringMedia = 0; // project media still loading (see restoreMedia()); saving waits for it
+  const storedBlobs = new Set(); // ids known to be in the media store
+
+  function uniqueId(prefix){
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  function openDb(){
+    if(!dbPromise) dbPromise = new Promise((resolve, reject)=>{
+      if(!window.indexedDB){ reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = ()=>{
+        const db = req.result;
+        ['projects','projectData','media'].forEach(name=> db.createObjectStore(name, {keyPath:'id'}));
+      };
+      req.onsuccess = ()=> resolve(req.result);
+      req.onerror = ()=> reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  // Run fn(tx) in one transaction. Resolves with the result of the request fn returns (if any) once the
+  // transaction has committed, and rejects with the transaction's error (QuotaExceededError when storage is full).
+  function dbRun(stores, mode, fn){
+    return openDb().then(db=> new Promise((resolve, reject)=>{
+      const tx = db.transaction(stores, mode);
+      let result;
+      const req = fn(tx);
+      if(req) req.onsuccess = ()=>{ result = req.result; };
+      tx.oncomplete = ()=> resolve(result);
+      tx.onabort = tx.onerror = ()=> reject(tx.error || new Error('storage transaction failed'));
+    }));
+  }
+
+  function readStoredMedia(id){
+    return dbRun(['media'], 'readonly', tx=> tx.objectStore('media').get(id)).then(rec=>{
+      if(!rec) return null;
+      storedBlobs.add(id);
+      return rec.file;
+    });
+  }
+
+  function listProjects(){
+    return dbRun(['projects'], 'readonly', tx=> tx.objectStore('projects').getAll())
+      .then(list=> list.sort((a,b)=> b.updated - a.updated));
+  }
+
+  function readProject(id){
+    return dbRun(['projectData'], 'readonly', tx=> tx.objectStore('projectData').get(id)).then(rec=> rec && rec.data);
+  }
+
+  // media ids referenced anywhere in a project
+  function projectBlobs(data, into){
+    JSON.stringify(data, (k,v)=>{ if(k==='blob' && typeof v==='string') into.add(v); return v; });
+    return into;
+  }
+
+  function writeProject(meta, data, blobs){
+    return dbRun(['projects','projectData','media'], 'readwrite', tx=>{
+      blobs.forEach((file, id)=>{ if(!storedBlobs.has(id)) tx.objectStore('media').put({id, file}); });
+      tx.objectStore('projectData').put({id: meta.id, data});
+      tx.objectStore('projects').put(meta);
+    }).then(()=> blobs.forEach((file, id)=> storedBlobs.add(id)));
+  }
+
+  // delete stored media that no project refers to any more
+  function collectGarbage(){
+    return dbRun(['projectData','media'], 'readwrite', tx=>{
+      const used = new Set();
+      const data = tx.objectStore('projectData').getAll();
+      data.onsuccess = ()=>{
+        data.result.forEach(rec=> projectBlobs(rec.data, used));
+        const keys = tx.objectStore('media').getAllKeys();
+        keys.onsuccess = ()=> keys.result.forEach(id=>{
+          if(used.has(id)) return;
+          tx.objectStore('media').delete(id);
+          storedBlobs.delete(id);
+        });
+      };
+    });
+  }
+
+  function isQuotaError(err){
+    return !!err && (err.name==='QuotaExceededError');
+  }
+
+  function setLibraryStatus(text, problem){
+    libraryStatusEl.textContent = text;
+    libraryStatusEl.classList.toggle('problem', !!problem);
+  }
+
+  function showSaved(){
+    setLibraryStatus('Autosaving to "' + currentProject.name + '" · saved ' + new Date(currentProject.updated).toLocaleTimeString());
+  }
+
+  // everything a save would write, to skip saves when nothing changed
+  function libraryKey(){
+    return stateKey(captureState()) + JSON.stringify(scenes, (k,v)=> v instanceof HTMLElement ? mediaKey(v) : v) + JSON.stringify(audioMappings);
+  }
+
+  function scheduleAutosave(){
+    if(!libraryReady || autosaveTimer) return;
+    autosaveTimer = setTimeout(()=>{ autosaveTimer = null; autosave(); }, AUTOSAVE_DELAY);
+  }
+
+  function autosave(){
+    if(autosaving || restoringMedia){ scheduleAutosave(); return; }
+    const key = libraryKey();
+    if(key===autosaveKey) return;
+    if(!currentProject){
+      const now = Date.now();
+      currentProject = {id: uniqueId('p'), name: 'Untitled ' + new Date(now).toLocaleString(), created: now, updated: now, size: 0};
+    }
+    const meta = currentProject;
+    autosaving = true;
+    const blobs = new Map();
+    serializeProject(blobs).then(data=>{
+      meta.updated = Date.now();
+      meta.size = JSON.stringify(data).length;
+      blobs.forEach(file=>{ meta.size += file.size || 0; });
+      return writeProject(meta, data, blobs).catch(err=>{
+        if(!isQuotaError(err)) throw err;
+        // make room by dropping media of deleted projects, then try once more
+        return collectGarbage().then(()=> writeProject(meta, data, blobs));
+      });
+    }).then(()=>{
+      autosaveKey = key;
+      try{ localStorage.setItem(LAST_PROJECT_KEY, meta.id); }catch(e){}
+      if(navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(()=>{});
+      if(meta===currentProject) showSaved();
+    }, err=>{
+      setLibraryStatus(isQuotaError(err)
+        ? 'Browser storage is full, so changes are not being saved. Delete projects you no longer need or save the project to a file.'
+        : 'Autosave failed: ' + (err && err.message || err), true);
+    }).then(()=>{ autosaving = false; });
+  }
+
+  function blankProject(){
+    return {
+      format: PROJECT_FORMAT, version: PROJECT_VERSION,
+      corners: [{x:0,y:0},{x:1,y:0},{x:1,y:1},{x:0,y:1}], warpMode: 'perspective', meshGrid: null,
+      projectors: [], globalLayer: {}, media: {global: null}, shapes: [], groups: [], scenes: []
+    };
+  }
+
+  // switch the editor to another project: its state replaces everything and the undo history starts over
+  function switchProject(meta, obj){
+    commitChange();
+    applyProject(obj);
+    undoStack = []; redoStack = [];
+    updateHistoryButtons();
+    pruneMedia();
+    currentProject = meta;
+    autosaveKey = libraryKey();
+    try{ localStorage.setItem(LAST_PROJECT_KEY, meta.id); }catch(e){}
+    showSaved();
+    closeProjectBrowser();
+    draw();
+  }
+
+  function openProject(meta){
+    readProject(meta.id).then(data=>{
+      const obj = migrateProject(data);
+      const err = validateProject(obj);
+      if(err){ alert('Project "' + meta.name + '" could not be opened: ' + err); return; }
+      switchProject(meta, obj);
+    }, err=> alert('Project "' + meta.name + '" could not be read: ' + (err && err.message || err)));
+  }
+
+  function newProject(){
+    const name = prompt('Project name', 'Untitled ' + new Date().toLocaleString());
+    if(name===null) return;
+    const now = Date.now();
+    switchProject({id: uniqueId('p'), name: name || 'Untitled', created: now, updated: now, size: 0}, blankProject());
+    // the new project is written with the next autosave
+    autosaveKey = null;
+    scheduleAutosave();
+  }
+
+  function renameProject(meta){
+    const name = prompt('Project name', meta.name);
+    if(name===null || !name || name===meta.name) return;
+    meta.name = name;
+    if(currentProject && currentProject.id===meta.id){ currentProject.name = name; showSaved(); }
+    dbRun(['projects'], 'readwrite', tx=>{ tx.objectStore('projects').put(meta); }).then(renderProjectList, libraryError);
+  }
+
+  function duplicateProject(meta){
+    readProject(meta.id).then(data=>{
+      const now = Date.now();
+      const copy = Object.assign({}, meta, {id: uniqueId('p'), name: meta.name + ' copy', created: now, updated: now});
+      // media blobs are shared with the original
+      return dbRun(['projects','projectData'], 'readwrite', tx=>{
+        tx.objectStore('projectData').put({id: copy.id, data});
+        tx.objectStore('projects').put(copy);
+      });
+    }).then(renderProjectList, libraryError);
+  }
+
+  function deleteProject(meta){
+    if(!confirm('Delete project "' + meta.name + '"? This cannot be undone.')) return;
+    dbRun(['projects','projectData'], 'readwrite', tx=>{
+      tx.objectStore('projects').delete(meta.id);
+      tx.objectStore('projectData').delete(meta.id);
+    }).then(()=>{
+      // the open project keeps working and is saved under a new name with the next change
+      if(currentProject && currentProject.id===meta.id){ currentProject = null; setLibraryStatus('Project deleted; changes will be saved as a new project'); }
+      return collectGarbage();
+    }).then(renderProjectList, libraryError);
+  }
+
+  function libraryError(err){
+    alert((isQuotaError(err) ? 'Browser storage is full. ' : 'Project storage failed: ') + (err && err.message || err));
+  }
+
+  function formatSize(bytes){
+    return bytes >= 1024*1024 ? (bytes / (1024*1024)).toFixed(1) + ' MB' : Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  }
+
+  function renderProjectList(){
+    return listProjects().then(list=>{
+      projectListEl.innerHTML = '';
+      if(!list.length){ const empty = document.createElement('div'); empty.className = 'name'; empty.textContent = 'No saved projects yet'; projectListEl.appendChild(empty); }
+      list.forEach(meta=>{
+        const row = document.createElement('div'); row.className = 'shape-item project-item';
+        row.classList.toggle('selected', !!currentProject && currentProject.id===meta.id);
+        const name = document.createElement('div'); name.className = 'name';
+        name.textContent = meta.name + ' · ' + new Date(meta.updated).toLocaleString() + ' · ' + formatSize(meta.size || 0);
+        const btns = document.createElement('div');
+        [['Open', openProject], ['Rename', renameProject], ['Duplicate', duplicateProject], ['Delete', deleteProject]].forEach(([label, fn])=>{
+          const b = document.createElement('button'); b.className = 'selectBtn'; b.textContent = label;
+          b.addEventListener('click', ()=> fn(meta));
+          btns.appendChild(b);
+        });
+        row.appendChild(name); row.appendChild(btns);
+        projectListEl.appendChild(row);
+      });
+      // the last session is offered while the editor has not opened a project yet
+      let lastId = null;
+      try{ lastId = localStorage.getItem(LAST_PROJECT_KEY); }catch(e){}
+      const last = !currentProject && list.find(p=> p.id===lastId);
+      restoreSessionRow.hidden = !last;
+      if(last){
+        restoreSessionText.textContent = '"' + last.name + '", saved ' + new Date(last.updated).toLocaleString();
+        restoreSessionBtn.onclick = ()=> openProject(last);
+      }
+      if(navigator.storage && navigator.storage.estimate){
+        navigator.storage.estimate().then(est=>{ storageUsageEl.textContent = 'Storage used: ' + formatSize(est.usage || 0) + ' of ' + formatSize(est.quota || 0); }, ()=>{});
+      }
+      return list;
+    });
+  }
+
+  function openProjectBrowser(){
+    projectBrowserEl.hidden = false;
+    renderProjectList().catch(libraryError);
+  }
+
+  function closeProjectBrowser(){ projectBrowserEl.hidden = true; }
+
+  function initProjectLibrary(){
+    // until the first change there is nothing worth a project (and the last session stays the one offered)
+    const loadKey = libraryKey();
+    openDb().then(()=>{
+      if(!currentProject) autosaveKey = loadKey;
+      libraryReady = true;
+      // edits made while the database was opening
+      scheduleAutosave();
+      setLibraryStatus('Changes are saved in this browser as you work');
+      // start with the browser when there is anything to go back to
+      return renderProjectList().then(list=>{ if(list.length) projectBrowserEl.hidden = false; });
+    }).catch(()=> setLibraryStatus('Autosave is not available in this browser; save the project to a file instead.', true));
+  }
+
+  projectsBtn.addEventListener('click', openProjectBrowser);
+  newProjectBtn.addEventListener('click', newProject);
+  closeProjectsBtn.addEventListener('click', closeProjectBrowser);
+
+  // Utility: affine transform [a,b,c,d,e,f] (setTransform order a,d,b,e,c,f) mapping a source triangle onto a destination one
+  function triangleAffine(sx0, sy0, sx1, sy1, sx2, sy2, dx0, dy0, dx1, dy1, dx2, dy2){
     // Compute affine transform matrix M such that M * [sx, sy, 1] -> [dx, dy, 1]
     // Solve for a,b,c,d,e,f in matrix [[a,b,c],[d,e,f],[0,0,1]] using three point correspondences.
     const A = [
@@ -420,149 +3846,845 @@
         for(let k=i;k<=n;k++) M[j][k] -= mult*M[i][k];
       }
     }
-    const x = new Array(n);
-    for(let i=0;i<n;i++) x[i] = M[i][n];
+    const x = new Array(n);
+    for(let i=0;i<n;i++) x[i] = M[i][n];
+    return x;
+  }
+
+  // draw imgCanvas through affine x, clipped to the destination triangle
+  function paintTriangle(g, imgCanvas, x, dx0, dy0, dx1, dy1, dx2, dy2){
+    g.save();
+    // Clip to destination triangle
+    g.beginPath();
+    g.moveTo(dx0,dy0); g.lineTo(dx1,dy1); g.lineTo(dx2,dy2); g.closePath();
+    g.clip();
+
+    // set transform: map source to destination via affine: [a b c; d e f; 0 0 1]
+    g.setTransform(x[0], x[3], x[1], x[4], x[2], x[5]);
+    // draw the image
+    g.drawImage(imgCanvas, 0, 0);
+    g.restore();
+  }
+
+  // Render caches ------------------------------------------------------------------
+  // While a video or GIF plays draw() runs every frame, so everything that only depends on geometry is kept
+  // between frames: each surface's downscaled source copy and fitted texture, the mesh vertices with their solved
+  // triangle transforms, and for static surfaces (no video or GIF) the whole painted layer. Each cache remembers
+  // the inputs it was built from and is rebuilt when they change. Shape caches live in the runtime-only _cache
+  // field; the global image and projectors have their own.
+  // The painting functions take the media to paint as a source {el, cache, animated} (see layerSource()), so a
+  // surface can also be painted with media it is fading out from (see Scenes and cues).
+  const globalCache = {};
+  const projectorCaches = new Map(); // projector id -> cache
+  let drawCount = 0; // draw() calls so far; animated source copies are redrawn once per draw
+
+  function surfaceCache(layer){
+    return layer===globalLayer ? globalCache : (layer._cache || (layer._cache = {}));
+  }
+
+  function layerMedia(layer){
+    if(layer===globalLayer) return image;
+    const holder = shapeGroup(layer) || layer;
+    return holder.video || holder.image;
+  }
+
+  function mediaSize(el){
+    return el.tagName==='VIDEO' ? {w: el.videoWidth, h: el.videoHeight} : {w: el.width, h: el.height};
+  }
+
+  // videos and GIFs change every frame; everything else only when its inputs change
+  function layerAnimated(layer){
+    const el = layerMedia(layer);
+    return !!el && (el.tagName==='VIDEO' || !!(layer===globalLayer ? el._isGif : (shapeGroup(layer) || layer)._isGif));
+  }
+
+  // the media a layer currently shows, with the cache it is painted through
+  function layerSource(layer){
+    return {el: layerMedia(layer), cache: surfaceCache(layer), animated: layerAnimated(layer)};
+  }
+
+  // Downscaled copy (at most 1024px) of a media element with the layer's color correction and, when the copy
+  // is warped directly, its falloff (see Color correction). Redrawn only when the element, its content version
+  // (el._version, bumped when a generated pattern is redrawn), the corrections or the size change, or once per
+  // draw() when it animates (the members of a content group share one copy).
+  function sourceCanvas(cache, el, w, h, animated, color, falloff){
+    const k = Math.min(1024 / (w||512), 1024 / (h||512), 1);
+    const cw = Math.max(1, Math.round((w||512) * k)), ch = Math.max(1, Math.round((h||512) * k));
+    const c = cache.source || (cache.source = document.createElement('canvas'));
+    if(c.width!==cw || c.height!==ch){ c.width = cw; c.height = ch; cache.sourceEl = null; }
+    const adjust = JSON.stringify([color, falloff]);
+    if((animated && cache.sourceFrame!==drawCount) || cache.sourceEl!==el || cache.sourceElVersion!==el._version || cache.sourceAdjust!==adjust){
+      const g = pixelContext(c, color);
+      g.clearRect(0,0,cw,ch);
+      try { g.drawImage(el, 0, 0, cw, ch); } catch(e){}
+      if(color) colorCorrect(g, cw, ch, color);
+      if(falloff) applyFalloff(g, cw, ch, falloff);
+      cache.sourceEl = el; cache.sourceElVersion = el._version; cache.sourceAdjust = adjust; cache.sourceFrame = drawCount;
+      cache.sourceVersion = (cache.sourceVersion || 0) + 1;
+    }
+    return c;
+  }
+
+  // Vertices and solved triangle transforms of a cols x rows mesh over a tw x th texture. map(u,v) gives the
+  // destination pixel of each vertex; key must describe everything map depends on.
+  // Each triangle is 12 numbers: the affine transform followed by the destination corners.
+  function quadMesh(cache, key, map, cols, rows, tw, th){
+    const fullKey = key + '|' + cols + 'x' + rows + '|' + tw + 'x' + th;
+    if(cache.meshKey===fullKey) return cache.mesh;
+    const sxStep = tw / cols, syStep = th / rows;
+    // compute each mesh vertex once and share it between the neighbouring triangles
+    const verts = [];
+    for(let j=0;j<=rows;j++){
+      for(let i=0;i<=cols;i++) verts.push(map(i/cols, j/rows));
+    }
+    const at = (i,j) => verts[j*(cols+1)+i];
+    const mesh = new Float64Array(cols * rows * 2 * 12);
+    let o = 0;
+    const add = (sx0, sy0, sx1, sy1, sx2, sy2, d0, d1, d2)=>{
+      mesh.set(triangleAffine(sx0, sy0, sx1, sy1, sx2, sy2, d0.x, d0.y, d1.x, d1.y, d2.x, d2.y), o);
+      mesh.set([d0.x, d0.y, d1.x, d1.y, d2.x, d2.y], o + 6);
+      o += 12;
+    };
+    for(let j=0;j<rows;j++){
+      for(let i=0;i<cols;i++){
+        const sx0 = i * sxStep, sy0 = j * syStep;
+        const sx1 = (i+1) * sxStep, sy1 = (j+1) * syStep;
+        const d0 = at(i,j), d1 = at(i+1,j), d2 = at(i,j+1), d3 = at(i+1,j+1);
+        add(sx0, sy0, sx1, sy0, sx0, sy1, d0, d1, d2);
+        add(sx1, sy0, sx1, sy1, sx0, sy1, d1, d3, d2);
+      }
+    }
+    cache.meshKey = fullKey;
+    cache.mesh = mesh;
+    return mesh;
+  }
+
+  // everything a static layer's pixels depend on (layer opacity and blend are applied when compositing)
+  function layerKey(layer, w, h, src){
+    const el = src.el;
+    if(layer===globalLayer) return JSON.stringify([mediaKey(el), el._version, corners, warpMode, meshGrid, layer.color, layer.falloff, layer.uv, gridRange.value, w, h]);
+    const data = serializeShape(layer);
+    ['visible','locked','opacity','blend'].forEach(k=> delete data[k]);
+    const group = shapeGroup(layer);
+    return JSON.stringify([mediaKey(el), el._version, data, group && groupRegion(layer, group, el, w, h), gridRange.value, w, h]);
+  }
+
+  function paintLayer(layer, g, w, h, src){
+    if(layer===globalLayer) renderGlobalLayer(g, w, h, src); else renderShapeLayer(layer, g, w, h, src);
+  }
+
+  // A static layer above the static base (see staticBase()) is painted once into its own canvas and reused until
+  // layerKey() changes
+  function cachedLayer(layer, w, h, src){
+    const cache = src.cache;
+    const c = cache.layer || (cache.layer = document.createElement('canvas'));
+    const key = layerKey(layer, w, h, src);
+    if(cache.layerKey===key) return c;
+    if(c.width!==w || c.height!==h){ c.width = w; c.height = h; }
+    const lg = c.getContext('2d');
+    lg.clearRect(0,0,w,h);
+    paintLayer(layer, lg, w, h, src);
+    // label patterns redraw while painting, so key the cache on the state after painting
+    cache.layerKey = layerKey(layer, w, h, src);
+    return c;
+  }
+
+  // Frame time readout: average draw() time and draws per second, updated twice a second
+  const frameStats = {total:0, frames:0, since:0};
+
+  function recordFrameTime(ms){
+    const now = performance.now();
+    if(!frameStats.since) frameStats.since = now;
+    frameStats.total += ms; frameStats.frames++;
+    if(now - frameStats.since < 500) return;
+    frameStatsEl.textContent = (frameStats.total / frameStats.frames).toFixed(1) + ' ms/draw · ' + Math.round(frameStats.frames * 1000 / (now - frameStats.since)) + ' draws/s';
+    frameStats.total = 0; frameStats.frames = 0; frameStats.since = now;
+  }
+
+  // Color correction -----------------------------------------------------------------
+  // Every surface can be corrected on its own; the settings live on its layer once edited:
+  //   color: {brightness (-1..1), contrast, gamma, saturation, hue (degrees), r, g, b (gains)}  neutral: DEFAULT_COLOR
+  //   falloff: {tl, tr, br, bl}  brightness (0..1) at each corner, for the global warp and rectangles only
+  // The color is applied to the surface's source copy (see sourceCanvas()), so static surfaces pay for it once.
+  // Settings CSS filters can express run as a canvas filter (see colorFilter()); the rest are computed on the pixels.
+  // The falloff darkens the texture that is warped onto the quad, so it follows the corners wherever they go.
+  const DEFAULT_COLOR = {brightness:0, contrast:1, gamma:1, saturation:1, hue:0, r:1, g:1, b:1};
+  const DEFAULT_FALLOFF = {tl:1, tr:1, br:1, bl:1};
+  const falloffCanvas = document.createElement('canvas');
+  const canvasFilters = typeof falloffCanvas.getContext('2d').filter==='string';
+
+  function hasFalloff(layer){ return layer===globalLayer || layer.type==='rectangle'; }
+
+  // full settings, or null when the layer is left neutral
+  function layerColor(layer){
+    const c = Object.assign({}, DEFAULT_COLOR, layer.color);
+    return Object.keys(DEFAULT_COLOR).every(k=> c[k]===DEFAULT_COLOR[k]) ? null : c;
+  }
+  function layerFalloff(layer){
+    if(!hasFalloff(layer)) return null;
+    const f = Object.assign({}, DEFAULT_FALLOFF, layer.falloff);
+    return Object.keys(DEFAULT_FALLOFF).every(k=> f[k]===1) ? null : f;
+  }
+
+  // 3x3 matrix rotating hue by deg around the luminance axis, then scaling saturation (as SVG feColorMatrix)
+  function colorMatrix(saturation, deg){
+    const a = Math.cos(deg * Math.PI/180), b = Math.sin(deg * Math.PI/180), s = saturation;
+    const hue = [
+      0.213 + a*0.787 - b*0.213, 0.715 - a*0.715 - b*0.715, 0.072 - a*0.072 + b*0.928,
+      0.213 - a*0.213 + b*0.143, 0.715 + a*0.285 + b*0.140, 0.072 - a*0.072 - b*0.283,
+      0.213 - a*0.213 - b*0.787, 0.715 - a*0.715 + b*0.715, 0.072 + a*0.928 + b*0.072
+    ];
+    const sat = [
+      0.213 + 0.787*s, 0.715 - 0.715*s, 0.072 - 0.072*s,
+      0.213 - 0.213*s, 0.715 + 0.285*s, 0.072 - 0.072*s,
+      0.213 - 0.213*s, 0.715 - 0.715*s, 0.072 + 0.928*s
+    ];
+    const m = [];
+    for(let r=0;r<3;r++) for(let c=0;c<3;c++) m.push(sat[r*3]*hue[c] + sat[r*3+1]*hue[3+c] + sat[r*3+2]*hue[6+c]);
+    return m;
+  }
+
+  // 2d context of a canvas colorCorrect() runs on with color: kept in memory when it will read the pixels back.
+  // Only the first getContext() call picks the backing, so a canvas keeps it while the settings change.
+  function pixelContext(canvas, color){
+    return canvas.getContext('2d', color && !colorFilter(color) ? {willReadFrequently: true} : undefined);
+  }
+
+  // The settings as a canvas filter, when CSS filter functions give the same result: hue and saturation are the
+  // same matrices, contrast is the same line and an even gain is brightness(); the additive brightness, gamma and
+  // per-channel gains have no equivalent (null).
+  function colorFilter(c){
+    if(!canvasFilters || c.brightness!==0 || c.gamma!==1 || c.r!==c.g || c.g!==c.b) return null;
+    return 'hue-rotate(' + c.hue + 'deg) saturate(' + c.saturation + ') contrast(' + c.contrast + ') brightness(' + c.r + ')';
+  }
+
+  // Correct the pixels of context g in place: hue and saturation through colorMatrix(), then per channel a lookup
+  // table for brightness, contrast, gamma (values above 1 brighten the midtones) and gain. When colorFilter() covers
+  // the settings the canvas is redrawn onto itself through it instead of being read back.
+  function colorCorrect(g, w, h, c){
+    const filter = colorFilter(c);
+    if(filter){
+      g.save();
+      g.setTransform(1,0,0,1,0,0);
+      g.filter = filter;
+      g.globalCompositeOperation = 'copy';
+      g.drawImage(g.canvas, 0, 0, w, h, 0, 0, w, h);
+      g.restore();
+      return;
+    }
+    let img;
+    try { img = g.getImageData(0, 0, w, h); } catch(e){ return; } // cross-origin media cannot be read back
+    const d = img.data;
+    const m = c.saturation===1 && c.hue===0 ? null : colorMatrix(c.saturation, c.hue);
+    const luts = [c.r, c.g, c.b].map(gain=>{
+      const lut = new Uint8ClampedArray(256);
+      for(let v=0;v<256;v++){
+        const x = Math.max(0, Math.min(1, (v/255 - 0.5) * c.contrast + 0.5 + c.brightness));
+        lut[v] = Math.round(Math.pow(x, 1/c.gamma) * gain * 255);
+      }
+      return lut;
+    });
+    const clamp = x=> x<0 ? 0 : x>255 ? 255 : Math.round(x);
+    for(let i=0;i<d.length;i+=4){
+      let r = d[i], gr = d[i+1], b = d[i+2];
+      if(m){
+        const r2 = m[0]*r + m[1]*gr + m[2]*b, g2 = m[3]*r + m[4]*gr + m[5]*b, b2 = m[6]*r + m[7]*gr + m[8]*b;
+        r = clamp(r2); gr = clamp(g2); b = clamp(b2);
+      }
+      d[i] = luts[0][r]; d[i+1] = luts[1][gr]; d[i+2] = luts[2][b];
+    }
+    g.putImageData(img, 0, 0);
+  }
+
+  // Darken context g towards its corners. A 2x2 image holding each corner's attenuation is stretched from pixel
+  // centre to pixel centre, so smoothing interpolates it bilinearly; source-atop blacks out that share of the
+  // light and keeps the alpha.
+  function applyFalloff(g, w, h, f){
+    if(falloffCanvas.width!==2){ falloffCanvas.width = 2; falloffCanvas.height = 2; }
+    const fg = falloffCanvas.getContext('2d');
+    const img = fg.createImageData(2, 2);
+    [f.tl, f.tr, f.bl, f.br].forEach((v,i)=>{ img.data[i*4+3] = Math.round((1 - v) * 255); });
+    fg.putImageData(img, 0, 0);
+    g.save();
+    g.globalCompositeOperation = 'source-atop';
+    g.imageSmoothingEnabled = true;
+    g.drawImage(falloffCanvas, 0.5, 0.5, 1, 1, 0, 0, w, h);
+    g.restore();
+  }
+
+  // color and falloff fields of a layer (shown on the selected layer's row)
+  function renderColorControls(layer){
+    const row = document.createElement('div'); row.className = 'layer-props mapping-props color-props';
+    // edit full copies so untouched values keep their defaults
+    const color = Object.assign({}, DEFAULT_COLOR, layer.color);
+    const falloff = Object.assign({}, DEFAULT_FALLOFF, layer.falloff);
+    const apply = ()=>{ layer.color = Object.assign({}, color); draw(); };
+    row.appendChild(numberField('bright', color, 'brightness', -1, 1, 0.05, apply));
+    row.appendChild(numberField('contrast', color, 'contrast', 0, 4, 0.05, apply));
+    row.appendChild(numberField('gamma', color, 'gamma', 0.1, 4, 0.05, apply));
+    row.appendChild(numberField('sat', color, 'saturation', 0, 4, 0.05, apply));
+    row.appendChild(numberField('hue', color, 'hue', -180, 180, 1, apply));
+    ['r','g','b'].forEach(k=> row.appendChild(numberField(k + ' gain', color, k, 0, 4, 0.05, apply)));
+    if(hasFalloff(layer)){
+      const applyFalloffEdit = ()=>{ layer.falloff = Object.assign({}, falloff); draw(); };
+      ['tl','tr','br','bl'].forEach(k=>{
+        const field = numberField(k, falloff, k, 0, 1, 0.05, applyFalloffEdit); field.title = 'Brightness at the ' + k + ' corner';
+        row.appendChild(field);
+      });
+    }
+    const reset = document.createElement('button'); reset.className = 'selectBtn'; reset.textContent = 'Reset color';
+    reset.addEventListener('click', ()=>{ recordChange(()=>{ delete layer.color; delete layer.falloff; }); renderShapesUI(); draw(); });
+    row.appendChild(reset);
+    return row;
+  }
+
+  // Masks ------------------------------------------------------------------------------
+  // Any shape can be a mask (role 'mask') instead of a content surface. A mask shows no media: it blacks out its
+  // region from everything below it in the layer stack (the global image and lower shapes), or with invert
+  // everything outside it, so content only shows inside. Layers above a mask are not affected.
+  //   role: 'mask' (absent = content), feather: soft edge width as a fraction of the canvas' shorter side,
+  //   invert: true to keep only the inside; the layer opacity is the strength of the mask
+  const MAX_FEATHER = 0.25;
+
+  function isMask(layer){ return !!layer && layer.role==='mask'; }
+
+  function traceMaskPath(g, s, w, h){
+    g.beginPath();
+    if(s.type==='circle') g.arc(s.center.x * w, s.center.y * h, s.radius * Math.min(w,h), 0, Math.PI*2);
+    else shapeOutline(s, w, h).forEach((p,k)=> k ? g.lineTo(p.x*w, p.y*h) : g.moveTo(p.x*w, p.y*h));
+    g.closePath();
+  }
+
+  // The region a mask removes, as opaque black in a canvas of its own (cached until the mask changes). Feathered
+  // edges come from a shadow: the shape is drawn a canvas width off to the left and only its blurred shadow lands
+  // in place, which works in every browser (unlike the canvas filter property).
+  function maskBitmap(s, w, h){
+    const cache = surfaceCache(s);
+    const c = cache.mask || (cache.mask = document.createElement('canvas'));
+    const key = JSON.stringify([s.type, s.points, s.curves, s.center, s.radius, s.warp, s.grid, s.feather, s.invert, w, h]);
+    if(cache.maskKey===key && c.width===w && c.height===h) return c;
+    cache.maskKey = key;
+    if(c.width!==w || c.height!==h){ c.width = w; c.height = h; }
+    const g = c.getContext('2d');
+    g.clearRect(0,0,w,h);
+    g.save();
+    g.fillStyle = '#000';
+    if(s.invert){ g.fillRect(0,0,w,h); g.globalCompositeOperation = 'destination-out'; }
+    const blur = Math.min(MAX_FEATHER, s.feather || 0) * Math.min(w,h);
+    if(blur>0){
+      const shift = w + 4*blur;
+      g.shadowColor = '#000'; g.shadowBlur = blur; g.shadowOffsetX = shift;
+      g.translate(-shift, 0);
+    }
+    traceMaskPath(g, s, w, h);
+    g.fill();
+    g.restore();
+    return c;
+  }
+
+  function applyMask(g, s, w, h, strength){
+    if(strength<=0) return;
+    g.save();
+    g.globalAlpha = strength;
+    g.globalCompositeOperation = 'destination-out';
+    g.drawImage(maskBitmap(s, w, h), 0, 0);
+    g.restore();
+  }
+
+  // role, feather and invert of a shape (shown on the selected shape's row)
+  function renderMaskControls(s){
+    const row = document.createElement('div'); row.className = 'layer-props mapping-props mask-props';
+    const role = document.createElement('select'); role.title = 'Role';
+    [['content','Content'], ['mask','Mask']].forEach(([v, label])=>{ const o = document.createElement('option'); o.value = v; o.textContent = label; role.appendChild(o); });
+    role.value = isMask(s) ? 'mask' : 'content';
+    role.addEventListener('change', ()=>{
+      recordChange(()=>{
+        if(role.value!=='mask'){ delete s.role; return; }
+        // masks show no media, so they leave their content group
+        s.role = 'mask';
+        leaveGroup(s);
+        dropEmptyGroups();
+      });
+      renderShapesUI(); renderOverlay(); draw();
+    });
+    row.appendChild(role);
+    if(isMask(s)){
+      const settings = {feather: s.feather || 0};
+      row.appendChild(numberField('feather', settings, 'feather', 0, MAX_FEATHER, 0.005, ()=>{ s.feather = settings.feather; draw(); }));
+      const invert = document.createElement('button'); invert.className = 'selectBtn'; invert.textContent = s.invert ? 'Inverted' : 'Invert';
+      invert.title = 'Show content only inside the mask';
+      invert.addEventListener('click', ()=>{ recordChange(()=>{ s.invert = !s.invert; }); renderShapesUI(); renderOverlay(); draw(); });
+      row.appendChild(invert);
+    }
+    return row;
+  }
 
-    ctx.save();
-    // Clip to destination triangle
-    ctx.beginPath();
-    ctx.moveTo(dx0,dy0); ctx.lineTo(dx1,dy1); ctx.lineTo(dx2,dy2); ctx.closePath();
-    ctx.clip();
+  // Content groups -----------------------------------------------------------------------
+  // Shapes in a content group show one shared source, so a single image flows across all of them however each
+  // one is warped. The group holds the media (loading media onto any member binds it to the group) and each
+  // member shows its own region of it:
+  //   {id, name, layout?: {<shape id>: {x, y, w, h}}}  members have group: <group id>
+  // By default the source covers the bounding box of all members (like the 'cover' fit) and a member's region is
+  // where its own bounding box falls in that. A layout entry pins a member's region instead, as fractions of the
+  // source size. Members share the source copy; their color and falloff apply to their own region.
+  function shapeGroup(layer){ return layer && layer.group ? contentGroups.find(g=> g.id===layer.group) || null : null; }
+  function groupMembers(group){ return shapes.filter(s=> s.group===group.id); }
+  // the first member in the stack carries the group's video controls
+  function groupLead(group){ return shapes.find(s=> s.group===group.id) || null; }
 
-    // set transform: map source to destination via affine: [a b c; d e f; 0 0 1]
-    ctx.setTransform(x[0], x[3], x[1], x[4], x[2], x[5]);
-    // draw the image
-    ctx.drawImage(imgCanvas, 0, 0);
-    ctx.restore();
+  // bounding box of a shape in canvas pixels
+  function shapeBounds(s, w, h){
+    const pts = shapeOutline(s, w, h);
+    const xs = pts.map(p=> p.x*w), ys = pts.map(p=> p.y*h);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys);
+    return {x: x0, y: y0, w: Math.max(...xs) - x0, h: Math.max(...ys) - y0};
   }
 
-  // We'll use an offscreen canvas sized to image and draw triangles mapped to destination.
-  function draw(){
-    const w = canvas.width, h = canvas.height;
-    ctx.clearRect(0,0,w,h);
-  // Draw global warp image (if any)
-    if(image){
-      // Prepare offscreen image canvas scaled to a reasonable size to keep performance
-      const off = document.createElement('canvas');
-      const rescale = Math.min(1024 / imgWidth, 1024 / imgHeight, 1);
-      off.width = Math.round(imgWidth * rescale);
-      off.height = Math.round(imgHeight * rescale);
-      const octx = off.getContext('2d');
-      octx.drawImage(image, 0, 0, off.width, off.height);
-
-      // Build dest corner coordinates in pixel space of canvas
-      const dst = corners.map(c => ({x: c.x * w, y: c.y * h}));
+  // the region of the group's source (media el) that member s shows on a w x h canvas
+  function groupRegion(s, group, el, w, h){
+    if(group.layout && group.layout[s.id]) return group.layout[s.id];
+    const boxes = groupMembers(group).map(m=> shapeBounds(m, w, h));
+    const x0 = Math.min(...boxes.map(b=> b.x)), y0 = Math.min(...boxes.map(b=> b.y));
+    const bw = Math.max(...boxes.map(b=> b.x + b.w)) - x0, bh = Math.max(...boxes.map(b=> b.y + b.h)) - y0;
+    const size = mediaSize(el);
+    const k = Math.max(bw / (size.w || 1), bh / (size.h || 1)) || 1;
+    const sw = (size.w || 1) * k, sh = (size.h || 1) * k;
+    const ox = x0 + (bw - sw)/2, oy = y0 + (bh - sh)/2;
+    const f = shapeBounds(s, w, h);
+    return {x: (f.x - ox)/sw, y: (f.y - oy)/sh, w: f.w/sw, h: f.h/sh};
+  }
+
+  // Draw region of src (the group's source copy) into the member's texture canvas (fw x fh frame, capped at
+  // 1024px) with its color and falloff; like fitTexture() it is only redrawn when version or the mapping changes.
+  function groupTexture(cache, src, region, fw, fh, version, color, falloff){
+    const k = Math.min(1, 1024 / Math.max(fw, fh, 1));
+    const tw = Math.max(1, Math.round(fw*k)), th = Math.max(1, Math.round(fh*k));
+    const out = cache.fit || (cache.fit = document.createElement('canvas'));
+    const key = JSON.stringify(['group', version, tw, th, region, color, falloff]);
+    if(cache.fitKey===key && out.width===tw && out.height===th) return out;
+    cache.fitKey = key;
+    if(out.width!==tw || out.height!==th){ out.width = tw; out.height = th; }
+    const g = pixelContext(out, color);
+    g.setTransform(1,0,0,1,0,0);
+    g.clearRect(0,0,tw,th);
+    g.drawImage(src, region.x*src.width, region.y*src.height, region.w*src.width, region.h*src.height, 0, 0, tw, th);
+    if(color) colorCorrect(g, tw, th, color);
+    if(falloff) applyFalloff(g, tw, th, falloff);
+    return out;
+  }
+
+  function moveMedia(from, to){
+    SHAPE_MEDIA_KEYS.concat(['_url','_isGif']).forEach(k=>{ if(from[k]!==undefined){ to[k] = from[k]; delete from[k]; } });
+  }
+
+  function leaveGroup(s){
+    const group = shapeGroup(s);
+    delete s.group;
+    if(!group || !group.layout) return;
+    delete group.layout[s.id];
+    if(!Object.keys(group.layout).length) delete group.layout;
+  }
+
+  // forget groups that lost all their members, stopping their media
+  function dropEmptyGroups(){
+    contentGroups = contentGroups.filter(g=>{
+      if(groupLead(g)) return true;
+      releaseMedia(g.video || g.image);
+      return false;
+    });
+  }
+
+  // Put the selected shapes (masks excepted) in a new group. It takes over the media of the first of them that
+  // has its own; shapes that were in another group leave it.
+  function groupSelected(){
+    const members = selectedShapes().filter(s=> !isMask(s));
+    if(members.length<2){ alert('Select two or more shapes (masks excepted) to group them.'); return; }
+    beginChange();
+    const n = groupIdCounter++;
+    const group = {id: 'g' + n, name: 'Group ' + n};
+    const donor = members.find(s=> !s.group && (s.video || s.image));
+    if(donor) moveMedia(donor, group);
+    members.forEach(s=>{ leaveGroup(s); s.group = group.id; });
+    contentGroups.push(group);
+    dropEmptyGroups();
+    commitChange();
+    layerStack().forEach(applyPlayback);
+    updateAnimationLoop();
+    renderShapesUI();
+    draw();
+  }
+
+  // Take the selected shapes out of their groups; the last shape to leave a group keeps its media unless it
+  // has media of its own
+  function ungroupSelected(){
+    const members = selectedShapes().filter(s=> shapeGroup(s));
+    if(!members.length) return;
+    beginChange();
+    members.forEach(s=>{
+      const group = shapeGroup(s);
+      leaveGroup(s);
+      if(!groupLead(group) && !(s.video || s.image)) moveMedia(group, s);
+    });
+    dropEmptyGroups();
+    commitChange();
+    layerStack().forEach(applyPlayback);
+    updateAnimationLoop();
+    renderShapesUI();
+    draw();
+  }
+
+  // The region of its group's source the selected member shows (shown instead of the fit controls). Editing a
+  // value pins the region in the group's layout; Auto follows the shape's place in the group again.
+  function renderGroupControls(s){
+    const group = shapeGroup(s);
+    const row = document.createElement('div'); row.className = 'layer-props mapping-props group-props';
+    const pinned = !!(group.layout && group.layout[s.id]);
+    const el = layerMedia(s);
+    // edit a rounded copy of the current region, so the first change pins all of it
+    const region = el ? Object.assign({}, groupRegion(s, group, el, canvas.width, canvas.height)) : {x:0, y:0, w:1, h:1};
+    Object.keys(region).forEach(k=>{ region[k] = Math.round(region[k]*1000)/1000; });
+    const pin = ()=>{ group.layout = Object.assign({}, group.layout, {[s.id]: Object.assign({}, region)}); draw(); };
+    row.appendChild(numberField('x', region, 'x', -1, 2, 0.01, pin));
+    row.appendChild(numberField('y', region, 'y', -1, 2, 0.01, pin));
+    row.appendChild(numberField('w', region, 'w', 0.01, 4, 0.01, pin));
+    row.appendChild(numberField('h', region, 'h', 0.01, 4, 0.01, pin));
+    const auto = document.createElement('button'); auto.className = 'selectBtn'; auto.textContent = 'Auto';
+    auto.title = 'Show the part of the source under this shape';
+    auto.disabled = !pinned;
+    auto.addEventListener('click', ()=>{
+      recordChange(()=>{ delete group.layout[s.id]; if(!Object.keys(group.layout).length) delete group.layout; });
+      renderShapesUI(); draw();
+    });
+    row.appendChild(auto);
+    return row;
+  }
+
+  groupBtn.addEventListener('click', groupSelected);
+  ungroupBtn.addEventListener('click', ungroupSelected);
+
+  // Layers ---------------------------------------------------------------------------
+  // The global warp image is a layer in the same stack as the shapes. Shapes are painted in array order and the
+  // global layer sits between them at index globalLayer.z (0 = bottom). Every layer has the optional properties
+  // visible, locked, opacity (0..1) and blend (a canvas composite operation, see BLEND_MODES).
+  const BLEND_MODES = {'source-over':'Normal', 'multiply':'Multiply', 'screen':'Screen', 'lighter':'Add'};
+  const globalLayer = {id:'global', visible:true, locked:false, opacity:1, blend:'source-over', z:0};
+  // settings a layer only has once they are edited (see Video playback, Color correction and Input mapping)
+  const OPTIONAL_LAYER_KEYS = ['playback', 'color', 'falloff', 'uv'];
+  const layerCanvas = document.createElement('canvas');
+  const mixCanvas = document.createElement('canvas'); // scene transitions mix two looks of a layer here
+
+  // all layers in paint order (bottom first)
+  function layerStack(){
+    const z = Math.max(0, Math.min(shapes.length, globalLayer.z));
+    return shapes.slice(0, z).concat([globalLayer], shapes.slice(z));
+  }
+
+  function layerName(layer){
+    if(layer===globalLayer) return 'Global image';
+    const group = shapeGroup(layer);
+    return (isMask(layer) ? 'mask ' : '') + layer.type + ' ('+layer.id+')' + (group ? ' · ' + group.name : '');
+  }
+
+  function isLocked(layer){ return !!(layer && layer.locked); }
+
+  // Move a layer to a new position in the paint order and split the result back into shapes + globalLayer.z
+  function moveLayer(layerId, toIndex){
+    const stack = layerStack();
+    const from = stack.findIndex(l=>l.id===layerId);
+    if(from<0) return;
+    const [layer] = stack.splice(from, 1);
+    stack.splice(Math.max(0, Math.min(stack.length, toIndex)), 0, layer);
+    globalLayer.z = stack.indexOf(globalLayer);
+    shapes = stack.filter(l=>l!==globalLayer);
+  }
+
+  // Draw the global warp image (if any) into context g
+  function renderGlobalLayer(g, w, h, src){
+    const el = src.el;
+    if(!el) return;
+    if(isLabelPattern(el)) refreshLabels(el, null, w, h);
+    // offscreen copy of the image scaled to a reasonable size to keep performance
+    const size = mediaSize(el);
+    const uv = layerUV(globalLayer);
+    // with an input region the falloff belongs to the region, not the whole source
+    const off = sourceCanvas(src.cache, el, size.w, size.h, src.animated, layerColor(globalLayer), uv ? null : layerFalloff(globalLayer));
+    const tex = uv ? uvTexture(src.cache, globalLayer, off, uv, uvRegionFrame(uv, off.width, off.height), w, h, src.cache.sourceVersion, null, layerFalloff(globalLayer)) : off;
+
+    const {map, cols, rows} = warpGrid(globalLayer, w, h, tex.width, tex.height);
+    drawQuadMesh(g, tex, quadMesh(src.cache, JSON.stringify([corners, warpMode, meshGrid, w, h]), map, cols, rows, tex.width, tex.height));
+  }
 
+  // The triangle mesh a quad surface (the global image or a rectangle) is drawn with for a tw x th texture:
+  // the warp in w x h pixels and the number of cells across and down
+  function warpGrid(layer, w, h, tw, th){
+    if(layer===globalLayer){
       const cols = Number(gridRange.value);
-      const rows = Math.round(cols * off.height / off.width);
-      const sxStep = off.width / cols;
-      const syStep = off.height / rows;
+      return {map: toPixels(surfaceMap(corners, warpMode, meshGrid), w, h), cols, rows: Math.round(cols * th / tw)};
+    }
+    // use mesh resolution slider value for shape mapping so selected shape respects the control
+    const cols = Math.max(4, Math.min(128, Number(gridRange.value) || 32));
+    const rows = Math.max(2, Math.round(cols * th / tw));
+    return {map: toPixels(surfaceMap(layer.points, layer.warp || 'perspective', layer.grid), w, h), cols, rows};
+  }
 
-      // Draw mesh cells as two triangles per cell
-      for(let j=0;j<rows;j++){
-        for(let i=0;i<cols;i++){
-          // source triangle 1 (top-left)
-          const sx0 = i * sxStep, sy0 = j * syStep;
-          const sx1 = (i+1)*sxStep, sy1 = j * syStep;
-          const sx2 = i*sxStep, sy2 = (j+1)*syStep;
-
-          // compute normalized positions within source (0..1) then map to dest via bilinear interpolation of corner quad
-          const u0 = sx0 / off.width, v0 = sy0 / off.height;
-          const u1 = sx1 / off.width, v1 = sy1 / off.height;
-          const u2 = sx2 / off.width, v2 = sy2 / off.height;
-
-          const d0 = bilinear(u0,v0,dst);
-          const d1 = bilinear(u1,v1,dst);
-          const d2 = bilinear(u2,v2,dst);
-
-          drawTriangle(off, sx0, sy0, sx1, sy1, sx2, sy2, d0.x, d0.y, d1.x, d1.y, d2.x, d2.y);
-
-          const sx3 = (i+1)*sxStep, sy3 = (j+1)*syStep;
-          const u3 = sx3 / off.width, v3 = sy3 / off.height;
-          const d3 = bilinear(u3,v3,dst);
-          drawTriangle(off, sx1, sy1, sx3, sy3, sx2, sy2, d1.x, d1.y, d3.x, d3.y, d2.x, d2.y);
-        }
-      }
+  // Content mapping --------------------------------------------------------------------
+  // How media fills a shape is the same for every shape type: the media is drawn into a texture the size of the
+  // shape's frame (its bounding box, or for rectangles the average size of the quad) using the shape's fit mode
+  // and texture transform, then that texture is clipped to the outline or mesh-warped onto the quad.
+  //   fit: 'cover' | 'contain' | 'stretch' | 'tile'
+  //   tex: {x, y, scale, rotation} offset as a fraction of the frame, uniform scale, rotation in degrees
+  const FIT_MODES = {cover:'Cover', contain:'Contain', stretch:'Stretch', tile:'Tile'};
+  // shapes without a fit keep the look they always had
+  const DEFAULT_FIT = {rectangle:'stretch', circle:'contain', triangle:'cover', polygon:'cover'};
+
+  function shapeFit(s){ return s.fit || DEFAULT_FIT[s.type] || 'cover'; }
+  function shapeTex(s){ return Object.assign({x:0, y:0, scale:1, rotation:0}, s.tex); }
 
-      // draw corner outlines
-      ctx.save();
-      ctx.strokeStyle = 'rgba(255,255,255,0.6)'; ctx.lineWidth = Math.max(1,2*dpr);
-      ctx.beginPath();
-      ctx.moveTo(dst[0].x, dst[0].y);
-      for(let k=1;k<4;k++) ctx.lineTo(dst[k].x, dst[k].y);
-      ctx.closePath(); ctx.stroke();
-      ctx.restore();
+  // destination frame of a shape in canvas pixels: {x, y, w, h}
+  function shapeFrame(s, w, h){
+    if(s.type==='circle'){
+      const r = s.radius * Math.min(w,h);
+      return {x: s.center.x*w - r, y: s.center.y*h - r, w: 2*r, h: 2*r};
+    }
+    if(s.type==='rectangle'){
+      const [tl, tr, br, bl] = s.points;
+      const d = (a,b)=> Math.hypot((a.x-b.x)*w, (a.y-b.y)*h);
+      return {x:0, y:0, w: (d(tl,tr) + d(bl,br))/2, h: (d(tl,bl) + d(tr,br))/2};
     }
+    const outline = flattenShape(s);
+    const xs = outline.map(p=>p.x*w), ys = outline.map(p=>p.y*h);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys);
+    return {x: x0, y: y0, w: Math.max(...xs) - x0, h: Math.max(...ys) - y0};
+  }
 
-    // Draw images assigned to shapes (each shape may have its own image)
-    shapes.forEach(s=>{
-      if(!s.image && !s.video) return;
-      // prepare offscreen for shape image
-      const soff = document.createElement('canvas');
-      const sres = Math.min(1024 / (s.imgWidth||512), 1024 / (s.imgHeight||512), 1);
-      soff.width = Math.max(1, Math.round((s.imgWidth||512) * sres));
-      soff.height = Math.max(1, Math.round((s.imgHeight||512) * sres));
-      const soctx = soff.getContext('2d');
-      // draw current frame from image or video into the offscreen canvas
-      if(s.video){ try { soctx.drawImage(s.video, 0, 0, soff.width, soff.height); } catch(e){} }
-      else if(s.image){ soctx.drawImage(s.image, 0, 0, soff.width, soff.height); }
+  // Draw src into the shape's fitted texture canvas (kept in cache; fw x fh frame, capped at 1024px) and return it,
+  // darkened by falloff (rectangles). version identifies the content of src; the texture is only redrawn when it
+  // or the mapping changes.
+  function fitTexture(cache, s, src, fw, fh, version, falloff){
+    const k = Math.min(1, 1024 / Math.max(fw, fh, 1));
+    const tw = Math.max(1, Math.round(fw*k)), th = Math.max(1, Math.round(fh*k));
+    const out = cache.fit || (cache.fit = document.createElement('canvas'));
+    const key = JSON.stringify([version, tw, th, shapeFit(s), s.tex, falloff]);
+    if(cache.fitKey===key && out.width===tw && out.height===th) return out;
+    cache.fitKey = key;
+    if(out.width!==tw || out.height!==th){ out.width = tw; out.height = th; }
+    const g = out.getContext('2d');
+    g.setTransform(1,0,0,1,0,0);
+    g.clearRect(0,0,tw,th);
+    const fit = shapeFit(s), t = shapeTex(s);
+    const ar = src.width / src.height;
+    let dw = tw, dh = th;
+    if(fit==='cover'){ if(tw/th > ar) dh = tw/ar; else dw = th*ar; }
+    else if(fit==='contain' || fit==='tile'){ if(tw/th > ar) dw = th*ar; else dh = tw/ar; }
+    g.translate(tw/2 + t.x*tw, th/2 + t.y*th);
+    g.rotate(t.rotation * Math.PI/180);
+    g.scale(t.scale, t.scale);
+    if(fit==='tile'){
+      // repeat the contained tile over everything the transformed frame can show
+      const pattern = g.createPattern(src, 'repeat');
+      pattern.setTransform(new DOMMatrix().translate(-dw/2, -dh/2).scale(dw/src.width, dh/src.height));
+      const r = (Math.hypot(tw, th) + Math.hypot(t.x*tw, t.y*th)) / Math.max(0.01, Math.abs(t.scale));
+      g.fillStyle = pattern;
+      g.fillRect(-r, -r, 2*r, 2*r);
+    } else {
+      g.drawImage(src, -dw/2, -dh/2, dw, dh);
+    }
+    if(falloff){ g.setTransform(1,0,0,1,0,0); applyFalloff(g, tw, th, falloff); }
+    return out;
+  }
 
-      if(s.type==='circle'){
-        const cx = s.center.x * w, cy = s.center.y * h, r = s.radius * Math.min(w,h);
-  ctx.save();
-  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI*2); ctx.closePath(); ctx.clip();
-  // draw image centered into circle
-  const drawSize = 2*r;
-  // preserve aspect, cover
-  const ar = soff.width/soff.height;
-  let dw = drawSize, dh = drawSize;
-  if(soff.width/soff.height > 1) { dh = drawSize / ar; } else { dw = drawSize * ar; }
-  const dx = cx - dw/2, dy = cy - dh/2;
-  ctx.drawImage(soff, dx, dy, dw, dh);
-  ctx.restore();
-      } else if(s.type==='triangle'){
-        // clip to triangle and draw image into bounding box (preserve aspect, cover)
-        const p0 = s.points[0], p1 = s.points[1], p2 = s.points[2];
-        const x0 = Math.min(p0.x,p1.x,p2.x)*w, x1 = Math.max(p0.x,p1.x,p2.x)*w;
-        const y0 = Math.min(p0.y,p1.y,p2.y)*h, y1 = Math.max(p0.y,p1.y,p2.y)*h;
-        ctx.save();
-        ctx.beginPath(); ctx.moveTo(p0.x*w,p0.y*h); ctx.lineTo(p1.x*w,p1.y*h); ctx.lineTo(p2.x*w,p2.y*h); ctx.closePath(); ctx.clip();
-        // compute cover fit
-  const bw = x1-x0, bh = y1-y0;
-        let dw = bw, dh = bh;
-        const ar = soff.width/soff.height;
-        if(bw/bh > ar){ dh = bw / ar; } else { dw = bh * ar; }
-        const dx = x0 + (bw-dw)/2, dy = y0 + (bh-dh)/2;
-  ctx.drawImage(soff, dx, dy, dw, dh);
-        ctx.restore();
-      } else if(s.type==='rectangle' && s.points && s.points.length>=4){
-        // treat as quad: map source image to quad using bilinear grid mapping
-        const dstCorners = s.points.map(p => ({x: p.x * w, y: p.y * h}));
-  // use mesh resolution slider value for shape mapping so selected shape respects the control
-  const cols = Math.max(4, Math.min(128, Number(gridRange.value) || 32));
-  const rows = Math.max(2, Math.round(cols * soff.height / soff.width));
-        const sxStep = soff.width / cols;
-        const syStep = soff.height / rows;
-        for(let j=0;j<rows;j++){
-          for(let i=0;i<cols;i++){
-            const sx0 = i * sxStep, sy0 = j * syStep;
-            const sx1 = (i+1) * sxStep, sy1 = j * syStep;
-            const sx2 = i * sxStep, sy2 = (j+1) * syStep;
-            const u0 = sx0 / soff.width, v0 = sy0 / soff.height;
-            const u1 = sx1 / soff.width, v1 = sy1 / soff.height;
-            const u2 = sx2 / soff.width, v2 = sy2 / soff.height;
-            const d0 = bilinear(u0,v0,dstCorners);
-            const d1 = bilinear(u1,v1,dstCorners);
-            const d2 = bilinear(u2,v2,dstCorners);
-            drawTriangle(soff, sx0, sy0, sx1, sy1, sx2, sy2, d0.x, d0.y, d1.x, d1.y, d2.x, d2.y);
-            const sx3 = (i+1)*sxStep, sy3 = (j+1)*syStep;
-            const u3 = sx3 / soff.width, v3 = sy3 / soff.height;
-            const d3 = bilinear(u3,v3,dstCorners);
-            drawTriangle(soff, sx1, sy1, sx3, sy3, sx2, sy2, d1.x, d1.y, d3.x, d3.y, d2.x, d2.y);
-          }
-        }
-      }
+  // Draw the image assigned to a shape (each shape may have its own image, or its content group's) into context g
+  function renderShapeLayer(s, g, w, h, src){
+    const el = src.el;
+    if(!el) return;
+    const group = shapeGroup(s);
+    // a group's labels are drawn for its first member
+    if(isLabelPattern(el)) refreshLabels(el, group ? groupLead(group) : s, w, h);
+    // offscreen copy of the shape's image or current video frame; the members of a group share the group's
+    const cache = src.cache;
+    const shared = group && el===layerMedia(s) ? surfaceCache(group) : null;
+    const size = mediaSize(el);
+    const soff = sourceCanvas(shared || cache, el, size.w, size.h, src.animated, group ? null : layerColor(s), null);
+
+    const frame = shapeFrame(s, w, h);
+    if(frame.w<1 || frame.h<1) return;
+    const version = group ? mediaKey(el) + ':' + (shared || cache).sourceVersion : cache.sourceVersion;
+    const uv = layerUV(s);
+    const tex = uv ? uvTexture(cache, s, soff, uv, frame, w, h, version, group ? layerColor(s) : null, layerFalloff(s))
+      : group ? groupTexture(cache, soff, groupRegion(s, group, el, w, h), frame.w, frame.h, version, layerColor(s), layerFalloff(s))
+      : fitTexture(cache, s, soff, frame.w, frame.h, version, layerFalloff(s));
+    if(s.type==='rectangle' && s.points && s.points.length>=4){
+      // treat as quad: map the texture to the quad using the shape's warp mode (perspective, bilinear or mesh)
+      const {map, cols, rows} = warpGrid(s, w, h, tex.width, tex.height);
+      drawQuadMesh(g, tex, quadMesh(cache, JSON.stringify([s.points, s.warp, s.grid, w, h]), map, cols, rows, tex.width, tex.height));
+      return;
+    }
+    // clip to the outline and draw the texture into the frame
+    g.save();
+    if(s.type==='circle'){
+      g.beginPath(); g.arc(s.center.x * w, s.center.y * h, s.radius * Math.min(w,h), 0, Math.PI*2); g.closePath();
+    } else {
+      traceShapePath(g, s, w, h);
+    }
+    g.clip();
+    g.drawImage(tex, frame.x, frame.y, frame.w, frame.h);
+    g.restore();
+  }
+
+  // the layer painted with src on its own (static ones are cached unless scratch is set, when they are being
+  // painted into the static base), so mesh triangle seams don't show through the opacity
+  function layerBitmap(layer, w, h, src, scratch){
+    if(!src.animated && !scratch) return cachedLayer(layer, w, h, src);
+    if(layerCanvas.width!==w || layerCanvas.height!==h){ layerCanvas.width = w; layerCanvas.height = h; }
+    const lctx = layerCanvas.getContext('2d');
+    lctx.clearRect(0,0,w,h);
+    paintLayer(layer, lctx, w, h, src);
+    return layerCanvas;
+  }
+
+  function compositeLayer(g, w, h, layer, src, opacity, scratch){
+    const blend = layer.blend || 'source-over';
+    if((src.animated || scratch) && opacity>=1 && blend==='source-over'){
+      // opaque normal animated layers (and any layer going into the static base) are painted directly
+      paintLayer(layer, g, w, h, src);
+      return;
+    }
+    const bitmap = layerBitmap(layer, w, h, src, scratch);
+    g.save();
+    g.globalAlpha = opacity;
+    g.globalCompositeOperation = blend;
+    g.drawImage(bitmap, 0, 0);
+    g.restore();
+  }
+
+  function layerAlpha(look){
+    return look.visible===false || !look.el ? 0 : (look.opacity===undefined ? 1 : look.opacity);
+  }
+
+  // A layer in a scene transition at progress t: with the same media only visibility and opacity blend; with
+  // other media the outgoing and incoming bitmaps are mixed first ('lighter' adds the weighted premultiplied
+  // pixels, giving an exact crossfade) and the mix is composited like the layer itself.
+  function compositeTransition(g, w, h, layer, from, t){
+    const src = layerSource(layer);
+    const a0 = layerAlpha(from), a1 = layerAlpha({visible: layer.visible, opacity: layer.opacity, el: src.el});
+    if(from.el===src.el){
+      const a = a0 + (a1 - a0) * t;
+      if(a>0) compositeLayer(g, w, h, layer, src, a);
+      return;
+    }
+    if(mixCanvas.width!==w || mixCanvas.height!==h){ mixCanvas.width = w; mixCanvas.height = h; }
+    const mix = mixCanvas.getContext('2d');
+    mix.clearRect(0,0,w,h);
+    mix.globalCompositeOperation = 'lighter';
+    [[from, a0 * (1-t)], [src, a1 * t]].forEach(([look, a])=>{
+      if(a<=0) return;
+      mix.globalAlpha = a;
+      mix.drawImage(layerBitmap(layer, w, h, look), 0, 0);
     });
+    mix.globalAlpha = 1; mix.globalCompositeOperation = 'source-over';
+    g.save();
+    g.globalCompositeOperation = layer.blend || 'source-over';
+    g.drawImage(mixCanvas, 0, 0);
+    g.restore();
+  }
+
+  // Render all layers (the content canvas) into context g of size w x h; guides adds the editor outlines.
+  function renderContent(g, w, h, guides){
+    g.clearRect(0,0,w,h);
+    const fade = transitionProgress();
+    const unmodulate = modulateLayers();
+    try {
+      const stack = layerStack();
+      stack.slice(staticBase(g, w, h, stack, fade)).forEach(layer=> renderLayer(g, w, h, layer, fade, false));
+    } finally {
+      unmodulate();
+    }
+    if(guides) renderGuides(g, w, h);
+  }
+
+  // the global surface outline on top of the content (follows the curved border in mesh mode); the projector
+  // output has no guides
+  function renderGuides(g, w, h){
+    if(!image) return;
+    const map = toPixels(surfaceMap(corners, warpMode, meshGrid), w, h);
+    const outline = warpMode==='mesh' && meshGrid ? surfaceOutline(map, 16) : corners.map(c => ({x: c.x * w, y: c.y * h}));
+    g.save();
+    g.strokeStyle = 'rgba(255,255,255,0.6)'; g.lineWidth = Math.max(1,2*dpr);
+    g.beginPath();
+    g.moveTo(outline[0].x, outline[0].y);
+    for(let k=1;k<outline.length;k++) g.lineTo(outline[k].x, outline[k].y);
+    g.closePath(); g.stroke();
+    g.restore();
+  }
+
+  function renderLayer(g, w, h, layer, fade, scratch){
+    if(isMask(layer)){ if(layer.visible!==false) applyMask(g, layer, w, h, layer.opacity===undefined ? 1 : layer.opacity); return; }
+    const from = fade && fade.from.get(layer.id);
+    if(from){ compositeTransition(g, w, h, layer, from, fade.t); return; }
+    if(layer.visible===false || !layerMedia(layer)) return;
+    const opacity = layer.opacity===undefined ? 1 : layer.opacity;
+    if(opacity<=0) return;
+    compositeLayer(g, w, h, layer, layerSource(layer), opacity, scratch);
+  }
+
+  // The static base: the layers below the first animated or fading one, composited together into one canvas that
+  // is repainted only when one of them changes, so video on top doesn't repaint their meshes every frame and
+  // static layers need no canvas each. Draws the base into g and returns how many layers it covers.
+  const staticCanvas = document.createElement('canvas');
+  let staticKey = null;
+
+  function baseKey(layers, w, h){
+    return JSON.stringify([w, h, layers.map(layer=>{
+      if(isMask(layer)) return serializeShape(layer);
+      const opacity = layer.opacity===undefined ? 1 : layer.opacity;
+      if(layer.visible===false || !layerMedia(layer) || opacity<=0) return null;
+      return [layerKey(layer, w, h, layerSource(layer)), opacity, layer.blend || 'source-over'];
+    })]);
+  }
+
+  function staticBase(g, w, h, stack, fade){
+    const moving = layer=> (fade && fade.from.has(layer.id)) || (!isMask(layer) && layer.visible!==false && layerAnimated(layer));
+    const n = stack.findIndex(moving);
+    const layers = n<0 ? stack : stack.slice(0, n);
+    if(!layers.length) return 0;
+    if(baseKey(layers, w, h)!==staticKey){
+      if(staticCanvas.width!==w || staticCanvas.height!==h){ staticCanvas.width = w; staticCanvas.height = h; }
+      const sg = staticCanvas.getContext('2d');
+      sg.clearRect(0,0,w,h);
+      layers.forEach(layer=>{
+        // layers in the base don't keep a canvas of their own
+        if(!isMask(layer)){ const cache = surfaceCache(layer); cache.layer = null; cache.layerKey = null; }
+        renderLayer(sg, w, h, layer, null, true);
+      });
+      // label patterns redraw while painting, so key the base on the state after painting
+      staticKey = baseKey(layers, w, h);
+    }
+    g.drawImage(staticCanvas, 0, 0);
+    return layers.length;
+  }
+
+  // What the canvas shows, into context g of size w x h: the content, or the projector being viewed
+  function renderFrame(g, w, h, guides){
+    const proj = viewedProjector();
+    if(proj){
+      // projector view: render the content canvas offscreen, then this projector's blended, warped slice of it
+      if(contentCanvas.width!==w || contentCanvas.height!==h){ contentCanvas.width = w; contentCanvas.height = h; }
+      renderContent(contentCanvas.getContext('2d'), w, h, false);
+      g.clearRect(0,0,w,h);
+      renderProjector(proj, contentCanvas, g, w, h);
+    } else {
+      renderContent(g, w, h, guides);
+    }
+  }
+
+  function draw(){
+    const t0 = performance.now();
+    drawCount++;
+    if(!isOutput) updateAudioValues();
+    if(recording) recordFrame(); else renderFrame(ctx, canvas.width, canvas.height, !isOutput);
+    if(inputViewOpen) paintInputView();
+    if(!isOutput){ scheduleBroadcast(); scheduleRemoteUpdate(); }
+    recordFrameTime(performance.now() - t0);
   }
 
   // bilinear interpolation of a unit quad to destination quad (corners in pixel coords)
@@ -574,36 +4696,784 @@
     return { x: top.x + (bottom.x - top.x)*v, y: top.y + (bottom.y - top.y)*v };
   }
 
+  // Solve the projective transform (homography) that maps the unit square onto a destination quad.
+  // Closed-form square-to-quad solution; returns [a,b,c,d,e,f,g,h] so that
+  //   x = (a*u + b*v + c) / (g*u + h*v + 1),  y = (d*u + e*v + f) / (g*u + h*v + 1)
+  // Returns null for degenerate quads (three corners collinear) so callers can fall back to bilinear.
+  function homography(dstCorners){
+    const [p0, p1, p2, p3] = dstCorners; // tl, tr, br, bl
+    const sx = p0.x - p1.x + p2.x - p3.x, sy = p0.y - p1.y + p2.y - p3.y;
+    let g = 0, h = 0;
+    if(Math.abs(sx) > 1e-9 || Math.abs(sy) > 1e-9){
+      const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+      const den = dx1*dy2 - dx2*dy1;
+      if(Math.abs(den) < 1e-12) return null;
+      g = (sx*dy2 - dx2*sy) / den;
+      h = (dx1*sy - sx*dy1) / den;
+    }
+    return [
+      p1.x - p0.x + g*p1.x, p3.x - p0.x + h*p3.x, p0.x,
+      p1.y - p0.y + g*p1.y, p3.y - p0.y + h*p3.y, p0.y,
+      g, h
+    ];
+  }
+
+  function applyHomography(H, u, v){
+    const wgt = H[6]*u + H[7]*v + 1;
+    return { x: (H[0]*u + H[1]*v + H[2]) / wgt, y: (H[3]*u + H[4]*v + H[5]) / wgt };
+  }
+
+  // Returns a function (u,v) -> destination point for the given quad and warp mode ('perspective' | 'bilinear')
+  function quadMapper(dstCorners, mode){
+    if(mode === 'perspective'){
+      const H = homography(dstCorners);
+      if(H) return (u,v) => applyHomography(H, u, v);
+    }
+    return (u,v) => bilinear(u, v, dstCorners);
+  }
+
+  // scale a normalized mapping to canvas pixels
+  function toPixels(map, w, h){
+    return (u,v)=>{ const p = map(u,v); return {x: p.x * w, y: p.y * h}; };
+  }
+
+  // Draw a texture canvas into context g through a mesh from quadMesh(). The mesh's map gives the destination
+  // pixel of each vertex, so straight source lines stay straight in perspective mode and follow the control
+  // grid in mesh mode.
+  function drawQuadMesh(g, tex, mesh){
+    for(let o=0;o<mesh.length;o+=12){
+      paintTriangle(g, tex, mesh.subarray(o, o+6), mesh[o+6], mesh[o+7], mesh[o+8], mesh[o+9], mesh[o+10], mesh[o+11]);
+    }
+  }
+
+  // Input mapping ----------------------------------------------------------------------
+  // Which part of its source a surface shows. layer.uv holds points in the source as fractions of its width and
+  // height (y down): for triangles and polygons one per vertex (vertex i shows the source at uv[i], curved edges
+  // and the inside are mapped piecewise linearly between them); for rectangles, circles and the global image the
+  // corners [tl, tr, br, bl] of the region that fills the surface (a circle's frame). A layer without uv shows its
+  // whole source as before, through fit and tex or its content group. The source region is drawn into the texture
+  // the other paths use, so warps, clipping, color correction and falloff work on it unchanged.
+
+  function perVertexUV(layer){ return layer!==globalLayer && (layer.type==='triangle' || layer.type==='polygon'); }
+
+  // the layer's uv when it matches its geometry, else null
+  function layerUV(layer){
+    const uv = layer.uv;
+    if(!Array.isArray(uv)) return null;
+    return uv.length===(perVertexUV(layer) ? layer.points.length : 4) ? uv : null;
+  }
+
+  // uv reproducing what the layer shows without one, as the starting point for editing it
+  function defaultUV(layer){
+    const full = [{x:0, y:0}, {x:1, y:0}, {x:1, y:1}, {x:0, y:1}];
+    const el = layerMedia(layer);
+    if(layer===globalLayer || !el) return full;
+    const w = canvas.width, h = canvas.height;
+    const frame = shapeFrame(layer, w, h);
+    if(!(frame.w>0 && frame.h>0)) return full;
+    // frame-relative points of the texture (a rectangle's texture spans its quad)
+    const local = perVertexUV(layer) ? layer.points.map(p=> ({x: p.x*w - frame.x, y: p.y*h - frame.y}))
+      : [{x:0, y:0}, {x:frame.w, y:0}, {x:frame.w, y:frame.h}, {x:0, y:frame.h}];
+    const group = shapeGroup(layer);
+    if(group){
+      const r = groupRegion(layer, group, el, w, h);
+      return local.map(p=> ({x: r.x + p.x/frame.w*r.w, y: r.y + p.y/frame.h*r.h}));
+    }
+    // invert fitTexture(): frame point -> drawn image -> source fraction
+    const size = mediaSize(el), fit = shapeFit(layer), t = shapeTex(layer);
+    const ar = (size.w || 1) / (size.h || 1);
+    let dw = frame.w, dh = frame.h;
+    if(fit==='cover'){ if(frame.w/frame.h > ar) dh = frame.w/ar; else dw = frame.h*ar; }
+    else if(fit==='contain' || fit==='tile'){ if(frame.w/frame.h > ar) dw = frame.h*ar; else dh = frame.w/ar; }
+    const a = -t.rotation * Math.PI/180, cos = Math.cos(a), sin = Math.sin(a), k = t.scale || 1;
+    return local.map(p=>{
+      const x = p.x - frame.w/2 - t.x*frame.w, y = p.y - frame.h/2 - t.y*frame.h;
+      const qx = (x*cos - y*sin) / k, qy = (x*sin + y*cos) / k;
+      return {x: (qx + dw/2) / dw, y: (qy + dh/2) / dh};
+    });
+  }
+
+  // frame of a uv region of a sw x sh source: the average size of the quad, like a rectangle's shapeFrame()
+  function uvRegionFrame(uv, sw, sh){
+    const d = (a,b)=> Math.hypot((a.x-b.x)*sw, (a.y-b.y)*sh);
+    return {x:0, y:0, w: (d(uv[0],uv[1]) + d(uv[3],uv[2]))/2, h: (d(uv[0],uv[3]) + d(uv[1],uv[2]))/2};
+  }
+
+  // outline of a per-vertex shape with the uv of every point, curved edges sampled like flattenShape()
+  function flattenWithUV(s, uv){
+    const points = [], uvs = [], n = s.points.length;
+    s.points.forEach((p,i)=>{
+      const a = uv[i], b = uv[(i+1)%n];
+      const steps = edgeCurve(s, i) ? 16 : 1;
+      for(let k=0;k<steps;k++){
+        points.push(edgePoint(s, i, k/steps));
+        uvs.push({x: a.x + (b.x-a.x)*k/steps, y: a.y + (b.y-a.y)*k/steps});
+      }
+    });
+    return {points, uvs};
+  }
+
+  // Triangles (index triples) covering a simple polygon, by ear clipping; what is left of a self-intersecting
+  // outline is fanned
+  function triangulate(pts){
+    const cross = (a,b,c)=> (b.x-a.x)*(c.y-a.y) - (b.y-a.y)*(c.x-a.x);
+    let area = 0;
+    pts.forEach((p,i)=>{ const q = pts[(i+1)%pts.length]; area += p.x*q.y - q.x*p.y; });
+    const sign = area < 0 ? -1 : 1;
+    const idx = pts.map((p,i)=> i), tris = [];
+    while(idx.length > 3){
+      let ear = -1;
+      for(let k=0;k<idx.length && ear<0;k++){
+        const ia = idx[(k+idx.length-1)%idx.length], ib = idx[k], ic = idx[(k+1)%idx.length];
+        const a = pts[ia], b = pts[ib], c = pts[ic];
+        if(cross(a,b,c)*sign <= 0) continue;
+        const blocked = idx.some(j=> j!==ia && j!==ib && j!==ic && cross(a,b,pts[j])*sign >= 0 && cross(b,c,pts[j])*sign >= 0 && cross(c,a,pts[j])*sign >= 0);
+        if(!blocked){ tris.push([ia, ib, ic]); ear = k; }
+      }
+      if(ear<0) break;
+      idx.splice(ear, 1);
+    }
+    for(let k=1;k+1<idx.length;k++) tris.push([idx[0], idx[k], idx[k+1]]);
+    return tris;
+  }
+
+  // Draw the source triangle (src pixels) s0 s1 s2 onto d0 d1 d2 in context g
+  function paintMappedTriangle(g, src, s0, s1, s2, d0, d1, d2){
+    if(Math.abs((s1.x-s0.x)*(s2.y-s0.y) - (s1.y-s0.y)*(s2.x-s0.x)) < 1e-6) return;
+    paintTriangle(g, src, triangleAffine(s0.x, s0.y, s1.x, s1.y, s2.x, s2.y, d0.x, d0.y, d1.x, d1.y, d2.x, d2.y), d0.x, d0.y, d1.x, d1.y, d2.x, d2.y);
+  }
+
+  // The layer's uv region of src drawn into its texture canvas (fw x fh frame, capped at 1024px, kept in cache)
+  // with color and falloff; like fitTexture() it is only redrawn when version or the mapping changes.
+  // frame is the layer's shapeFrame() in w x h pixels (per-vertex shapes are drawn at their vertices within it).
+  function uvTexture(cache, layer, src, uv, frame, w, h, version, color, falloff){
+    const k = Math.min(1, 1024 / Math.max(frame.w, frame.h, 1));
+    const tw = Math.max(1, Math.round(frame.w*k)), th = Math.max(1, Math.round(frame.h*k));
+    const out = cache.fit || (cache.fit = document.createElement('canvas'));
+    const perVertex = perVertexUV(layer);
+    const key = JSON.stringify(['uv', version, tw, th, uv, perVertex ? [layer.points, layer.curves, frame.x, frame.y, w, h] : null, color, falloff]);
+    if(cache.fitKey===key && out.width===tw && out.height===th) return out;
+    cache.fitKey = key;
+    if(out.width!==tw || out.height!==th){ out.width = tw; out.height = th; }
+    const g = pixelContext(out, color);
+    g.setTransform(1,0,0,1,0,0);
+    g.clearRect(0,0,tw,th);
+    const inSrc = p=> ({x: p.x*src.width, y: p.y*src.height});
+    if(perVertex){
+      const {points, uvs} = flattenWithUV(layer, uv);
+      const dst = points.map(p=> ({x: (p.x*w - frame.x) * tw/frame.w, y: (p.y*h - frame.y) * th/frame.h}));
+      triangulate(dst).forEach(([a,b,c])=> paintMappedTriangle(g, src, inSrc(uvs[a]), inSrc(uvs[b]), inSrc(uvs[c]), dst[a], dst[b], dst[c]));
+    } else {
+      // the region is mapped with a perspective warp, so any quad can be cropped out of the source
+      const map = quadMapper(uv, 'perspective');
+      const n = 8;
+      for(let j=0;j<n;j++){
+        for(let i=0;i<n;i++){
+          const s = [[i,j],[i+1,j],[i,j+1],[i+1,j+1]].map(([a,b])=> inSrc(map(a/n, b/n)));
+          const d = [[i,j],[i+1,j],[i,j+1],[i+1,j+1]].map(([a,b])=> ({x: a/n*tw, y: b/n*th}));
+          paintMappedTriangle(g, src, s[0], s[1], s[2], d[0], d[1], d[2]);
+          paintMappedTriangle(g, src, s[1], s[3], s[2], d[1], d[3], d[2]);
+        }
+      }
+    }
+    if(color) colorCorrect(g, tw, th, color);
+    if(falloff) applyFalloff(g, tw, th, falloff);
+    return out;
+  }
+
+  // keep a polygon's per-vertex uv in step with insertVertex() and deleteVertex()
+  function insertVertexUV(s, i, t){
+    const uv = s.uv;
+    if(!Array.isArray(uv) || uv.length!==s.points.length) return;
+    const a = uv[i], b = uv[(i+1)%uv.length];
+    s.uv = uv.slice(0, i+1).concat([{x: a.x + (b.x-a.x)*t, y: a.y + (b.y-a.y)*t}], uv.slice(i+1));
+  }
+
+  function deleteVertexUV(s, i){
+    if(Array.isArray(s.uv) && s.uv.length===s.points.length) s.uv = s.uv.filter((p,k)=> k!==i);
+  }
+
+  // Input view -------------------------------------------------------------------------
+  // The source of the selected layer (the global image when nothing is selected) next to the output, with a
+  // handle per uv point. Dragging a handle, or the region to move all of them, sets the layer's uv; until then
+  // the handles show where the layer's vertices fall in the source with its current mapping.
+  const UV_LIMIT = 1; // how far past the source's edges (in source sizes) a point may be dragged
+  let inputViewOpen = false;
+  let inputShown = null; // {layer, box} the view was laid out for
+
+  function inputLayer(){
+    if(viewedProjector()) return null;
+    const layer = selectedShapeId ? shapes.find(s=> s.id===selectedShapeId) : globalLayer;
+    return layer && !isMask(layer) && layerMedia(layer) ? layer : null;
+  }
+
+  // the source letterboxed in the input view, in input-view pixels
+  function inputBox(el){
+    const area = inputView.getBoundingClientRect(), size = mediaSize(el);
+    const scale = Math.min(area.width / (size.w || 1), area.height / (size.h || 1));
+    const w = (size.w || 1) * scale, h = (size.h || 1) * scale;
+    return {left: (area.width - w)/2, top: (area.height - h)/2, width: w, height: h};
+  }
+
+  function renderInputView(){
+    inputView.hidden = !inputViewOpen;
+    inputViewBtn.classList.toggle('active', inputViewOpen);
+    inputHandlesEl.innerHTML = '';
+    inputOverlay.innerHTML = '';
+    const layer = inputViewOpen ? inputLayer() : null;
+    inputShown = null;
+    [inputCanvas, inputOverlay].forEach(el=>{ el.style.display = layer ? '' : 'none'; });
+    if(!inputViewOpen) return;
+    inputResetBtn.disabled = !layer || !layer.uv || isLocked(layer);
+    if(!layer){
+      inputCaption.textContent = viewedProjector() ? 'Input view: switch to the content view to edit a layer\'s input.' : 'Input view: select a layer with media (or nothing, for the global image).';
+      return;
+    }
+    const el = layerMedia(layer);
+    inputCaption.textContent = 'Input of ' + layerName(layer) + (el._src && el._src.name ? ' · ' + el._src.name : '') +
+      (layer.uv ? '' : ' (whole source; drag to choose a part)');
+    const box = inputBox(el);
+    [inputCanvas, inputOverlay, inputHandlesEl].forEach(e=>{
+      ['left','top','width','height'].forEach(k=>{ e.style[k] = box[k] + 'px'; });
+    });
+    inputCanvas.width = Math.max(1, Math.round(box.width)); inputCanvas.height = Math.max(1, Math.round(box.height));
+    inputShown = {layer, box};
+    const corner = ['top left', 'top right', 'bottom right', 'bottom left'];
+    (layerUV(layer) || defaultUV(layer)).forEach((p,i)=>{
+      const hd = document.createElement('div');
+      hd.className = 'shape-handle input-handle' + (isLocked(layer) ? ' locked' : '');
+      hd.title = perVertexUV(layer) ? 'Vertex ' + (i+1) : corner[i] + ' corner';
+      hd.textContent = perVertexUV(layer) ? String(i+1) : '';
+      startInputDrag(hd, layer, i);
+      inputHandlesEl.appendChild(hd);
+    });
+    paintInputView();
+  }
+
+  // redraw the source frame and place the region and handles (from draw(), so videos play in the view)
+  function paintInputView(){
+    if(!inputShown || inputShown.layer!==inputLayer()){ renderInputView(); return; }
+    const {layer, box} = inputShown;
+    const g = inputCanvas.getContext('2d');
+    g.clearRect(0, 0, inputCanvas.width, inputCanvas.height);
+    try { g.drawImage(layerMedia(layer), 0, 0, inputCanvas.width, inputCanvas.height); } catch(e){}
+    const uv = layerUV(layer) || defaultUV(layer);
+    inputOverlay.setAttribute('viewBox', '0 0 ' + box.width + ' ' + box.height);
+    let region = inputOverlay.querySelector('polygon');
+    if(!region){
+      region = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+      startInputDrag(region, layer, -1);
+      inputOverlay.appendChild(region);
+    }
+    region.setAttribute('points', uv.map(p=> p.x*box.width + ',' + p.y*box.height).join(' '));
+    region.classList.toggle('default-uv', !layer.uv);
+    Array.from(inputHandlesEl.children).forEach((hd,i)=>{ if(uv[i]){ hd.style.left = uv[i].x*box.width + 'px'; hd.style.top = uv[i].y*box.height + 'px'; } });
+  }
+
+  // drag uv point index of layer with el (-1: all of them)
+  function startInputDrag(el, layer, index){
+    el.addEventListener('pointerdown', e=>{
+      if(isLocked(layer) || e.button>0) return;
+      e.preventDefault(); e.stopPropagation();
+      el.setPointerCapture && el.setPointerCapture(e.pointerId);
+      beginChange();
+      const start = (layerUV(layer) || defaultUV(layer)).map(p=> ({x: p.x, y: p.y}));
+      const {box} = inputShown, x0 = e.clientX, y0 = e.clientY;
+      const clamp = v=> Math.max(-UV_LIMIT, Math.min(1 + UV_LIMIT, v));
+      const move = ev=>{
+        const dx = (ev.clientX - x0) / box.width, dy = (ev.clientY - y0) / box.height;
+        // a new array each time: undo snapshots share the global layer's uv
+        layer.uv = start.map((p,i)=> index<0 || i===index ? {x: clamp(p.x + dx), y: clamp(p.y + dy)} : p);
+        draw();
+      };
+      const end = ()=>{
+        el.removeEventListener('pointermove', move);
+        el.removeEventListener('pointerup', end);
+        el.removeEventListener('pointercancel', end);
+        commitChange();
+        // the layer's mapping controls turn off once it has a uv (and the view redraws from there)
+        renderShapesUI();
+      };
+      el.addEventListener('pointermove', move);
+      el.addEventListener('pointerup', end);
+      el.addEventListener('pointercancel', end);
+    });
+  }
+
+  inputViewBtn.addEventListener('click', ()=>{
+    inputViewOpen = !inputViewOpen;
+    renderInputView();
+    // the output view shares the width with it
+    layoutCanvas();
+  });
+  inputResetBtn.addEventListener('click', ()=>{
+    const layer = inputLayer();
+    if(!layer || !layer.uv || isLocked(layer)) return;
+    recordChange(()=>{ delete layer.uv; });
+    renderShapesUI(); draw();
+  });
+  window.addEventListener('resize', ()=>{ if(inputViewOpen) renderInputView(); });
+
+  // Projector output window ---------------------------------------------------------
+  // The editor publishes its live state over a BroadcastChannel; an output window (index.html?output) renders
+  // it without any editing UI. Media elements are identified by a key and only sent when the output asks for
+  // them, so geometry edits stay cheap. Message types:
+  //   editor -> output: {type:'state', state}, {type:'media', key, src:{name, type, file?|data?|pattern?}}, {type:'time', times:{key:{t, paused, rate, at}}}
+  //   output -> editor: {type:'hello'} (on load or reload), {type:'need-media', key}
+  // A running scene transition is part of the state (with the keys of the media it fades out); the output starts
+  // its own clock for it when it first arrives.
+  const channel = 'BroadcastChannel' in window ? new BroadcastChannel('projector-mapping') : null;
+  const mediaKeyPrefix = Date.now().toString(36);
+  let mediaKeyCounter = 1;
+  let lastBroadcast = null, broadcastPending = false;
+
+  function mediaKey(el){
+    if(!el) return null;
+    if(!el._key) el._key = mediaKeyPrefix + '-' + (mediaKeyCounter++);
+    return el._key;
+  }
+
+  function liveState(){
+    return {
+      corners, warpMode, meshGrid, projectors, globalLayer, audioMappings,
+      meshResolution: Number(gridRange.value), outputSize,
+      media: mediaKey(image),
+      shapes: shapes.map(s=> Object.assign(serializeShape(s), {media: mediaKey(s.video || s.image)})),
+      groups: contentGroups.map(g=> Object.assign(serializeShape(g), {media: mediaKey(g.video || g.image)})),
+      transition: transition && {
+        id: transition.id, duration: transition.duration,
+        from: Array.from(transition.from, ([layer, f])=> ({layer, media: mediaKey(f.el), visible: f.visible, opacity: f.opacity}))
+      }
+    };
+  }
+
+  // coalesce state updates to at most one message per frame and skip unchanged state
+  function scheduleBroadcast(force){
+    if(!channel) return;
+    if(force) lastBroadcast = null;
+    if(broadcastPending) return;
+    broadcastPending = true;
+    requestAnimationFrame(()=>{
+      broadcastPending = false;
+      const state = liveState();
+      const json = JSON.stringify(state);
+      if(json===lastBroadcast) return;
+      lastBroadcast = json;
+      channel.postMessage({type:'state', state});
+    });
+  }
+
+  function allMediaElements(){
+    return [image].concat(shapes.map(s=> s.video || s.image), contentGroups.map(g=> g.video || g.image)).filter(Boolean);
+  }
+
+  function sendMedia(key){
+    const el = allMediaElements().concat(transitionMedia()).find(x=> x._key===key);
+    if(!el || !el._src) return;
+    const src = el._src;
+    // Files/Blobs are structured-cloneable, so the output gets the original bytes without re-encoding
+    channel.postMessage({type:'media', key, src: {name: src.name, type: src.type, file: src.file, data: src.data, pattern: src.pattern}});
+  }
+
+  // Output videos follow the editor's clock: times go out on every play, pause, seek and rate change and every
+  // VIDEO_SYNC_MS in between. at (Date.now() when sent; both windows share the clock) lets the output allow for the
+  // message's delay. The output steers small drift with playbackRate and only seeks for large jumps.
+  const VIDEO_SYNC_MS = 200;
+  const VIDEO_SEEK_DRIFT = 0.5; // seconds
+  const VIDEO_FRAME_DRIFT = 1/60; // seconds of drift that are left alone
+
+  function broadcastVideoTimes(){
+    const times = {}, at = Date.now();
+    allMediaElements().concat(transitionMedia()).forEach(el=>{ if(el.tagName==='VIDEO') times[mediaKey(el)] = {t: el.currentTime, paused: el.paused, rate: el.playbackRate, at}; });
+    if(Object.keys(times).length) channel.postMessage({type:'time', times});
+  }
+
+  function watchVideoSync(v){
+    if(!channel || isOutput) return;
+    ['play','pause','seeked','ratechange'].forEach(type=> v.addEventListener(type, broadcastVideoTimes));
+  }
+
+  // bring an output video to the editor's time {t, paused, rate, at}
+  function followVideoTime(el, {t, paused, rate, at}){
+    if(paused){
+      if(!el.paused) el.pause();
+      if(Math.abs(el.currentTime - t) > 0.001) el.currentTime = t;
+      return;
+    }
+    if(el.paused) el.play().catch(()=>{});
+    const drift = t + Math.max(0, Date.now() - at) / 1000 * rate - el.currentTime;
+    if(Math.abs(drift) > VIDEO_SEEK_DRIFT){ el.currentTime = t; el.playbackRate = rate; return; }
+    // catch up (or fall back) over about a second, at most 10% off the editor's rate
+    el.playbackRate = Math.abs(drift) < VIDEO_FRAME_DRIFT ? rate : rate * (1 + Math.max(-0.1, Math.min(0.1, drift)));
+  }
+
+  function initEditorChannel(){
+    if(!channel) return;
+    channel.addEventListener('message', e=>{
+      const msg = e.data || {};
+      if(msg.type==='hello') scheduleBroadcast(true);
+      else if(msg.type==='need-media') sendMedia(msg.key);
+    });
+    setInterval(broadcastVideoTimes, VIDEO_SYNC_MS);
+    scheduleBroadcast(true);
+  }
+
+  openOutputBtn.addEventListener('click', ()=>{
+    if(!channel){ alert('This browser does not support BroadcastChannel, so the output window cannot be synced.'); return; }
+    // the output shows whatever this window is viewing: the content canvas or one projector
+    const query = viewProjectorId ? '?output&projector=' + encodeURIComponent(viewProjectorId) : '?output';
+    window.open(location.pathname + query, 'projector-output-' + (viewProjectorId || 'content'), 'popup');
+  });
+
+  // Output side: cache of media elements by key plus the last state (kept in sessionStorage to survive reloads)
+  const outputMedia = new Map(); // key -> element, 'loading' while it is requested or 'failed' when it could not load
+  let outputState = null;
+  let outputTransitionId = null;
+
+  function outputElement(key){
+    if(!key) return null;
+    const el = outputMedia.get(key);
+    if(el && el!=='loading' && el!=='failed') return el;
+    if(!el){ outputMedia.set(key, 'loading'); channel.postMessage({type:'need-media', key}); }
+    return null;
+  }
+
+  function applyLiveState(state){
+    outputState = state;
+    try{ sessionStorage.setItem('projector-output-state', JSON.stringify(state)); }catch(e){}
+    corners = state.corners;
+    warpMode = state.warpMode;
+    meshGrid = state.meshGrid;
+    projectors = state.projectors || [];
+    if(state.globalLayer){ OPTIONAL_LAYER_KEYS.forEach(k=>{ delete globalLayer[k]; }); Object.assign(globalLayer, state.globalLayer); }
+    gridRange.value = state.meshResolution;
+    audioMappings = state.audioMappings || [];
+    if(state.outputSize && (state.outputSize.width!==outputSize.width || state.outputSize.height!==outputSize.height)){
+      outputSize = state.outputSize;
+      resizeCanvas();
+    }
+    image = outputElement(state.media);
+    if(image){ imgWidth = image.videoWidth || image.width; imgHeight = image.videoHeight || image.height; }
+    // surfaces keep their texture caches (by id) while their media stays the same; the caches check the geometry
+    const withMedia = previous=>{
+      const byId = new Map(previous.map(s=> [s.id, s]));
+      return saved=>{
+        const s = Object.assign({}, saved);
+        delete s.media;
+        const el = outputElement(saved.media);
+        if(el){
+          const isVideo = el.tagName==='VIDEO';
+          s.image = isVideo ? null : el; s.video = isVideo ? el : null;
+          s._isGif = el._isGif; s.imgWidth = isVideo ? el.videoWidth : el.width; s.imgHeight = isVideo ? el.videoHeight : el.height;
+        }
+        const old = byId.get(saved.id);
+        if(old && old._cache && (old.video || old.image || null)===(el || null)) s._cache = old._cache;
+        return s;
+      };
+    };
+    shapes = state.shapes.map(withMedia(shapes));
+    contentGroups = (state.groups || []).map(withMedia(contentGroups));
+    // a new transition runs on this window's clock from the moment it arrives (and only once)
+    if(!state.transition) transition = null;
+    else if(state.transition.id!==outputTransitionId){
+      outputTransitionId = state.transition.id;
+      transition = {id: outputTransitionId, start: performance.now(), duration: state.transition.duration, from: new Map()};
+    }
+    if(transition){
+      state.transition.from.forEach(f=>{
+        const known = transition.from.get(f.layer);
+        if(known && known.el) return;
+        // outgoing media may still be on its way
+        const el = outputElement(f.media);
+        transition.from.set(f.layer, {el, cache: {}, animated: !!el && (el.tagName==='VIDEO' || !!el._isGif), visible: f.visible, opacity: f.opacity});
+      });
+    }
+    // drop media that is no longer used by any surface
+    const used = new Set([state.media].concat(state.shapes.map(s=> s.media), (state.groups || []).map(g=> g.media), state.transition ? state.transition.from.map(f=> f.media) : []));
+    outputMedia.forEach((el,key)=>{ if(!used.has(key)){ if(typeof el!=='string') revokeMedia(el); outputMedia.delete(key); } });
+    layerStack().forEach(applyPlayback);
+    updateAnimationLoop();
+    draw();
+  }
+
+  function initOutput(){
+    // click anywhere to go fullscreen (browsers only allow it from a user gesture)
+    document.addEventListener('click', ()=>{ if(!document.fullscreenElement && document.documentElement.requestFullscreen) document.documentElement.requestFullscreen().catch(()=>{}); });
+    if(!channel) return;
+    channel.addEventListener('message', e=>{
+      const msg = e.data || {};
+      if(msg.type==='state') applyLiveState(msg.state);
+      else if(msg.type==='media' && outputMedia.get(msg.key)==='loading'){
+        const src = msg.src;
+        const url = src.file ? URL.createObjectURL(src.file) : src.data;
+        loadMedia({url, name: src.name, type: src.type, file: src.file, data: src.data, pattern: src.pattern}, el=>{
+          el._isGif = !(el.tagName==='VIDEO') && isGifSource(el._src);
+          outputMedia.set(msg.key, el);
+          if(outputState) applyLiveState(outputState);
+        }, ()=> outputMedia.set(msg.key, 'failed'));
+      } else if(msg.type==='audio'){
+        audioValues = msg.values;
+        draw();
+      } else if(msg.type==='time'){
+        Object.keys(msg.times).forEach(key=>{
+          const el = outputMedia.get(key);
+          if(el && el.tagName==='VIDEO') followVideoTime(el, msg.times[key]);
+        });
+      }
+    });
+    // recover the last known state immediately, then ask the editor for a fresh one
+    try{
+      const saved = sessionStorage.getItem('projector-output-state');
+      if(saved) applyLiveState(JSON.parse(saved));
+    }catch(e){}
+    channel.postMessage({type:'hello'});
+  }
+
+  // Remote control -------------------------------------------------------------------
+  // Optional WebSocket link to show control (directly, or through tools/osc-bridge.js for OSC over UDP). Messages
+  // in both directions are JSON {address, args} with OSC-style addresses; plain text lines such as
+  // '/shape/s3/opacity 0.5' are accepted too. Commands run through the same functions as the UI, so they can be
+  // undone and reach the output window.
+  //   /corners/<0-3> x y       move a global corner (0..1 of the canvas)
+  //   /global/<prop> value     /shape/<id>/<prop> value   prop: visible, locked (0|1), opacity (0..1), blend
+  //   /scene/go [cue]          go to a cue by number (from 1) or name; without one to the next cue
+  //   /scene/next, /scene/back, /undo, /redo, /videos/sync
+  // When it connects the app sends the value of every address above plus /shapes (ids), /scenes (names) and
+  // /scene/current <cue> <name>, then each value that changes. A rejected command is answered with /error <message>.
+  // Edits to one address (a fader sends many values a second) make a single undo step, committed once the address
+  // has been quiet for REMOTE_EDIT_MS or another address is edited.
+  const REMOTE_URL_KEY = 'projector-remote-url';
+  const REMOTE_EDIT_MS = 500;
+  let remoteSocket = null, remoteRetry = null, remotePending = false;
+  let remoteEdit = null; // {address, before, timer} of the edit being coalesced
+  const remoteSent = new Map(); // address -> JSON of the args last sent
+
+  function remoteValues(){
+    const values = {};
+    corners.forEach((c,i)=>{ values['/corners/'+i] = [c.x, c.y]; });
+    layerStack().forEach(layer=>{
+      const base = layer===globalLayer ? '/global/' : '/shape/' + layer.id + '/';
+      values[base+'visible'] = [layer.visible===false ? 0 : 1];
+      values[base+'locked'] = [layer.locked ? 1 : 0];
+      values[base+'opacity'] = [layer.opacity===undefined ? 1 : layer.opacity];
+      values[base+'blend'] = [layer.blend || 'source-over'];
+    });
+    values['/shapes'] = shapes.map(s=> s.id);
+    values['/scenes'] = scenes.map(sc=> sc.name);
+    values['/scene/current'] = [currentCue + 1, scenes[currentCue] ? scenes[currentCue].name : ''];
+    return values;
+  }
+
+  function remoteSend(address, args){
+    if(remoteSocket && remoteSocket.readyState===WebSocket.OPEN) remoteSocket.send(JSON.stringify({address, args}));
+  }
+
+  function sendRemoteChanges(){
+    remotePending = false;
+    if(!remoteSocket || remoteSocket.readyState!==WebSocket.OPEN) return;
+    const values = remoteValues();
+    Object.keys(values).forEach(address=>{
+      const json = JSON.stringify(values[address]);
+      if(remoteSent.get(address)===json) return;
+      remoteSent.set(address, json);
+      remoteSend(address, values[address]);
+    });
+  }
+
+  // like scheduleBroadcast(): at most one round of change events per frame
+  function scheduleRemoteUpdate(){
+    if(!remoteSocket || remotePending) return;
+    remotePending = true;
+    requestAnimationFrame(sendRemoteChanges);
+  }
+
+  // An edit tells remote clients and marks the project for autosaving. commitChange() and undo/redo call this
+  // for everything in the undo history; edits outside it (scenes, cue settings, audio mappings) call it themselves.
+  function projectChanged(){
+    scheduleRemoteUpdate();
+    scheduleAutosave();
+  }
+
+  function remoteChange(address, fn){
+    if(remoteEdit && remoteEdit.address!==address) endRemoteEdit();
+    // during a gesture in the editor the edit becomes part of it
+    if(pendingChange && !remoteEdit){ fn(); return; }
+    beginChange();
+    fn();
+    if(remoteEdit) clearTimeout(remoteEdit.timer);
+    remoteEdit = {address, before: pendingChange, timer: setTimeout(endRemoteEdit, REMOTE_EDIT_MS)};
+  }
+
+  function endRemoteEdit(){
+    if(!remoteEdit) return;
+    clearTimeout(remoteEdit.timer);
+    // an editor gesture or undo may have committed it already
+    if(pendingChange===remoteEdit.before) commitChange();
+    remoteEdit = null;
+  }
+
+  function runRemoteCommand(address, args){
+    const parts = address.split('/').filter(Boolean);
+    const num = i=>{
+      const v = Number(args[i]);
+      if(args[i]===undefined || args[i]==='' || !isFinite(v)) throw new Error(address + ': argument ' + (i+1) + ' must be a number');
+      return v;
+    };
+    if(parts[0]==='corners' && parts.length===2){
+      const i = Number(parts[1]);
+      if(!(i>=0 && i<4 && Number.isInteger(i))) throw new Error(address + ': corner must be 0 to 3');
+      if(isLocked(globalLayer)) throw new Error(address + ': the global image is locked');
+      const p = {x: Math.min(1, Math.max(0, num(0))), y: Math.min(1, Math.max(0, num(1)))};
+      remoteChange(address, ()=>{
+        if(warpMode==='mesh' && meshGrid){
+          // the corner of the control grid; the quad follows it as when dragging
+          const g = meshGrid;
+          g.points[[0, g.cols-1, g.cols*g.rows-1, (g.rows-1)*g.cols][i]] = p;
+          syncQuadFromGrid(corners, g);
+        } else corners[i] = p;
+      });
+      renderOverlay(); updateHandlePositions(); draw();
+      return;
+    }
+    const layer = parts[0]==='global' && parts.length===2 ? globalLayer : parts[0]==='shape' && parts.length===3 ? shapes.find(s=> s.id===parts[1]) : undefined;
+    if(layer===undefined && parts[0]==='shape' && parts.length===3) throw new Error(address + ': no shape "' + parts[1] + '"');
+    if(layer){
+      const prop = parts[parts.length-1];
+      let value;
+      if(prop==='visible' || prop==='locked') value = num(0)!==0;
+      else if(prop==='opacity') value = Math.min(1, Math.max(0, num(0)));
+      else if(prop==='blend'){
+        value = String(args[0]);
+        if(!Object.prototype.hasOwnProperty.call(BLEND_MODES, value)) throw new Error(address + ': blend must be one of ' + Object.keys(BLEND_MODES).join(', '));
+      } else throw new Error(address + ': unknown layer property "' + prop + '"');
+      remoteChange(address, ()=>{ layer[prop] = value; });
+      renderShapesUI(); renderOverlay(); updateShapeHandles(); updateHandlePositions(); draw();
+      return;
+    }
+    switch(parts.join('/')){
+      case 'scene/go': {
+        if(args[0]===undefined){ nextCue(); return; }
+        const index = typeof args[0]==='number' ? args[0] - 1 : scenes.findIndex(sc=> sc.name===String(args[0]));
+        if(!scenes[index]) throw new Error(address + ': no cue ' + JSON.stringify(args[0]));
+        goToCue(index);
+        return;
+      }
+      case 'scene/next': nextCue(); return;
+      case 'scene/back': previousCue(); return;
+      case 'undo': undo(); return;
+      case 'redo': redo(); return;
+      case 'videos/sync': syncAllVideos(); return;
+    }
+    throw new Error('unknown address ' + address);
+  }
+
+  function handleRemoteMessage(data){
+    if(typeof data!=='string') return;
+    try{
+      const text = data.trim();
+      let address, args;
+      if(text[0]==='{'){
+        const msg = JSON.parse(text);
+        address = String(msg.address); args = Array.isArray(msg.args) ? msg.args : [];
+      } else {
+        [address, ...args] = text.split(/\s+/);
+        args = args.map(a=> isFinite(Number(a)) ? Number(a) : a);
+      }
+      runRemoteCommand(address, args);
+    }catch(e){
+      remoteSend('/error', [e.message]);
+    }
+  }
+
+  function setRemoteStatus(text){
+    remoteStatusEl.textContent = text;
+    remoteConnectBtn.textContent = remoteSocket ? 'Disconnect' : 'Connect';
+  }
+
+  function connectRemote(){
+    clearTimeout(remoteRetry);
+    const url = remoteUrlInput.value.trim();
+    try{ localStorage.setItem(REMOTE_URL_KEY, url); }catch(e){}
+    let socket;
+    try{ socket = new WebSocket(url); }catch(e){ remoteSocket = null; setRemoteStatus('Invalid address: ' + e.message); return; }
+    remoteSocket = socket;
+    setRemoteStatus('Connecting to ' + url + '…');
+    socket.addEventListener('open', ()=>{
+      remoteSent.clear();
+      setRemoteStatus('Connected to ' + url);
+      sendRemoteChanges();
+    });
+    socket.addEventListener('message', e=> handleRemoteMessage(e.data));
+    socket.addEventListener('close', ()=>{
+      if(remoteSocket!==socket) return;
+      // keep trying: controllers and the bridge are often started after the app
+      setRemoteStatus('Not connected, retrying…');
+      remoteRetry = setTimeout(connectRemote, 2000);
+    });
+  }
+
+  function disconnectRemote(){
+    clearTimeout(remoteRetry);
+    const socket = remoteSocket;
+    remoteSocket = null;
+    if(socket) socket.close();
+    setRemoteStatus('Off');
+  }
+
+  try{ remoteUrlInput.value = localStorage.getItem(REMOTE_URL_KEY) || remoteUrlInput.value; }catch(e){}
+  remoteConnectBtn.addEventListener('click', ()=>{ if(remoteSocket) disconnectRemote(); else connectRemote(); });
+
   // initial layout
   function init(){
+    syncOutputControls();
     resizeCanvas();
+    if(isOutput){ initOutput(); return; }
     updateHandlePositions();
     // allow clicking on canvas to move nearest corner quickly
     canvas.addEventListener('pointerdown', e => {
       const rect = canvas.getBoundingClientRect();
       const x = (e.clientX - rect.left) / rect.width;
       const y = (e.clientY - rect.top) / rect.height;
+      if(drawingPolygon){ addDrawingVertex(x, y); return; }
+      // corner handles are hidden while a shape is selected; a background press only deselects then
+      if(selectedShapeId) return;
       // find nearest corner
       let best = 0, bestd = Infinity;
-      for(let i=0;i<4;i++){ const dx = corners[i].x - x, dy = corners[i].y - y; const d = dx*dx+dy*dy; if(d<bestd){bestd=d;best=i;} }
+      const pts = globalHandlePoints();
+      for(let i=0;i<pts.length;i++){ const dx = pts[i].x - x, dy = pts[i].y - y; const d = dx*dx+dy*dy; if(d<bestd){bestd=d;best=i;} }
       startDrag(best,e.clientX,e.clientY);
     });
     // clicking on empty canvas deselects shape
     canvas.addEventListener('pointerup', e=>{
+      if(drawingPolygon) return;
       // if pointer up without dragging a shape, keep selection as is
       // short click on background deselects
       const rect = canvas.getBoundingClientRect();
       const x = (e.clientX - rect.left) / rect.width; const y = (e.clientY - rect.top) / rect.height;
       // check if click landed on any shape (approx)
+      const w = canvas.width, h = canvas.height;
       const hit = shapes.some(s=>{
-        if(s.type==='circle'){ const dx=x-s.center.x, dy=y-s.center.y; return Math.sqrt(dx*dx+dy*dy) <= s.radius; }
+        if(s.type==='circle'){ const dx=(x-s.center.x)*w, dy=(y-s.center.y)*h; return Math.sqrt(dx*dx+dy*dy) <= s.radius*Math.min(w,h); }
+        if(s.type==='polygon') return pointInPolygon(flattenShape(s), x, y);
         return s.points.some(p=>{ const dx=p.x-x, dy=p.y-y; return dx*dx+dy*dy < 0.02*0.02; });
       });
-      if(!hit){ selectedShapeId = null; renderShapesUI(); renderOverlay(); updateShapeHandles(); }
+      if(!hit){ selectShape(null); renderShapesUI(); renderOverlay(); updateShapeHandles(); }
       if(!hit){ updateHandlePositions(); }
     });
-    window.addEventListener('pointermove', e => moveDrag(e.clientX,e.clientY));
+    window.addEventListener('pointermove', e => moveDrag(e.clientX,e.clientY,e.shiftKey));
     window.addEventListener('pointerup', endDrag);
+    window.addEventListener('keydown', e=>{
+      if(!drawingPolygon) return;
+      if(e.key==='Enter'){ e.preventDefault(); finishPolygonDrawing(); }
+      else if(e.key==='Escape'){ e.preventDefault(); cancelPolygonDrawing(); }
+    });
+    canvas.addEventListener('dblclick', ()=>{ if(drawingPolygon) finishPolygonDrawing(); });
+    refreshProjectorUI();
+    updateHistoryButtons();
+    renderCueList();
+    renderAudioTransport();
+    initEditorChannel();
+    initProjectLibrary();
   }
 
   init();
@@ -0,0 +1,386 @@
+/* Photo calibration: finds a projected calibration pattern in a photo taken from the projector's point of view.
+   - detectCheckerboard: the inner corners of a checkerboard (the Checkerboard test pattern), organised into a
+     grid and extended to the pattern's outer edge
+   - detectQuad: the four corners of the largest bright region (the Solid white or Grid pattern)
+   Plain functions of ImageData-like {width, height, data (RGBA bytes)} returning photo pixels, so they run in the
+   page (window.photoCalibration) and in Node against photo fixtures (require('./calibration.js')).
+*/
+(function(root){
+  'use strict';
+
+  // Image basics ---------------------------------------------------------------------
+
+  // luminance 0..255, box-blurred (radius 1) to take out sensor noise
+  function grayscale(img){
+    const {width: w, height: h, data} = img;
+    const g = new Float32Array(w*h);
+    for(let k=0;k<w*h;k++) g[k] = 0.299*data[4*k] + 0.587*data[4*k+1] + 0.114*data[4*k+2];
+    return boxBlur(g, w, h, 1);
+  }
+
+  function boxBlur(src, w, h, r){
+    const tmp = new Float32Array(w*h), out = new Float32Array(w*h);
+    for(let y=0;y<h;y++){
+      for(let x=0;x<w;x++){
+        let s = 0, n = 0;
+        for(let k=Math.max(0, x-r); k<=Math.min(w-1, x+r); k++){ s += src[y*w+k]; n++; }
+        tmp[y*w+x] = s/n;
+      }
+    }
+    for(let y=0;y<h;y++){
+      for(let x=0;x<w;x++){
+        let s = 0, n = 0;
+        for(let k=Math.max(0, y-r); k<=Math.min(h-1, y+r); k++){ s += tmp[k*w+x]; n++; }
+        out[y*w+x] = s/n;
+      }
+    }
+    return out;
+  }
+
+  // Otsu's threshold between the dark and the lit parts of the photo, and the difference of their means
+  function otsu(g){
+    const hist = new Float64Array(256);
+    for(let k=0;k<g.length;k++) hist[Math.max(0, Math.min(255, Math.round(g[k])))]++;
+    let sum = 0;
+    for(let i=0;i<256;i++) sum += i*hist[i];
+    let wB = 0, sumB = 0, best = -1, threshold = 128, contrast = 0;
+    for(let t=0;t<256;t++){
+      wB += hist[t];
+      if(!wB) continue;
+      const wF = g.length - wB;
+      if(!wF) break;
+      sumB += t*hist[t];
+      const mB = sumB/wB, mF = (sum - sumB)/wF;
+      const between = wB*wF*(mF - mB)*(mF - mB);
+      if(between > best){ best = between; threshold = t + 0.5; contrast = mF - mB; }
+    }
+    return {threshold, contrast};
+  }
+
+  // bilinear sample, clamped to the image
+  function sample(g, w, h, x, y){
+    x = Math.max(0, Math.min(w-1.001, x)); y = Math.max(0, Math.min(h-1.001, y));
+    const i = Math.floor(x), j = Math.floor(y), fx = x-i, fy = y-j, k = j*w+i;
+    return (g[k]*(1-fx) + g[k+1]*fx)*(1-fy) + (g[k+w]*(1-fx) + g[k+w+1]*fx)*fy;
+  }
+
+  // Checkerboard ---------------------------------------------------------------------
+  // X-corners (where four cells meet) are found with the ChESS response: on a ring of 16 samples around an
+  // X-corner, opposite samples match and samples a quarter turn apart differ. The corners are then grown into a
+  // grid from the one nearest the middle, each step predicted from the spacing of the neighbours already found,
+  // which follows perspective and curved surfaces. The outer ring of the pattern has no X-corners, so the grid is
+  // extended outwards to where the pattern's edge cells end (partial cells included).
+  const MIN_CONTRAST = 40;
+
+  function chessCorners(g, w, h){
+    const r = Math.max(4, Math.round(Math.min(w, h) / 80));
+    const ring = [];
+    for(let n=0;n<16;n++){ const a = n/16*2*Math.PI; ring.push([r*Math.cos(a), r*Math.sin(a)]); }
+    const response = new Float32Array(w*h);
+    let max = 0;
+    const I = new Float32Array(16);
+    for(let y=r+1;y<h-r-1;y++){
+      for(let x=r+1;x<w-r-1;x++){
+        let mean = 0;
+        for(let n=0;n<16;n++){ I[n] = sample(g, w, h, x + ring[n][0], y + ring[n][1]); mean += I[n]; }
+        let sr = 0, dr = 0;
+        for(let n=0;n<4;n++) sr += Math.abs(I[n] + I[n+8] - I[n+4] - I[n+12]);
+        for(let n=0;n<8;n++) dr += Math.abs(I[n] - I[n+8]);
+        const k = y*w + x;
+        const local = (g[k] + g[k-1] + g[k+1] + g[k-w] + g[k+w]) / 5;
+        const v = sr - dr - 16*Math.abs(mean/16 - local);
+        response[k] = v;
+        if(v > max) max = v;
+      }
+    }
+    if(max <= 8*MIN_CONTRAST) return [];
+    // local maxima above a fifth of the strongest, refined to the centroid of the response around them
+    const points = [];
+    for(let y=r+1;y<h-r-1;y++){
+      for(let x=r+1;x<w-r-1;x++){
+        const v = response[y*w+x];
+        if(v < max/5) continue;
+        let peak = true;
+        for(let dy=-r;dy<=r && peak;dy++) for(let dx=-r;dx<=r;dx++){
+          const o = response[(y+dy)*w + x+dx];
+          if(o > v || (o===v && (dy<0 || (dy===0 && dx<0)))){ peak = false; break; }
+        }
+        if(!peak) continue;
+        let sx = 0, sy = 0, sw = 0;
+        for(let dy=-1;dy<=1;dy++) for(let dx=-1;dx<=1;dx++){
+          const o = Math.max(0, response[(y+dy)*w + x+dx]);
+          sx += o*(x+dx); sy += o*(y+dy); sw += o;
+        }
+        points.push({x: sx/sw, y: sy/sw});
+      }
+    }
+    return points;
+  }
+
+  const sub = (a,b)=> ({x: a.x-b.x, y: a.y-b.y});
+  const add = (a,b)=> ({x: a.x+b.x, y: a.y+b.y});
+  const scale = (a,k)=> ({x: a.x*k, y: a.y*k});
+  const len = a=> Math.hypot(a.x, a.y);
+
+  // points on a regular lattice as {cols, rows, points} (row-major, columns left to right, rows top down) or null
+  function growGrid(points){
+    if(points.length < 4) return null;
+    const centre = scale(points.reduce(add, {x:0, y:0}), 1/points.length);
+    const start = points.reduce((a,p)=> len(sub(p, centre)) < len(sub(a, centre)) ? p : a);
+    const near = points.filter(p=> p!==start).sort((a,b)=> len(sub(a, start)) - len(sub(b, start)));
+    const a = sub(near[0], start);
+    const second = near.slice(1, 8).find(p=>{ const b = sub(p, start); return Math.abs((a.x*b.x + a.y*b.y) / len(a) / len(b)) < 0.5; });
+    if(!second) return null;
+    const b = sub(second, start);
+    const found = new Map(), used = new Set();
+    const key = (i,j)=> i + ',' + j;
+    const pos = (i,j)=> found.get(key(i,j));
+    found.set(key(0,0), start); used.add(start);
+    const queue = [[0,0]];
+    while(queue.length){
+      const [i, j] = queue.shift();
+      const p = pos(i,j);
+      for(const [di, dj] of [[1,0],[-1,0],[0,1],[0,-1]]){
+        if(found.has(key(i+di, j+dj))) continue;
+        // the step in this direction: from the point behind, the same step next door, or the starting basis
+        const back = pos(i-di, j-dj);
+        const side = [[dj, di], [-dj, -di]].map(([si, sj])=> pos(i+si, j+sj) && pos(i+si+di, j+sj+dj) && sub(pos(i+si+di, j+sj+dj), pos(i+si, j+sj))).find(Boolean);
+        const step = back ? sub(p, back) : side || (di ? scale(a, di) : scale(b, dj));
+        const target = add(p, step);
+        let best = null, bestD = 0.3 * len(step);
+        points.forEach(q=>{ if(!used.has(q)){ const d = len(sub(q, target)); if(d < bestD){ best = q; bestD = d; } } });
+        if(!best) continue;
+        found.set(key(i+di, j+dj), best); used.add(best);
+        queue.push([i+di, j+dj]);
+      }
+    }
+    // the largest complete rectangle: drop the border line missing the most points until none are missing
+    const ij = Array.from(found.keys()).map(k=> k.split(',').map(Number));
+    let i0 = Math.min(...ij.map(c=>c[0])), i1 = Math.max(...ij.map(c=>c[0]));
+    let j0 = Math.min(...ij.map(c=>c[1])), j1 = Math.max(...ij.map(c=>c[1]));
+    const missing = (ia, ib, ja, jb)=>{ let n = 0; for(let j=ja;j<=jb;j++) for(let i=ia;i<=ib;i++) if(!found.has(key(i,j))) n++; return n; };
+    while(i1 > i0 && j1 > j0 && missing(i0, i1, j0, j1)){
+      const sides = [[missing(i0, i0, j0, j1), 0], [missing(i1, i1, j0, j1), 1], [missing(i0, i1, j0, j0), 2], [missing(i0, i1, j1, j1), 3]];
+      const worst = sides.reduce((x,y)=> y[0] > x[0] ? y : x)[1];
+      if(worst===0) i0++; else if(worst===1) i1--; else if(worst===2) j0++; else j1--;
+    }
+    if(i1 - i0 < 1 || j1 - j0 < 1) return null;
+    let cols = i1 - i0 + 1, rows = j1 - j0 + 1;
+    let at = (i,j)=> pos(i0+i, j0+j);
+    // columns should run along x and rows down y
+    const across = sub(at(cols-1, 0), at(0, 0));
+    if(Math.abs(across.x) < Math.abs(across.y)){ const f = at; at = (i,j)=> f(j,i); [cols, rows] = [rows, cols]; }
+    if(at(cols-1, 0).x < at(0, 0).x){ const f = at; at = (i,j)=> f(cols-1-i, j); }
+    if(at(0, rows-1).y < at(0, 0).y){ const f = at; at = (i,j)=> f(i, rows-1-j); }
+    const out = [];
+    for(let j=0;j<rows;j++) for(let i=0;i<cols;i++) out.push(at(i,j));
+    return {cols, rows, points: out};
+  }
+
+  // True when the cells between the grid points alternate between dark and lit like a checkerboard
+  function alternates(g, w, h, grid, threshold){
+    const {cols, rows, points} = grid;
+    let agree = 0, total = 0;
+    const lit = (i,j)=>{ const c = scale([points[j*cols+i], points[j*cols+i+1], points[(j+1)*cols+i], points[(j+1)*cols+i+1]].reduce(add), 1/4); return sample(g, w, h, c.x, c.y) > threshold; };
+    const first = lit(0, 0);
+    for(let j=0;j<rows-1;j++) for(let i=0;i<cols-1;i++){ total++; if(lit(i,j)===((i+j)%2===0 ? first : !first)) agree++; }
+    return agree >= 0.8*total;
+  }
+
+  // How far the pattern reaches past the last line of corners, in cells: measured through the lit cells of that
+  // border, where the brightness drops; a whole cell when no lit cell says otherwise
+  function borderExtent(g, w, h, line, inner, threshold){
+    const extents = [];
+    for(let k=0;k+1<line.length;k++){
+      const from = scale(add(line[k], line[k+1]), 1/2);
+      const dir = scale(add(sub(line[k], inner[k]), sub(line[k+1], inner[k+1])), 1/2);
+      const at = t=> sample(g, w, h, from.x + dir.x*t, from.y + dir.y*t);
+      if(at(0.25) <= threshold) continue;
+      for(let t=0.25;t<=1.5;t+=0.02){
+        if(at(t) < threshold){ extents.push(t); break; }
+      }
+    }
+    if(!extents.length) return 1;
+    extents.sort((a,b)=> a-b);
+    return extents[Math.floor(extents.length/2)];
+  }
+
+  // {corners: [tl, tr, br, bl], grid: {cols, rows, points} spanning the whole pattern, inner: {cols, rows}} or null
+  function detectCheckerboard(img){
+    const {width: w, height: h} = img;
+    const g = grayscale(img);
+    const {threshold, contrast} = otsu(g);
+    if(contrast < MIN_CONTRAST) return null;
+    const inner = growGrid(chessCorners(g, w, h));
+    if(!inner || inner.cols * inner.rows < 4 || !alternates(g, w, h, inner, threshold)) return null;
+    const {cols, rows, points} = inner;
+    const at = (i,j)=> points[j*cols+i];
+    const column = i=> Array.from({length: rows}, (_, j)=> at(i, j));
+    const row = j=> Array.from({length: cols}, (_, i)=> at(i, j));
+    const extent = {
+      left: cols>1 ? borderExtent(g, w, h, column(0), column(1), threshold) : 1,
+      right: cols>1 ? borderExtent(g, w, h, column(cols-1), column(cols-2), threshold) : 1,
+      top: rows>1 ? borderExtent(g, w, h, row(0), row(1), threshold) : 1,
+      bottom: rows>1 ? borderExtent(g, w, h, row(rows-1), row(rows-2), threshold) : 1
+    };
+    // extend each row to the left and right edge, then each of the extended columns to the top and bottom edge
+    const outward = (last, prev, t)=> add(last, scale(sub(last, prev), t));
+    const wide = [];
+    for(let j=0;j<rows;j++){
+      const r = row(j);
+      wide.push([outward(r[0], r[1], extent.left)].concat(r, [outward(r[cols-1], r[cols-2], extent.right)]));
+    }
+    const full = [];
+    full.push(wide[0].map((p,i)=> outward(p, wide[1][i], extent.top)));
+    wide.forEach(r=> full.push(r));
+    full.push(wide[rows-1].map((p,i)=> outward(p, wide[rows-2][i], extent.bottom)));
+    const gc = cols + 2, gr = rows + 2;
+    const gridPoints = [].concat(...full);
+    const corners = [gridPoints[0], gridPoints[gc-1], gridPoints[gc*gr-1], gridPoints[gc*(gr-1)]];
+    return {corners, grid: {cols: gc, rows: gr, points: gridPoints}, inner: {cols, rows}};
+  }
+
+  // Bright quad ----------------------------------------------------------------------
+  // The largest lit region with its holes filled (the Grid pattern is lines around dark cells), reduced to the
+  // quadrilateral of largest area on its convex hull. Each side is then refitted to the boundary pixels along it
+  // and neighbouring sides intersected, so rounded or blurred corners don't pull the result inwards.
+
+  function largestRegion(mask, w, h){
+    const label = new Int32Array(w*h);
+    const stack = new Int32Array(w*h);
+    let best = 0, bestSize = 0, next = 1;
+    for(let s=0;s<w*h;s++){
+      if(!mask[s] || label[s]) continue;
+      let top = 0, size = 0;
+      stack[top++] = s; label[s] = next;
+      while(top){
+        const k = stack[--top], x = k % w, y = (k - x) / w;
+        size++;
+        for(let dy=-1;dy<=1;dy++) for(let dx=-1;dx<=1;dx++){
+          const xx = x+dx, yy = y+dy;
+          if(xx<0 || yy<0 || xx>=w || yy>=h) continue;
+          const n = yy*w + xx;
+          if(mask[n] && !label[n]){ label[n] = next; stack[top++] = n; }
+        }
+      }
+      if(size > bestSize){ bestSize = size; best = next; }
+      next++;
+    }
+    // fill holes: everything not reachable from the image border without crossing the region
+    const outside = new Uint8Array(w*h);
+    let top = 0;
+    const push = k=>{ if(label[k]!==best && !outside[k]){ outside[k] = 1; stack[top++] = k; } };
+    for(let x=0;x<w;x++){ push(x); push((h-1)*w + x); }
+    for(let y=0;y<h;y++){ push(y*w); push(y*w + w-1); }
+    while(top){
+      const k = stack[--top], x = k % w, y = (k - x) / w;
+      if(x>0) push(k-1);
+      if(x<w-1) push(k+1);
+      if(y>0) push(k-w);
+      if(y<h-1) push(k+w);
+    }
+    const region = new Uint8Array(w*h);
+    let area = 0;
+    for(let k=0;k<w*h;k++) if(!outside[k]){ region[k] = 1; area++; }
+    return {region, area};
+  }
+
+  function convexHull(points){
+    const p = points.slice().sort((a,b)=> a.x - b.x || a.y - b.y);
+    const cross = (o,a,b)=> (a.x-o.x)*(b.y-o.y) - (a.y-o.y)*(b.x-o.x);
+    const lower = [], upper = [];
+    p.forEach(q=>{ while(lower.length>=2 && cross(lower[lower.length-2], lower[lower.length-1], q) <= 0) lower.pop(); lower.push(q); });
+    for(let k=p.length-1;k>=0;k--){ const q = p[k]; while(upper.length>=2 && cross(upper[upper.length-2], upper[upper.length-1], q) <= 0) upper.pop(); upper.push(q); }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+
+  // four hull points enclosing the most area, in hull order
+  function largestQuad(hull){
+    let h = hull;
+    if(h.length > 120){ const step = h.length / 120; h = Array.from({length: 120}, (_, k)=> hull[Math.floor(k*step)]); }
+    const n = h.length;
+    const area = (a,b,c)=> Math.abs((b.x-a.x)*(c.y-a.y) - (b.y-a.y)*(c.x-a.x)) / 2;
+    let best = null, bestArea = 0;
+    for(let i=0;i<n;i++){
+      for(let k=i+2;k<n;k++){
+        let b1 = 0, j1 = -1, b2 = 0, j2 = -1;
+        for(let j=i+1;j<k;j++){ const a = area(h[i], h[j], h[k]); if(a > b1){ b1 = a; j1 = j; } }
+        for(let j=k+1;j<n+i;j++){ const a = area(h[i], h[k], h[j % n]); if(a > b2){ b2 = a; j2 = j % n; } }
+        if(j1>=0 && j2>=0 && b1 + b2 > bestArea){ bestArea = b1 + b2; best = [h[i], h[j1], h[k], h[j2]]; }
+      }
+    }
+    return best;
+  }
+
+  // total least squares line through points: {p: a point on it, d: unit direction}
+  function fitLine(points){
+    const c = scale(points.reduce(add, {x:0, y:0}), 1/points.length);
+    let sxx = 0, sxy = 0, syy = 0;
+    points.forEach(p=>{ const dx = p.x-c.x, dy = p.y-c.y; sxx += dx*dx; sxy += dx*dy; syy += dy*dy; });
+    const angle = Math.atan2(2*sxy, sxx - syy) / 2;
+    return {p: c, d: {x: Math.cos(angle), y: Math.sin(angle)}};
+  }
+
+  function intersect(l1, l2){
+    const det = l1.d.x*l2.d.y - l1.d.y*l2.d.x;
+    if(Math.abs(det) < 1e-9) return null;
+    const t = ((l2.p.x-l1.p.x)*l2.d.y - (l2.p.y-l1.p.y)*l2.d.x) / det;
+    return add(l1.p, scale(l1.d, t));
+  }
+
+  // {corners: [tl, tr, br, bl], area: fraction of the photo} or null
+  function detectQuad(img){
+    const {width: w, height: h} = img;
+    const g = grayscale(img);
+    const {threshold, contrast} = otsu(g);
+    if(contrast < MIN_CONTRAST) return null;
+    const mask = new Uint8Array(w*h);
+    for(let k=0;k<w*h;k++) mask[k] = g[k] > threshold ? 1 : 0;
+    const {region, area} = largestRegion(mask, w, h);
+    if(area < 0.02*w*h || area > 0.995*w*h) return null;
+    // boundary pixels (pixel centres) of the region
+    const boundary = [];
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const k = y*w + x;
+      if(region[k] && (x===0 || y===0 || x===w-1 || y===h-1 || !region[k-1] || !region[k+1] || !region[k-w] || !region[k+w])) boundary.push({x, y});
+    }
+    const quad = largestQuad(convexHull(boundary));
+    if(!quad) return null;
+    // refit each side to the boundary pixels near its middle stretch
+    const tolerance = Math.max(2, 0.01*Math.hypot(w, h));
+    const lines = quad.map((a,i)=>{
+      const b = quad[(i+1)%4], d = sub(b, a), l = len(d);
+      const near = boundary.filter(p=>{
+        const t = ((p.x-a.x)*d.x + (p.y-a.y)*d.y) / (l*l);
+        return t > 0.1 && t < 0.9 && Math.abs((p.x-a.x)*d.y - (p.y-a.y)*d.x) / l < tolerance;
+      });
+      return near.length >= 8 ? fitLine(near) : {p: a, d: scale(d, 1/l)};
+    });
+    let corners = quad.map((q,i)=> intersect(lines[(i+3)%4], lines[i]) || q);
+    // pixel centres sit half a pixel inside the lit edge
+    const centre = scale(corners.reduce(add, {x:0, y:0}), 1/4);
+    corners = corners.map(p=>{ const d = sub(p, centre), l = len(d) || 1; return add(p, scale(d, 0.5*Math.SQRT2/l)); });
+    return {corners: orderCorners(corners), area: area / (w*h)};
+  }
+
+  // tl, tr, br, bl: clockwise on screen, starting from the corner nearest the top left
+  function orderCorners(points){
+    const c = scale(points.reduce(add, {x:0, y:0}), 1/points.length);
+    const sorted = points.slice().sort((a,b)=> Math.atan2(a.y-c.y, a.x-c.x) - Math.atan2(b.y-c.y, b.x-c.x));
+    const first = sorted.reduce((best, p, i)=> p.x + p.y < sorted[best].x + sorted[best].y ? i : best, 0);
+    return sorted.slice(first).concat(sorted.slice(0, first));
+  }
+
+  // Either pattern ---------------------------------------------------------------------
+  // {kind: 'checkerboard' | 'quad', corners, grid?, inner?} in photo pixels, or null when neither is found
+  function detectCalibration(img){
+    const board = detectCheckerboard(img);
+    if(board) return Object.assign({kind: 'checkerboard'}, board);
+    const quad = detectQuad(img);
+    return quad ? {kind: 'quad', corners: quad.corners} : null;
+  }
+
+  const api = {detectCalibration, detectCheckerboard, detectQuad};
+  if(typeof module!=='undefined' && module.exports) module.exports = api;
+  else root.photoCalibration = api;
+})(this);
@@ -0,0 +1,118 @@
+// Regression checks for the photo calibration detector (calibration.js) on synthetic photos: a test pattern
+// is rendered through a known perspective warp onto a dim, slightly noisy background, and the proposed corners
+// (and checkerboard grid) are compared with the warp. Run with Node 18 or later:
+//   node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const {detectCalibration} = require('../calibration.js');
+
+// square-to-quad homography for corners [tl, tr, br, bl], as forward and inverse point maps
+function homography(quad){
+  const [p0, p1, p2, p3] = quad;
+  const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+  const sx = p0.x - p1.x + p2.x - p3.x, sy = p0.y - p1.y + p2.y - p3.y;
+  const den = dx1*dy2 - dx2*dy1;
+  const g = (sx*dy2 - dx2*sy) / den, h = (dx1*sy - sx*dy1) / den;
+  const a = p1.x - p0.x + g*p1.x, b = p3.x - p0.x + h*p3.x, c = p0.x;
+  const d = p1.y - p0.y + g*p1.y, e = p3.y - p0.y + h*p3.y, f = p0.y;
+  // adjugate of [[a,b,c],[d,e,f],[g,h,1]]
+  const inv = [e - f*h, c*h - b, b*f - c*e, f*g - d, a - c*g, c*d - a*f, d*h - e*g, b*g - a*h, a*e - b*d];
+  return {
+    forward(u, v){ const z = g*u + h*v + 1; return {x: (a*u + b*v + c) / z, y: (d*u + e*v + f) / z}; },
+    inverse(x, y){ const z = inv[6]*x + inv[7]*y + inv[8]; return {u: (inv[0]*x + inv[1]*y + inv[2]) / z, v: (inv[3]*x + inv[4]*y + inv[5]) / z}; }
+  };
+}
+
+// ImageData-like photo of pattern(u, v) -> 0..1 projected onto quad, 3x3 supersampled
+function photo(width, height, quad, pattern){
+  const warp = homography(quad);
+  const data = new Uint8ClampedArray(width * height * 4);
+  let seed = 1;
+  const noise = ()=> (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+  const ss = 3;
+  for(let y=0;y<height;y++){
+    for(let x=0;x<width;x++){
+      let sum = 0;
+      for(let j=0;j<ss;j++){
+        for(let i=0;i<ss;i++){
+          const {u, v} = warp.inverse(x + (i + 0.5)/ss, y + (j + 0.5)/ss);
+          sum += u>=0 && u<=1 && v>=0 && v<=1 ? pattern(u, v) : 0.08;
+        }
+      }
+      const value = 20 + 200 * sum / (ss*ss) + noise() * 12;
+      const k = 4 * (y*width + x);
+      data[k] = value; data[k+1] = value * 0.95; data[k+2] = value * 1.05; data[k+3] = 255;
+    }
+  }
+  return {width, height, data};
+}
+
+// the app's checker pattern on a 16:9 output: square cells, columns across the width
+const checker = columns=> (u, v)=> (Math.floor(u * columns) + Math.floor(v * columns * 9/16)) % 2===0 ? 1 : 0;
+
+const quad = [{x:90, y:60}, {x:560, y:40}, {x:600, y:320}, {x:70, y:300}];
+
+// corners [tl, tr, br, bl] of a w x h rectangle centred on (cx, cy) and turned clockwise by degrees
+function rotated(cx, cy, w, h, degrees){
+  const a = degrees * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+  return [[-1,-1], [1,-1], [1,1], [-1,1]].map(([sx, sy])=> ({x: cx + cos*sx*w/2 - sin*sy*h/2, y: cy + sin*sx*w/2 + cos*sy*h/2}));
+}
+
+function maxCornerError(found, expected){
+  return Math.max(...found.map((p,i)=> Math.hypot(p.x - expected[i].x, p.y - expected[i].y)));
+}
+
+test('a checkerboard photo proposes the corners and the inner grid', ()=>{
+  const result = detectCalibration(photo(640, 360, quad, checker(8)));
+  assert.ok(result, 'nothing detected');
+  assert.strictEqual(result.kind, 'checkerboard');
+  assert.ok(maxCornerError(result.corners, quad) < 2.5, 'corners off by ' + maxCornerError(result.corners, quad).toFixed(2) + 'px');
+  const warp = homography(quad);
+  const {cols, rows, points} = result.grid;
+  for(let j=0;j<rows;j++){
+    for(let i=0;i<cols;i++){
+      const expected = warp.forward(Math.min(1, i/8), Math.min(1, j * 16/9 / 8));
+      const p = points[j*cols + i];
+      assert.ok(Math.hypot(p.x - expected.x, p.y - expected.y) < 2.5, 'grid point ' + i + ',' + j + ' is off');
+    }
+  }
+});
+
+test('a checkerboard photographed at an angle or turned proposes the corners', ()=>{
+  const skewed = [{x:150, y:40}, {x:500, y:90}, {x:560, y:330}, {x:60, y:280}];
+  [skewed, rotated(320, 180, 380, 214, 30)].forEach(q=>{
+    const result = detectCalibration(photo(640, 360, q, checker(8)));
+    assert.ok(result, 'nothing detected');
+    assert.strictEqual(result.kind, 'checkerboard');
+    assert.ok(maxCornerError(result.corners, q) < 2.5, 'corners off by ' + maxCornerError(result.corners, q).toFixed(2) + 'px');
+  });
+});
+
+test('a low-contrast checkerboard photo proposes the corners', ()=>{
+  // cells at 30% and 60% of full brightness instead of 0% and 100%
+  const faint = (u, v)=> checker(8)(u, v) ? 0.6 : 0.3;
+  const result = detectCalibration(photo(640, 360, quad, faint));
+  assert.ok(result, 'nothing detected');
+  assert.strictEqual(result.kind, 'checkerboard');
+  assert.ok(maxCornerError(result.corners, quad) < 2.5, 'corners off by ' + maxCornerError(result.corners, quad).toFixed(2) + 'px');
+});
+
+test('a white frame photo proposes the corners', ()=>{
+  const result = detectCalibration(photo(640, 360, quad, ()=> 1));
+  assert.ok(result, 'nothing detected');
+  assert.strictEqual(result.kind, 'quad');
+  assert.ok(maxCornerError(result.corners, quad) < 1.5, 'corners off by ' + maxCornerError(result.corners, quad).toFixed(2) + 'px');
+});
+
+test('a dim white frame photo proposes the corners', ()=>{
+  const result = detectCalibration(photo(640, 360, quad, ()=> 0.3));
+  assert.ok(result, 'nothing detected');
+  assert.strictEqual(result.kind, 'quad');
+  assert.ok(maxCornerError(result.corners, quad) < 1.5, 'corners off by ' + maxCornerError(result.corners, quad).toFixed(2) + 'px');
+});
+
+test('a photo without a pattern proposes nothing', ()=>{
+  const blank = {width: 200, height: 100, data: new Uint8ClampedArray(200 * 100 * 4).fill(128)};
+  assert.strictEqual(detectCalibration(blank), null);
+});
@@ -0,0 +1,43 @@
+// Round trips through the OSC encoding of the remote control bridge (tools/osc-bridge.js). Run with Node 18 or
+// later:
+//   node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const {decodePacket, encodeMessage} = require('../tools/osc-bridge.js');
+
+// '#bundle', a time tag and each packet with its size in front
+function bundle(packets){
+  const parts = [Buffer.from('#bundle\0', 'latin1'), Buffer.alloc(8)];
+  packets.forEach(p=>{ const size = Buffer.alloc(4); size.writeInt32BE(p.length); parts.push(size, p); });
+  return Buffer.concat(parts);
+}
+
+test('a message decodes to the address and arguments it was encoded with', ()=>{
+  const packet = encodeMessage('/shape/s3/opacity', [0.1, 7, -2, 'Scene 2', true, false]);
+  assert.strictEqual(packet.length % 4, 0);
+  assert.deepStrictEqual(decodePacket(packet), [{address: '/shape/s3/opacity', args: [0.1, 7, -2, 'Scene 2', 1, 0]}]);
+});
+
+test('a message without arguments and one with a string of padding length round-trip', ()=>{
+  assert.deepStrictEqual(decodePacket(encodeMessage('/scene/next', [])), [{address: '/scene/next', args: []}]);
+  assert.deepStrictEqual(decodePacket(encodeMessage('/scene/go', ['abc', 'abcd', 'é'])), [{address: '/scene/go', args: ['abc', 'abcd', 'é']}]);
+});
+
+test('a bundle is flattened into its messages', ()=>{
+  const packet = bundle([encodeMessage('/corners/0', [0.25, 0.5]), encodeMessage('/undo', [])]);
+  assert.deepStrictEqual(decodePacket(packet), [{address: '/corners/0', args: [0.25, 0.5]}, {address: '/undo', args: []}]);
+});
+
+test('a bundle element that runs past the end of the packet is rejected', ()=>{
+  const message = encodeMessage('/undo', []);
+  const packet = bundle([message]);
+  assert.throws(()=> decodePacket(packet.subarray(0, packet.length - 4)), /past the end/);
+  packet.writeInt32BE(-8, 16);
+  assert.throws(()=> decodePacket(packet), /past the end/);
+});
+
+test('data that is not an OSC message is rejected', ()=>{
+  assert.throws(()=> decodePacket(Buffer.from('hello\0\0\0', 'latin1')), /not an OSC message/);
+  assert.throws(()=> decodePacket(Buffer.from('/unterminated', 'latin1')), /unterminated string/);
+});
@@ -0,0 +1,200 @@
+// OSC <-> WebSocket bridge for the app's remote control (see "Remote control" in app.js). OSC messages arriving
+// over UDP are forwarded to every connected app as JSON {address, args}; messages from the app go out as OSC to
+// --send host:port, or when that is not given to whoever sent the last OSC packet. Only Node built-ins are used.
+//   node tools/osc-bridge.js [--ws-port 9000] [--osc-port 9001] [--send host:port] [--host 127.0.0.1]
+// --host is the address both sockets listen on; use 0.0.0.0 to accept OSC from other machines (tablets).
+'use strict';
+const dgram = require('dgram');
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseOptions(argv){
+  const opts = {wsPort: 9000, oscPort: 9001, host: '127.0.0.1', send: null};
+  for(let i=0;i<argv.length;i++){
+    const value = argv[i+1];
+    switch(argv[i]){
+      case '--ws-port': opts.wsPort = Number(value); i++; break;
+      case '--osc-port': opts.oscPort = Number(value); i++; break;
+      case '--host': opts.host = value; i++; break;
+      case '--send': {
+        const m = /^(.+):(\d+)$/.exec(value || '');
+        if(!m) throw new Error('--send must be host:port');
+        opts.send = {address: m[1], port: Number(m[2])};
+        i++; break;
+      }
+      default: throw new Error('unknown option ' + argv[i]);
+    }
+  }
+  for(const k of ['wsPort','oscPort']) if(!Number.isInteger(opts[k]) || opts[k]<1 || opts[k]>65535) throw new Error('ports must be whole numbers from 1 to 65535');
+  return opts;
+}
+
+// OSC encoding ---------------------------------------------------------------------
+// Strings are NUL-terminated and padded to 4 bytes. Incoming ints, floats, doubles and 64-bit ints become numbers,
+// T/F become 1/0 (the app's booleans are 0|1); bundles are flattened into their messages.
+function readString(buf, offset){
+  let end = offset;
+  while(end < buf.length && buf[end]!==0) end++;
+  if(end >= buf.length) throw new Error('unterminated string');
+  return {value: buf.toString('utf8', offset, end), next: (end + 4) & ~3};
+}
+
+function decodePacket(buf){
+  if(buf.length >= 16 && buf.toString('latin1', 0, 8)==='#bundle\0'){
+    const messages = [];
+    let o = 16; // '#bundle' and the time tag, which is ignored: everything runs on arrival
+    while(o + 4 <= buf.length){
+      const size = buf.readInt32BE(o);
+      if(size < 0 || o + 4 + size > buf.length) throw new Error('bundle element runs past the end of the packet');
+      messages.push(...decodePacket(buf.subarray(o + 4, o + 4 + size)));
+      o += 4 + size;
+    }
+    return messages;
+  }
+  const address = readString(buf, 0);
+  if(address.value[0]!=='/') throw new Error('not an OSC message');
+  const args = [];
+  if(address.next >= buf.length) return [{address: address.value, args}];
+  const tags = readString(buf, address.next);
+  let o = tags.next;
+  for(const tag of tags.value.slice(1)){
+    switch(tag){
+      case 'i': args.push(buf.readInt32BE(o)); o += 4; break;
+      // single precision: drop the noise digits so 0.1 arrives as 0.1
+      case 'f': args.push(Number(buf.readFloatBE(o).toPrecision(7))); o += 4; break;
+      case 'd': args.push(buf.readDoubleBE(o)); o += 8; break;
+      case 'h': args.push(Number(buf.readBigInt64BE(o))); o += 8; break;
+      case 's': case 'S': { const s = readString(buf, o); args.push(s.value); o = s.next; break; }
+      case 'T': args.push(1); break;
+      case 'F': args.push(0); break;
+      case 'N': case 'I': break;
+      default: throw new Error('unsupported type tag "' + tag + '"');
+    }
+  }
+  return [{address: address.value, args}];
+}
+
+function oscString(s){
+  const b = Buffer.from(s + '\0', 'utf8');
+  return Buffer.concat([b, Buffer.alloc((4 - b.length % 4) % 4)]);
+}
+
+function encodeMessage(address, args){
+  let tags = ',';
+  const data = [];
+  args.forEach(a=>{
+    if(typeof a==='number' && Number.isInteger(a) && Math.abs(a) < 2**31){ tags += 'i'; const b = Buffer.alloc(4); b.writeInt32BE(a); data.push(b); }
+    else if(typeof a==='number'){ tags += 'f'; const b = Buffer.alloc(4); b.writeFloatBE(a); data.push(b); }
+    else if(typeof a==='boolean') tags += a ? 'T' : 'F';
+    else { tags += 's'; data.push(oscString(String(a))); }
+  });
+  return Buffer.concat([oscString(address), oscString(tags)].concat(data));
+}
+
+// WebSocket server -----------------------------------------------------------------
+// Just enough of RFC 6455 for the app: text messages (possibly fragmented), ping and close. A frame or message
+// longer than MAX_MESSAGE (the app's are a few hundred bytes) closes the connection with 1009 (message too big).
+const MAX_MESSAGE = 1024 * 1024;
+
+function sendFrame(socket, opcode, payload){
+  const len = payload.length;
+  let head;
+  if(len < 126) head = Buffer.from([0x80 | opcode, len]);
+  else if(len < 65536){ head = Buffer.alloc(4); head[0] = 0x80 | opcode; head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head = Buffer.alloc(10); head[0] = 0x80 | opcode; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  socket.write(Buffer.concat([head, payload]));
+}
+
+function readFrames(client, onText){
+  for(;;){
+    const buf = client.buffer;
+    if(buf.length < 2) return;
+    const fin = buf[0] & 0x80, opcode = buf[0] & 0x0f, masked = buf[1] & 0x80;
+    let len = buf[1] & 0x7f, o = 2;
+    if(len===126){ if(buf.length < 4) return; len = buf.readUInt16BE(2); o = 4; }
+    else if(len===127){ if(buf.length < 10) return; len = Number(buf.readBigUInt64BE(2)); o = 10; }
+    if(len + client.fragments.reduce((n, f)=> n + f.length, 0) > MAX_MESSAGE){
+      sendFrame(client.socket, 0x8, Buffer.from([0x03, 0xf1]));
+      client.socket.end();
+      client.closed = true;
+      return;
+    }
+    const mask = o;
+    if(masked) o += 4;
+    if(buf.length < o + len) return;
+    const payload = Buffer.from(buf.subarray(o, o + len));
+    if(masked) for(let i=0;i<len;i++) payload[i] ^= buf[mask + (i & 3)];
+    client.buffer = buf.subarray(o + len);
+    if(opcode===0x8){ sendFrame(client.socket, 0x8, payload.subarray(0, 2)); client.socket.end(); return; }
+    if(opcode===0x9){ sendFrame(client.socket, 0xA, payload); continue; }
+    if(opcode===0x1 || (opcode===0x0 && client.fragments.length)){
+      client.fragments.push(payload);
+      if(fin){ onText(Buffer.concat(client.fragments).toString('utf8')); client.fragments = []; }
+    }
+  }
+}
+
+function startBridge(opts){
+  const clients = new Set();
+  const udp = dgram.createSocket('udp4');
+  let lastSender = null;
+
+  function toApps(message){
+    const payload = Buffer.from(JSON.stringify(message), 'utf8');
+    clients.forEach(c=> sendFrame(c.socket, 0x1, payload));
+  }
+
+  function fromApp(text){
+    let msg;
+    try{ msg = JSON.parse(text); }catch(e){ console.warn('osc-bridge: ignoring a message from the app that is not JSON'); return; }
+    const target = opts.send || lastSender;
+    if(!target || typeof msg.address!=='string') return;
+    const packet = encodeMessage(msg.address, Array.isArray(msg.args) ? msg.args : []);
+    udp.send(packet, target.port, target.address);
+  }
+
+  udp.on('message', (packet, rinfo)=>{
+    lastSender = {address: rinfo.address, port: rinfo.port};
+    let messages;
+    try{ messages = decodePacket(packet); }
+    catch(e){ console.warn('osc-bridge: ignoring packet from ' + rinfo.address + ':' + rinfo.port + ': ' + e.message); return; }
+    messages.forEach(toApps);
+  });
+  udp.on('error', e=>{ console.error('osc-bridge: OSC socket: ' + e.message); process.exit(1); });
+  udp.bind(opts.oscPort, opts.host);
+
+  const server = http.createServer((req, res)=>{
+    res.writeHead(426, {'Content-Type': 'text/plain'});
+    res.end('This is the OSC bridge; connect with a WebSocket.\n');
+  });
+  server.on('upgrade', (req, socket)=>{
+    const key = req.headers['sec-websocket-key'];
+    if(!key || String(req.headers.upgrade).toLowerCase()!=='websocket'){ socket.destroy(); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+    const client = {socket, buffer: Buffer.alloc(0), fragments: [], closed: false};
+    clients.add(client);
+    socket.on('data', chunk=>{
+      if(client.closed) return;
+      client.buffer = Buffer.concat([client.buffer, chunk]);
+      readFrames(client, fromApp);
+    });
+    socket.on('close', ()=> clients.delete(client));
+    socket.on('error', ()=> clients.delete(client));
+  });
+  server.on('error', e=>{ console.error('osc-bridge: WebSocket server: ' + e.message); process.exit(1); });
+  server.listen(opts.wsPort, opts.host, ()=>{
+    console.log('osc-bridge: OSC in on udp://' + opts.host + ':' + opts.oscPort + ', app connects to ws://' + opts.host + ':' + opts.wsPort +
+      (opts.send ? ', OSC out to ' + opts.send.address + ':' + opts.send.port : ', OSC out to the last sender'));
+  });
+  return {udp, server};
+}
+
+if(require.main===module){
+  try{ startBridge(parseOptions(process.argv.slice(2))); }
+  catch(e){ console.error('osc-bridge: ' + e.message); process.exitCode = 1; }
+}
+
+module.exports = {decodePacket, encodeMessage, startBridge};